@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Drift audit: render every post in /posts as sync-webflow.js would and
+ * compare it field by field with the live items of the collection. Reports
+ * drifted fields, posts without an item or post_id, items without a post,
+ * duplicate github-ids and slug collisions. Writes nothing to Webflow.
+ * Exits 1 when there are findings.
+ *
+ * ENV:
+ *  - WEBFLOW_TOKEN
+ *  - WEBFLOW_COLLECTION_ID
+ *  - WEBFLOW_AUTHORS_COLLECTION_ID, WEBFLOW_TAGS_COLLECTION_ID (when posts
+ *    reference them)
+ *  - WEBFLOW_SITE_ID, WEBFLOW_UPLOAD_ASSETS (when images are uploaded to
+ *    Webflow Assets, see lib/sync.js; the site also for translations)
+ *  - GH_REPOSITORY, GITHUB_SHA (raw image URLs, as for the sync)
+ *  - GITHUB_STEP_SUMMARY (auto in Actions: the findings are added to the
+ *    job summary)
+ *
+ * CLI:
+ *  - --json <file>  Also write the findings as JSON
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import {
+	auditPosts,
+	countFindings,
+	FINDING_KINDS,
+	findingsToMarkdown,
+} from "./lib/audit.js";
+import { describeChanges } from "./lib/field-diff.js";
+import { ItemIndex } from "./lib/item-index.js";
+import { getAllMarkdown } from "./lib/posts.js";
+import { createAuthorSync, createTagSync } from "./lib/sync.js";
+
+const ICONS = {
+	error: "❌",
+	drift: "✏️",
+	missing: "➕",
+	"no-post-id": "🔗",
+	orphan: "👻",
+	"duplicate-github-id": "👯",
+	"slug-collision": "⚠️",
+};
+
+function parseArgs() {
+	const argv = process.argv.slice(2);
+	const i = argv.indexOf("--json");
+	return { json: i >= 0 ? argv[i + 1] : null };
+}
+
+function log(...a) {
+	console.log("[audit-webflow]", ...a);
+}
+function fail(msg, e) {
+	console.error("[audit-webflow:error]", msg);
+	if (e) console.error(e?.stack || e);
+	process.exitCode = 1;
+}
+
+function requireEnv(name) {
+	const v = process.env[name];
+	if (!v) {
+		throw new Error(`Missing required env: ${name}`);
+	}
+	return v;
+}
+
+async function main() {
+	log("=== Webflow Drift Audit ===");
+	try {
+		requireEnv("WEBFLOW_TOKEN");
+		requireEnv("WEBFLOW_COLLECTION_ID");
+	} catch (e) {
+		fail(e.message);
+		return;
+	}
+	const { json } = parseArgs();
+
+	const files = getAllMarkdown();
+	log(`Auditing ${files.length} post(s)...`);
+	const findings = await auditPosts(files, {
+		index: new ItemIndex(process.env.WEBFLOW_COLLECTION_ID),
+		authors: createAuthorSync({ dryRun: true }),
+		tags: createTagSync({ dryRun: true }),
+	});
+
+	log("\n=== Findings ===");
+	for (const f of findings) {
+		const where = [
+			f.file,
+			f.locale && `[${f.locale}]`,
+			f.itemId && `(${f.itemId})`,
+		]
+			.filter(Boolean)
+			.join(" ");
+		log(`${ICONS[f.kind]} ${f.kind}: ${where ? `${where}: ` : ""}${f.message}`);
+		for (const line of describeChanges(f.changes || [])) log(`    ${line}`);
+	}
+	const counts = countFindings(findings);
+	log("\n=== Summary ===");
+	for (const kind of FINDING_KINDS) log(`${kind}: ${counts[kind]}`);
+
+	if (json) {
+		fs.mkdirSync(path.dirname(path.resolve(json)), { recursive: true });
+		fs.writeFileSync(
+			json,
+			`${JSON.stringify({ counts, findings }, null, "\t")}\n`,
+		);
+		log(`Findings: ${json}`);
+	}
+	if (process.env.GITHUB_STEP_SUMMARY) {
+		fs.appendFileSync(
+			process.env.GITHUB_STEP_SUMMARY,
+			findingsToMarkdown(findings),
+		);
+	}
+	if (findings.length > 0) {
+		log(`❌ ${findings.length} finding(s)`);
+		process.exitCode = 1;
+	} else {
+		log("✅ Webflow matches the repository");
+	}
+}
+
+main().catch((e) => fail("Unhandled error", e));
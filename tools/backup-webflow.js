@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Back up the Webflow collections to a JSON archive: the schema and every
+ * item (drafts and archived ones included) of the posts collection, and of
+ * the authors and tags collections when they are set. See restore-webflow.js.
+ *
+ * ENV:
+ *  - WEBFLOW_TOKEN
+ *  - WEBFLOW_COLLECTION_ID
+ *  - WEBFLOW_AUTHORS_COLLECTION_ID, WEBFLOW_TAGS_COLLECTION_ID (optional)
+ *  - WEBFLOW_SITE_ID (required with secondary locales; their variants are
+ *    backed up too)
+ *  - WEBFLOW_BACKUP_DIR (default: <repo>/backups)
+ *
+ * CLI:
+ *  - --out <file>  Archive to write (default:
+ *                  $WEBFLOW_BACKUP_DIR/webflow-<timestamp>.json)
+ */
+
+import path from "node:path";
+import { backupPath, createBackup, saveBackup } from "./lib/backup.js";
+
+function parseArgs() {
+	const argv = process.argv.slice(2);
+	const i = argv.indexOf("--out");
+	return { out: i >= 0 ? argv[i + 1] : null };
+}
+
+function log(...a) {
+	console.log("[backup-webflow]", ...a);
+}
+function fail(msg, e) {
+	console.error("[backup-webflow:error]", msg);
+	if (e) console.error(e?.stack || e);
+	process.exitCode = 1;
+}
+
+function requireEnv(name) {
+	const v = process.env[name];
+	if (!v) {
+		throw new Error(`Missing required env: ${name}`);
+	}
+	return v;
+}
+
+async function main() {
+	log("=== Webflow Backup ===");
+	try {
+		requireEnv("WEBFLOW_TOKEN");
+		requireEnv("WEBFLOW_COLLECTION_ID");
+	} catch (e) {
+		fail(e.message);
+		return;
+	}
+	const { out } = parseArgs();
+	const file = out ? path.resolve(out) : backupPath();
+
+	const backup = await createBackup();
+	saveBackup(backup, file);
+	const total = backup.collections.reduce((n, c) => n + c.items.length, 0);
+	log(
+		`✅ Backed up ${total} item(s) in ${backup.collections.length} collection(s) to ${file}`,
+	);
+}
+
+main().catch((e) => fail("Unhandled error", e));
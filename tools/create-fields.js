@@ -1,23 +1,54 @@
 #!/usr/bin/env node
 /**
- * Create missing fields in Webflow collection
- * Adds fields that are referenced in the sync scripts but don't exist yet
+ * Declarative schema for the Webflow collections: diffs the fields mapped in
+ * webflow-sync.config.json (type, displayName, helpText, isRequired,
+ * reference) against the live collections and applies the difference.
+ * Covers the posts collection, and the Authors collection when
+ * WEBFLOW_AUTHORS_COLLECTION_ID is set. See lib/schema-plan.js.
+ *
+ * The plan adds missing fields and updates changed help texts, display names
+ * and required flags. Type mismatches can't be fixed through the API: they
+ * are reported and fail the run. Fields the config doesn't map are left
+ * alone.
+ *
+ * ENV (environment, else .env.local):
+ *  - WEBFLOW_TOKEN (or WEBFLOW_API_KEY)
+ *  - WEBFLOW_COLLECTION_ID
+ *  - WEBFLOW_AUTHORS_COLLECTION_ID, WEBFLOW_TAGS_COLLECTION_ID (collections
+ *    Reference fields point at)
+ *  - WEBFLOW_API_BASE_URL (optional; e.g. testing/webflow-emulator.js)
+ *
+ * CLI:
+ *  - (none)   Print the plan and apply it; exits 1 if a change failed or a
+ *             type mismatch remains
+ *  - --plan   Only print the plan; exits 1 when a collection has drifted
+ *             from the config (for CI)
  */
 
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { AUTHOR_FIELDS, FIELDS } from "./lib/fields.js";
+import {
+	describeChange,
+	desiredField,
+	planSchema,
+	unmanagedFields,
+} from "./lib/schema-plan.js";
+import {
+	createCollectionField,
+	getCollection,
+	updateCollectionField,
+} from "./lib/webflow-api.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rootDir = path.resolve(__dirname, "..");
 
-// Load .env.local
+// Load .env.local (optional in CI, where the secrets are in the environment)
 function loadEnv() {
 	const envPath = path.join(rootDir, ".env.local");
-	if (!fs.existsSync(envPath)) {
-		throw new Error(`.env.local not found at ${envPath}`);
-	}
+	if (!fs.existsSync(envPath)) return {};
 
 	const env = {};
 	const content = fs.readFileSync(envPath, "utf8");
@@ -33,186 +64,166 @@ function loadEnv() {
 	return env;
 }
 
-const env = loadEnv();
+// The environment wins over .env.local (e.g. to point at the emulator)
+const env = { ...loadEnv(), ...process.env };
 const WEBFLOW_TOKEN = env.WEBFLOW_TOKEN || env.WEBFLOW_API_KEY;
 const WEBFLOW_COLLECTION_ID = env.WEBFLOW_COLLECTION_ID;
+// Collections Reference fields point at, by `reference` in the mapping
+const REFERENCED_COLLECTIONS = {
+	authors: env.WEBFLOW_AUTHORS_COLLECTION_ID,
+	tags: env.WEBFLOW_TAGS_COLLECTION_ID,
+};
 
 if (!WEBFLOW_TOKEN) {
-	throw new Error("Missing WEBFLOW_TOKEN or WEBFLOW_API_KEY in .env.local");
+	throw new Error(
+		"Missing WEBFLOW_TOKEN or WEBFLOW_API_KEY (environment or .env.local)",
+	);
 }
 if (!WEBFLOW_COLLECTION_ID) {
-	throw new Error("Missing WEBFLOW_COLLECTION_ID in .env.local");
+	throw new Error("Missing WEBFLOW_COLLECTION_ID (environment or .env.local)");
 }
-
-// Field definitions to create
-// Note: Field types must match Webflow API v2 specification
-const FIELDS_TO_CREATE = [
-	{
-		displayName: "Publish Date",
-		slug: "publish-date",
-		type: "DateTime", // Webflow uses "DateTime" not "Date"
-		isRequired: false,
-		helpText: "Date when the post should be published",
-	},
-	{
-		displayName: "Is Published",
-		slug: "is-published",
-		type: "Switch",
-		isRequired: false,
-		helpText: "Whether the post is published",
-	},
-	{
-		displayName: "Push to Webflow",
-		slug: "push-to-webflow",
-		type: "Switch",
-		isRequired: false,
-		helpText: "Flag to control if this post should sync to Webflow",
-	},
-	{
-		displayName: "Post ID",
-		slug: "post-id",
-		type: "PlainText",
-		isRequired: false,
-		helpText: "Stable identifier linking GitHub post to Webflow item",
-	},
-	{
-		displayName: "Last Update",
-		slug: "last-update",
-		type: "DateTime", // Webflow uses "DateTime" not "Date"
-		isRequired: false,
-		helpText: "Timestamp of last update for conflict detection",
-	},
-	{
-		displayName: "Tags",
-		slug: "tags",
-		type: "PlainText", // Using PlainText for now - can be comma-separated or JSON array
-		isRequired: false,
-		helpText: "Tags for categorizing posts (comma-separated)",
-	},
-	{
-		displayName: "SEO Title",
-		slug: "seo-title",
-		type: "PlainText",
-		isRequired: false,
-		helpText: "Custom SEO title override",
-	},
-	{
-		displayName: "SEO Description",
-		slug: "seo-description",
-		type: "PlainText",
-		isRequired: false,
-		helpText: "Custom SEO description override",
-	},
-];
-
-async function createField(fieldDef) {
-	const url = `https://api.webflow.com/v2/collections/${WEBFLOW_COLLECTION_ID}/fields`;
-	const headers = {
-		Authorization: `Bearer ${WEBFLOW_TOKEN}`,
-		"Content-Type": "application/json",
-		accept: "application/json",
-	};
-
-	const payload = {
-		displayName: fieldDef.displayName,
-		slug: fieldDef.slug,
-		type: fieldDef.type,
-		isRequired: fieldDef.isRequired || false,
-		...(fieldDef.helpText ? { helpText: fieldDef.helpText } : {}),
-	};
-
-	const res = await fetch(url, {
-		method: "POST",
-		headers,
-		body: JSON.stringify(payload),
-	});
-
-	if (!res.ok) {
-		const text = await res.text();
-		throw new Error(
-			`Failed to create field ${fieldDef.slug} (${res.status}): ${text}`,
-		);
-	}
-
-	return await res.json();
-}
-
-async function checkExistingFields() {
-	const url = `https://api.webflow.com/v2/collections/${WEBFLOW_COLLECTION_ID}`;
-	const headers = {
-		Authorization: `Bearer ${WEBFLOW_TOKEN}`,
-		accept: "application/json",
-	};
-
-	const res = await fetch(url, { headers });
-	if (!res.ok) {
-		const text = await res.text();
-		throw new Error(`Failed to fetch collection (${res.status}): ${text}`);
-	}
-
-	const data = await res.json();
-	const existingSlugs = new Set(data.fields?.map((f) => f.slug) || []);
-	return existingSlugs;
+// Read by lib/webflow-api.js
+process.env.WEBFLOW_TOKEN = WEBFLOW_TOKEN;
+if (env.WEBFLOW_API_BASE_URL) {
+	process.env.WEBFLOW_API_BASE_URL = env.WEBFLOW_API_BASE_URL;
 }
 
 function log(...a) {
 	console.log("[create-fields]", ...a);
 }
-function warn(...a) {
-	console.warn("[create-fields:warn]", ...a);
-}
 function fail(msg, e) {
 	console.error("[create-fields:error]", msg);
 	if (e) console.error(e?.stack || e);
-	process.exit(1);
+	process.exitCode = 1;
 }
 
-async function main() {
-	try {
-		log("Checking existing fields...");
-		const existingSlugs = await checkExistingFields();
-
-		const fieldsToCreate = FIELDS_TO_CREATE.filter(
-			(f) => !existingSlugs.has(f.slug),
-		);
-
-		if (fieldsToCreate.length === 0) {
-			log("✅ All fields already exist in the collection!");
-			return;
+/**
+ * Collections whose schema the config describes
+ * @returns {Array<{name: string, id: string, fields: Array<Object>}>}
+ */
+function managedCollections() {
+	const collections = [
+		{ name: "posts", id: WEBFLOW_COLLECTION_ID, entries: FIELDS },
+	];
+	if (AUTHOR_FIELDS.length > 0) {
+		if (REFERENCED_COLLECTIONS.authors) {
+			collections.push({
+				name: "authors",
+				id: REFERENCED_COLLECTIONS.authors,
+				entries: AUTHOR_FIELDS,
+			});
+		} else {
+			log(
+				"WEBFLOW_AUTHORS_COLLECTION_ID is not set; skipping the Authors collection",
+			);
 		}
+	}
+	return collections.map(({ name, id, entries }) => ({
+		name,
+		id,
+		fields: entries.map((e) => desiredField(e, REFERENCED_COLLECTIONS)),
+	}));
+}
 
-		log(`\nFound ${fieldsToCreate.length} field(s) to create:\n`);
-		fieldsToCreate.forEach((f) => {
-			log(`  - ${f.displayName} (${f.slug}) - ${f.type}`);
-		});
-
-		log("\nCreating fields...\n");
+/**
+ * Diff one collection and print its plan
+ * @returns {Promise<Array<Object>>} The changes (see planSchema)
+ */
+async function planCollection({ name, id, fields }) {
+	const collection = await getCollection(id);
+	const plan = planSchema(fields, collection);
+	log(`\n=== ${name}: ${collection.displayName || id} (${id}) ===`);
+	if (plan.length === 0) log("✅ Matches the config");
+	for (const change of plan) log(`  ${describeChange(change)}`);
+	const unmanaged = unmanagedFields(fields, collection);
+	if (unmanaged.length > 0) {
+		log(
+			`  (not in the config, left alone: ${unmanaged.map((f) => f.slug).join(", ")})`,
+		);
+	}
+	return plan;
+}
 
-		for (const fieldDef of fieldsToCreate) {
-			try {
-				log(`Creating field: ${fieldDef.displayName} (${fieldDef.slug})...`);
-				const result = await createField(fieldDef);
-				log(`✅ Created: ${fieldDef.displayName}`);
-				if (result.id) {
-					log(`   Field ID: ${result.id}`);
-				}
-				if (result.slug) {
-					log(`   Slug: ${result.slug}`);
+/**
+ * Make the changes of a plan; mismatches can't be applied
+ * @returns {Promise<number>} Changes that failed or can't be applied
+ */
+async function applyPlan(collectionId, plan) {
+	let failed = 0;
+	for (const change of plan) {
+		try {
+			if (change.action === "add") {
+				const { key, collectionId: referenced, ...field } = change.field;
+				if (field.type.endsWith("Reference") && !referenced) {
+					throw new Error(
+						"set the id of the collection it references (WEBFLOW_AUTHORS_COLLECTION_ID or WEBFLOW_TAGS_COLLECTION_ID)",
+					);
 				}
-				log("");
-			} catch (e) {
-				warn(`Failed to create ${fieldDef.slug}: ${e.message}`);
-				// Continue with other fields
+				const result = await createCollectionField(collectionId, {
+					...field,
+					displayName: field.displayName || key,
+					...(referenced && { metadata: { collectionId: referenced } }),
+				});
+				log(
+					`✅ Added ${change.slug}${result?.id ? ` (field ${result.id})` : ""}`,
+				);
+			} else if (change.action === "update") {
+				const body = Object.fromEntries(
+					Object.entries(change.changes).map(([key, { to }]) => [key, to]),
+				);
+				await updateCollectionField(collectionId, change.fieldId, body);
+				log(`✅ Updated ${change.slug}: ${Object.keys(body).join(", ")}`);
+			} else {
+				throw new Error(change.reason);
 			}
+		} catch (e) {
+			failed++;
+			const verb = change.action === "mismatch" ? "fix" : change.action;
+			fail(`Can't ${verb} ${change.slug}: ${e.message}`);
+		}
+	}
+	return failed;
+}
+
+async function main() {
+	const planOnly = process.argv.includes("--plan");
+	let drift = 0;
+	let failed = 0;
+
+	for (const collection of managedCollections()) {
+		let plan;
+		try {
+			plan = await planCollection(collection);
+		} catch (e) {
+			fail(`Failed to read the ${collection.name} collection`, e);
+			continue;
+		}
+		drift += plan.length;
+		if (!planOnly && plan.length > 0) {
+			log(`\nApplying ${plan.length} change(s) to ${collection.name}...`);
+			failed += await applyPlan(collection.id, plan);
 		}
+	}
 
-		log("✅ Field creation complete!");
+	if (planOnly) {
+		if (drift > 0) {
+			log(`\n❌ ${drift} change(s) needed; run create-fields.js to apply them`);
+			process.exitCode = 1;
+		} else {
+			log("\n✅ No schema drift");
+		}
+		return;
+	}
+	if (drift === 0) {
+		log("\n✅ Collections already match the config");
+	} else if (failed > 0) {
+		log(`\n❌ ${failed} of ${drift} change(s) failed`);
+	} else {
+		log(`\n✅ Applied ${drift} change(s)`);
 		log(
-			"\n💡 You may need to refresh your Webflow Designer to see the new fields.",
+			"💡 You may need to refresh your Webflow Designer to see the new fields.",
 		);
-	} catch (e) {
-		fail("Failed to create fields", e);
 	}
 }
 
-main();
+main().catch((e) => fail("Unhandled error", e));
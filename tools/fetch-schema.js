@@ -1,23 +1,35 @@
 #!/usr/bin/env node
 /**
  * Fetch and display Webflow collection schema
- * Helps identify the correct field API IDs for mapping
+ * Checks the field mapping in webflow-sync.config.json against it
+ *
+ * ENV (environment, else .env.local):
+ *  - WEBFLOW_TOKEN (or WEBFLOW_API_KEY)
+ *  - WEBFLOW_COLLECTION_ID
+ *  - WEBFLOW_API_BASE_URL (optional; e.g. testing/webflow-emulator.js)
+ *
+ * CLI:
+ *  - --save [file]  Also write the schema snapshot validate-frontmatter.js
+ *                   --schema reads (default: WEBFLOW_SCHEMA_FILE or
+ *                   <repo>/webflow-schema.json); commit it so PR lint can use
+ *                   it without API access
  */
 
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { CONFIG_FILE, FIELD_KEYS, FIELDS } from "./lib/fields.js";
+import { SCHEMA_FILE, saveSchemaSnapshot } from "./lib/schema.js";
+import { apiBaseUrl } from "./lib/webflow-api.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rootDir = path.resolve(__dirname, "..");
 
-// Load .env.local
+// Load .env.local (optional: the environment may hold the settings)
 function loadEnv() {
 	const envPath = path.join(rootDir, ".env.local");
-	if (!fs.existsSync(envPath)) {
-		throw new Error(`.env.local not found at ${envPath}`);
-	}
+	if (!fs.existsSync(envPath)) return {};
 
 	const env = {};
 	const content = fs.readFileSync(envPath, "utf8");
@@ -33,19 +45,23 @@ function loadEnv() {
 	return env;
 }
 
-const env = loadEnv();
+// The environment wins over .env.local (e.g. to point at the emulator)
+const env = { ...loadEnv(), ...process.env };
 const WEBFLOW_TOKEN = env.WEBFLOW_TOKEN || env.WEBFLOW_API_KEY;
 const WEBFLOW_COLLECTION_ID = env.WEBFLOW_COLLECTION_ID;
+const API_BASE_URL = apiBaseUrl(env);
 
 if (!WEBFLOW_TOKEN) {
-	throw new Error("Missing WEBFLOW_TOKEN or WEBFLOW_API_KEY in .env.local");
+	throw new Error(
+		"Missing WEBFLOW_TOKEN or WEBFLOW_API_KEY (environment or .env.local)",
+	);
 }
 if (!WEBFLOW_COLLECTION_ID) {
-	throw new Error("Missing WEBFLOW_COLLECTION_ID in .env.local");
+	throw new Error("Missing WEBFLOW_COLLECTION_ID (environment or .env.local)");
 }
 
 async function fetchCollectionSchema() {
-	const url = `https://api.webflow.com/v2/collections/${WEBFLOW_COLLECTION_ID}`;
+	const url = `${API_BASE_URL}/collections/${WEBFLOW_COLLECTION_ID}`;
 	const headers = {
 		Authorization: `Bearer ${WEBFLOW_TOKEN}`,
 		accept: "application/json",
@@ -75,7 +91,6 @@ function displaySchema(collection) {
 		return;
 	}
 
-	const fieldMap = {};
 	collection.fields.forEach((field) => {
 		const apiId = field.id || field.slug;
 		const slug = field.slug || field.id; // Field slug for v2 API
@@ -83,97 +98,80 @@ function displaySchema(collection) {
 		const type = field.type || "unknown";
 		const isRequired = field.isRequired || false;
 
-		fieldMap[apiId] = {
-			slug,
-			displayName,
-			type,
-			isRequired,
-			field,
-		};
-
 		console.log(
 			`  ID: ${apiId.padEnd(30)} Slug: ${(slug || "N/A").padEnd(20)} -> ${displayName} (${type})${isRequired ? " [REQUIRED]" : ""}`,
 		);
 	});
 
-	console.log("\n" + "=".repeat(80));
-	console.log(
-		"\nSuggested FIELD_IDS configuration (using field slugs for v2 API):\n",
-	);
-	console.log("const FIELD_IDS = {");
-
-	// Try to match common field names
-	const suggestions = {
-		name: findFieldByPattern(fieldMap, ["name", "title"]),
-		slug: findFieldByPattern(fieldMap, ["slug"]),
-		body: findFieldByPattern(fieldMap, ["body", "content", "rich", "text"]),
-		mainImage: findFieldByPattern(fieldMap, [
-			"image",
-			"main",
-			"hero",
-			"thumbnail",
-		]),
-		publishDate: findFieldByPattern(fieldMap, ["date", "publish", "published"]),
-		authorText: findFieldByPattern(fieldMap, ["author", "writer"]),
-		externalLink: findFieldByPattern(fieldMap, ["link", "url", "external"]),
-		isPublished: findFieldByPattern(fieldMap, [
-			"published",
-			"publish",
-			"status",
-		]),
-		pushToWebflow: findFieldByPattern(fieldMap, ["push", "sync", "webflow"]),
-		postId: findFieldByPattern(fieldMap, ["id", "post_id", "webflow_id"]),
-		lastUpdate: findFieldByPattern(fieldMap, ["update", "modified", "last"]),
-		tags: findFieldByPattern(fieldMap, ["tag", "tags", "category"]),
-		excerpt: findFieldByPattern(fieldMap, [
-			"excerpt",
-			"summary",
-			"description",
-		]),
-		seoTitle: findFieldByPattern(fieldMap, ["seo", "meta", "title"]),
-		seoDescription: findFieldByPattern(fieldMap, [
-			"seo",
-			"meta",
-			"description",
-		]),
-	};
+	checkMapping(collection.fields);
+}
 
-	Object.entries(suggestions).forEach(([key, apiId]) => {
-		if (apiId && fieldMap[apiId]) {
-			const slug = fieldMap[apiId].slug || apiId;
+/**
+ * Compare webflow-sync.config.json with the collection's fields
+ * Prints entries ready to paste into the config for unmapped fields.
+ */
+function checkMapping(fields) {
+	const bySlug = new Map(fields.map((f) => [f.slug, f]));
+	console.log(`\n${"=".repeat(80)}`);
+	console.log(`\nMapping check (${path.relative(rootDir, CONFIG_FILE)}):\n`);
+
+	let problems = 0;
+	for (const entry of FIELDS) {
+		const label = `${(entry.frontmatter || `(${entry.key})`).padEnd(20)} -> ${entry.field}`;
+		const field = bySlug.get(entry.field);
+		if (!field) {
+			problems++;
 			console.log(
-				`  ${key.padEnd(20)}: "${slug}", // ${fieldMap[apiId].displayName}`,
+				`  ❌ ${label}: not in the collection (run create-fields.js)`,
 			);
-		} else {
+		} else if (field.type !== entry.type) {
+			problems++;
 			console.log(
-				`  ${key.padEnd(20)}: null, // FIELD_NOT_FOUND - Add this field to your collection`,
+				`  ⚠️  ${label}: type ${entry.type} in config, ${field.type} in the collection`,
 			);
+		} else {
+			console.log(`  ✅ ${label} (${field.type})`);
 		}
-	});
+	}
+
+	const unmapped = fields.filter((f) => !(f.slug in FIELD_KEYS));
+	if (unmapped.length > 0) {
+		console.log("\nCollection fields not in the config:\n");
+		for (const f of unmapped) {
+			const entry = {
+				key: f.slug.replace(/-([a-z0-9])/g, (_m, c) => c.toUpperCase()),
+				frontmatter: f.slug.replace(/-/g, "_"),
+				field: f.slug,
+				type: f.type,
+				direction: "both",
+				displayName: f.displayName,
+			};
+			console.log(`  ${JSON.stringify(entry)},`);
+		}
+	}
 
-	console.log("};\n");
+	console.log(
+		`\n${problems === 0 ? "✅ Mapping matches the collection" : `❌ ${problems} mapping problem(s)`}`,
+	);
 	console.log(
 		"Note: Webflow v2 API uses field slugs in fieldData, not field IDs!",
 	);
 	console.log("=".repeat(80));
 }
 
-function findFieldByPattern(fieldMap, patterns) {
-	for (const [apiId, info] of Object.entries(fieldMap)) {
-		const searchStr = `${apiId} ${info.displayName}`.toLowerCase();
-		for (const pattern of patterns) {
-			if (searchStr.includes(pattern.toLowerCase())) {
-				return apiId;
-			}
-		}
-	}
-	return null;
-}
-
 async function main() {
 	try {
 		const collection = await fetchCollectionSchema();
 		displaySchema(collection);
+
+		const saveArg = process.argv.indexOf("--save");
+		if (saveArg >= 0) {
+			const next = process.argv[saveArg + 1];
+			const file =
+				next && !next.startsWith("--") ? path.resolve(next) : SCHEMA_FILE;
+			saveSchemaSnapshot(collection, file);
+			console.log(`\nSaved schema snapshot to ${path.relative(rootDir, file)}`);
+		}
 	} catch (e) {
 		console.error("Error:", e.message);
 		if (e.stack) console.error(e.stack);
@@ -2,22 +2,26 @@
 /**
  * Inspect Webflow collection items
  * Shows the structure of items in the collection
+ *
+ * ENV (environment, else .env.local):
+ *  - WEBFLOW_TOKEN (or WEBFLOW_API_KEY)
+ *  - WEBFLOW_COLLECTION_ID
+ *  - WEBFLOW_API_BASE_URL (optional; e.g. testing/webflow-emulator.js)
  */
 
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { apiBaseUrl } from "./lib/webflow-api.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rootDir = path.resolve(__dirname, "..");
 
-// Load .env.local
+// Load .env.local (optional: the environment may hold the settings)
 function loadEnv() {
 	const envPath = path.join(rootDir, ".env.local");
-	if (!fs.existsSync(envPath)) {
-		throw new Error(`.env.local not found at ${envPath}`);
-	}
+	if (!fs.existsSync(envPath)) return {};
 
 	const env = {};
 	const content = fs.readFileSync(envPath, "utf8");
@@ -33,19 +37,23 @@ function loadEnv() {
 	return env;
 }
 
-const env = loadEnv();
+// The environment wins over .env.local (e.g. to point at the emulator)
+const env = { ...loadEnv(), ...process.env };
 const WEBFLOW_TOKEN = env.WEBFLOW_TOKEN || env.WEBFLOW_API_KEY;
 const WEBFLOW_COLLECTION_ID = env.WEBFLOW_COLLECTION_ID;
+const API_BASE_URL = apiBaseUrl(env);
 
 if (!WEBFLOW_TOKEN) {
-	throw new Error("Missing WEBFLOW_TOKEN or WEBFLOW_API_KEY in .env.local");
+	throw new Error(
+		"Missing WEBFLOW_TOKEN or WEBFLOW_API_KEY (environment or .env.local)",
+	);
 }
 if (!WEBFLOW_COLLECTION_ID) {
-	throw new Error("Missing WEBFLOW_COLLECTION_ID in .env.local");
+	throw new Error("Missing WEBFLOW_COLLECTION_ID (environment or .env.local)");
 }
 
 async function listItems(limit = 5) {
-	const url = `https://api.webflow.com/v2/collections/${WEBFLOW_COLLECTION_ID}/items?limit=${limit}`;
+	const url = `${API_BASE_URL}/collections/${WEBFLOW_COLLECTION_ID}/items?limit=${limit}`;
 	const headers = {
 		Authorization: `Bearer ${WEBFLOW_TOKEN}`,
 		accept: "application/json",
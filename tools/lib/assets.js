@@ -0,0 +1,173 @@
+/**
+ * Upload local images to Webflow Assets instead of hotlinking GitHub.
+ * Keeps an MD5 → asset manifest so an unchanged file is never uploaded twice;
+ * when the manifest is missing (e.g. Actions cache miss) it is rebuilt from
+ * the site's asset list, which carries the same `fileHash`.
+ *
+ * ENV:
+ *  - WEBFLOW_SITE_ID
+ *  - ASSET_MANIFEST_FILE (default: <repo>/.webflow-sync/assets.json)
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { REPO_ROOT } from "./posts.js";
+import {
+	createAssetUpload,
+	listSiteAssets,
+	retryWithBackoff,
+} from "./webflow-api.js";
+
+const MANIFEST_FILE =
+	process.env.ASSET_MANIFEST_FILE ||
+	path.join(REPO_ROOT, ".webflow-sync", "assets.json");
+
+const CONTENT_TYPES = {
+	".png": "image/png",
+	".jpg": "image/jpeg",
+	".jpeg": "image/jpeg",
+	".gif": "image/gif",
+	".webp": "image/webp",
+	".svg": "image/svg+xml",
+	".avif": "image/avif",
+};
+
+let manifest = null;
+let siteAssets = null; // Promise of the site's asset listing
+const uploads = new Map(); // fileHash -> Promise of the upload in flight
+
+function log(...a) {
+	console.log("[assets]", ...a);
+}
+
+function loadManifest() {
+	if (manifest) return manifest;
+	manifest = fs.existsSync(MANIFEST_FILE)
+		? JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf8"))
+		: {};
+	return manifest;
+}
+
+function saveManifest() {
+	fs.mkdirSync(path.dirname(MANIFEST_FILE), { recursive: true });
+	fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify(manifest, null, "\t")}\n`);
+}
+
+/**
+ * Add assets already on the site to the manifest (once per process, shared
+ * by concurrent callers)
+ */
+async function syncManifestWithSite(siteId) {
+	siteAssets ??= listSiteAssets(siteId).then((assets) => {
+		for (const asset of assets) {
+			if (!asset.fileHash || manifest[asset.fileHash]) continue;
+			manifest[asset.fileHash] = {
+				assetId: asset.id,
+				url: asset.hostedUrl,
+				fileName: asset.originalFileName || asset.displayName,
+			};
+		}
+		log(`Indexed ${assets.length} existing site asset(s)`);
+	});
+	try {
+		await siteAssets;
+	} catch (e) {
+		siteAssets = null; // Listed again by the next upload
+		throw e;
+	}
+}
+
+/**
+ * Upload a file through the presigned flow: register the asset with Webflow,
+ * then POST the file to the returned S3 URL with the signed form fields
+ */
+async function uploadFile(siteId, filePath, fileHash, content) {
+	const fileName = path.basename(filePath);
+	const asset = await createAssetUpload(siteId, { fileName, fileHash });
+
+	await retryWithBackoff(async () => {
+		const form = new FormData();
+		for (const [key, value] of Object.entries(asset.uploadDetails || {})) {
+			form.append(key, value);
+		}
+		const type =
+			CONTENT_TYPES[path.extname(fileName).toLowerCase()] ||
+			"application/octet-stream";
+		form.append("file", new Blob([content], { type }), fileName);
+
+		const res = await fetch(asset.uploadUrl, { method: "POST", body: form });
+		if (!res.ok) {
+			const text = await res.text();
+			const error = new Error(
+				`Asset upload failed for ${fileName} (${res.status}): ${text}`,
+			);
+			error.status = res.status;
+			throw error;
+		}
+	});
+
+	return { assetId: asset.id, url: asset.hostedUrl, fileName };
+}
+
+/**
+ * Get the hosted Webflow URL for a local image, uploading it if needed
+ * @param {string} filePath - Absolute path to the image
+ * @param {Object} [opts]
+ * @param {boolean} [opts.dryRun] - Don't upload; return a placeholder for new files
+ * @returns {Promise<string>} Hosted asset URL
+ */
+export async function uploadAsset(filePath, { dryRun } = {}) {
+	const siteId = process.env.WEBFLOW_SITE_ID;
+	if (!siteId) {
+		throw new Error("Missing required env: WEBFLOW_SITE_ID (asset uploads)");
+	}
+
+	const content = fs.readFileSync(filePath);
+	const fileHash = crypto.createHash("md5").update(content).digest("hex");
+	const relPath = path.relative(REPO_ROOT, filePath).split(path.sep).join("/");
+
+	loadManifest();
+	if (!manifest[fileHash]) await syncManifestWithSite(siteId);
+	if (manifest[fileHash]) {
+		if (!manifest[fileHash].path && !dryRun) {
+			manifest[fileHash].path = `/${relPath}`;
+			saveManifest();
+		}
+		return manifest[fileHash].url;
+	}
+
+	if (dryRun) {
+		log(`(dry-run) Would upload ${relPath}`);
+		return `(upload) ${relPath}`;
+	}
+
+	// Posts synced at the same time may share an image; upload it once
+	if (!uploads.has(fileHash)) {
+		uploads.set(
+			fileHash,
+			(async () => {
+				log(`Uploading ${relPath} to Webflow Assets...`);
+				manifest[fileHash] = {
+					...(await uploadFile(siteId, filePath, fileHash, content)),
+					path: `/${relPath}`,
+					uploadedAt: new Date().toISOString(),
+				};
+				saveManifest();
+				log(`✅ Uploaded ${relPath} -> ${manifest[fileHash].url}`);
+				return manifest[fileHash].url;
+			})().finally(() => uploads.delete(fileHash)),
+		);
+	}
+	return uploads.get(fileHash);
+}
+
+/**
+ * Map a hosted asset URL back to the repo path it was uploaded from
+ * @param {string} url
+ * @returns {string|undefined} Repo-root path like `/images/hero.png`
+ */
+export function assetUrlToPath(url) {
+	const entry = Object.values(loadManifest()).find((a) => a.url === url);
+	return entry?.path;
+}
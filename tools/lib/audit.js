@@ -0,0 +1,316 @@
+/**
+ * Drift audit: every post rendered as the sync would write it, compared with
+ * the live items of the collection. Finds posts out of sync with their item,
+ * posts without an item or `post_id`, items without a post, and github-ids
+ * or slugs used more than once.
+ *
+ * ENV:
+ *  - WEBFLOW_COLLECTION_ID
+ *  - WEBFLOW_SITE_ID, WEBFLOW_UPLOAD_ASSETS (optional; see sync.js)
+ */
+
+import { diffItem } from "./field-diff.js";
+import { FIELD_IDS } from "./fields.js";
+import { getCmsLocaleIds } from "./locales.js";
+import { getUniqueId, readPost, repoRelative } from "./posts.js";
+import { tableCell } from "./report.js";
+import { renderPost } from "./sync.js";
+import { getCollectionItem } from "./webflow-api.js";
+
+const COLLECTION_ID = process.env.WEBFLOW_COLLECTION_ID;
+
+/**
+ * Kinds of finding, in the order they are listed:
+ *  - error                a post can't be rendered (e.g. unknown author)
+ *  - drift                fields of the item differ from the post
+ *  - missing              a pushed post has no item
+ *  - no-post-id           the post found its item by github-id only
+ *  - orphan               a live item no post points to
+ *  - duplicate-github-id  items sharing a github-id
+ *  - slug-collision       posts or items sharing a slug
+ */
+export const FINDING_KINDS = [
+	"error",
+	"drift",
+	"missing",
+	"no-post-id",
+	"orphan",
+	"duplicate-github-id",
+	"slug-collision",
+];
+
+/**
+ * @typedef {Object} Finding
+ * @property {string} kind - One of FINDING_KINDS
+ * @property {string} message
+ * @property {string} [file] - Repo-relative path of the post
+ * @property {string} [itemId]
+ * @property {string} [locale] - Translation: the locale variant compared
+ * @property {Array<{field: string, from: *, to: *}>} [changes] - drift: from
+ *   the item (from) to the post (to)
+ */
+
+// Raw image URLs are pinned to the commit a post was synced at; posts that
+// didn't change since still point at an older commit
+const RAW_URL =
+	/(https:\/\/raw\.githubusercontent\.com\/[^/]+\/[^/]+\/)[^/]+\//g;
+
+function unpinned(fieldData = {}) {
+	return Object.fromEntries(
+		Object.entries(fieldData).map(([slug, value]) => {
+			const url = typeof value === "object" && value?.url;
+			const text = url || value;
+			if (typeof text !== "string") return [slug, value];
+			return [slug, text.replace(RAW_URL, "$1<commit>/")];
+		}),
+	);
+}
+
+/**
+ * Fields of an item that differ from a rendered post
+ * @param {Object} item - Item (or locale variant) as Webflow has it
+ * @param {Object} payload - From renderPost
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function drift(item, payload) {
+	const changes = diffItem(
+		{ ...item, fieldData: unpinned(item.fieldData) },
+		{ ...payload, fieldData: unpinned(payload.fieldData) },
+		Object.keys(payload.fieldData),
+	);
+	// Report the values as they are, pinned URLs included
+	return changes.map((c) => ({
+		...c,
+		from: c.field in payload.fieldData ? item.fieldData?.[c.field] : c.from,
+		to: c.field in payload.fieldData ? payload.fieldData[c.field] : c.to,
+	}));
+}
+
+/**
+ * Audit the posts against the collection
+ * @param {string[]} files - Every post (see getAllMarkdown)
+ * @param {Object} opts
+ * @param {ItemIndex} opts.index - Items of the posts collection
+ * @param {AuthorSync} opts.authors - From createAuthorSync({ dryRun: true })
+ * @param {TagSync|null} opts.tags - From createTagSync({ dryRun: true })
+ * @param {string} [opts.commitSha] - Commit raw image URLs are pinned to
+ * @returns {Promise<Finding[]>} Sorted by FINDING_KINDS, then file
+ */
+export async function auditPosts(files, opts) {
+	const { index } = opts;
+	const findings = [];
+	const add = (finding) => findings.push(finding);
+
+	const posts = [];
+	const unpushed = new Set(); // github-ids and post_ids of posts kept out
+	for (const f of files) {
+		const file = repoRelative(f);
+		try {
+			const post = await renderPost(f, opts);
+			if (post) {
+				posts.push({ file, ...post });
+				continue;
+			}
+			const fm = readPost(f).data;
+			unpushed.add(getUniqueId(fm, f));
+			if (fm.post_id) unpushed.add(String(fm.post_id));
+		} catch (e) {
+			add({ kind: "error", file, message: e.message });
+		}
+	}
+	await index.load();
+
+	// Items of the posts in the primary locale: by post_id, then github-id
+	// (as the sync finds them)
+	const matched = new Map(); // item id -> post
+	const itemOf = new Map(); // github-id -> item
+	for (const post of posts.filter((p) => !p.locale)) {
+		const { file, fm, githubId, payload } = post;
+		let item = null;
+		if (fm.post_id) {
+			item = await index.get(String(fm.post_id));
+			if (!item) {
+				add({
+					kind: "missing",
+					file,
+					itemId: String(fm.post_id),
+					message: `post_id ${fm.post_id} is not an item of the collection`,
+				});
+				continue;
+			}
+		} else {
+			item = await index.findByGithubId(githubId);
+			if (!item) {
+				add({ kind: "missing", file, message: "Not in Webflow" });
+				continue;
+			}
+			add({
+				kind: "no-post-id",
+				file,
+				itemId: item.id,
+				message: `Found by github-id ${githubId}; post_id ${item.id} not written back`,
+			});
+		}
+		matched.set(item.id, post);
+		itemOf.set(githubId, item);
+		const changes = drift(item, payload);
+		if (changes.length > 0) {
+			add({
+				kind: "drift",
+				file,
+				itemId: item.id,
+				changes,
+				message: `${changes.length} field(s) differ: ${changes.map((c) => c.field).join(", ")}`,
+			});
+		}
+	}
+
+	// Translations: the locale variant of their primary post's item
+	const translations = posts.filter((p) => p.locale);
+	const cmsLocaleIds = translations.length > 0 ? await getCmsLocaleIds() : null;
+	for (const { file, githubId, locale, payload } of translations) {
+		const item = itemOf.get(githubId) || (await index.findByGithubId(githubId));
+		if (!item) {
+			add({
+				kind: "missing",
+				file,
+				locale,
+				message: `No item for github-id ${githubId} to hold the ${locale} variant`,
+			});
+			continue;
+		}
+		try {
+			const variant = await getCollectionItem(
+				COLLECTION_ID,
+				item.id,
+				cmsLocaleIds.get(locale),
+			);
+			const changes = drift(variant, payload);
+			if (changes.length > 0) {
+				add({
+					kind: "drift",
+					file,
+					itemId: item.id,
+					locale,
+					changes,
+					message: `${changes.length} field(s) of the ${locale} variant differ: ${changes.map((c) => c.field).join(", ")}`,
+				});
+			}
+		} catch (e) {
+			add({ kind: "error", file, itemId: item.id, locale, message: e.message });
+		}
+	}
+
+	// Live items no post points to; items of posts kept out of the sync
+	// (push_to_webflow: false) don't count
+	for (const item of index.byId.values()) {
+		const githubId = item.fieldData?.[FIELD_IDS.githubId];
+		if (item.isArchived || matched.has(item.id)) continue;
+		if (unpushed.has(item.id) || unpushed.has(githubId)) continue;
+		// A duplicate of a post's item is reported as such
+		if (githubId && itemOf.has(githubId)) continue;
+		add({
+			kind: "orphan",
+			itemId: item.id,
+			message: githubId
+				? `github-id ${githubId}: no post has it`
+				: `'${item.fieldData?.slug}' has no github-id (created in Webflow?)`,
+		});
+	}
+
+	const { githubIds, slugs } = index.duplicates();
+	for (const [githubId, items] of githubIds) {
+		add({
+			kind: "duplicate-github-id",
+			file: matched.get(itemOf.get(githubId)?.id)?.file,
+			itemId: items.map((i) => i.id).join(", "),
+			message: `${items.length} items have github-id ${githubId}`,
+		});
+	}
+	for (const [slug, items] of slugs) {
+		add({
+			kind: "slug-collision",
+			itemId: items.map((i) => i.id).join(", "),
+			message: `${items.length} items have slug '${slug}'`,
+		});
+	}
+	// Posts whose slug another post renders, or another item has
+	const bySlug = new Map();
+	for (const post of posts.filter((p) => !p.locale)) {
+		bySlug.set(post.slug, [...(bySlug.get(post.slug) || []), post]);
+	}
+	for (const [slug, shared] of bySlug) {
+		if (shared.length > 1) {
+			add({
+				kind: "slug-collision",
+				file: shared.map((p) => p.file).join(", "),
+				message: `${shared.length} posts have slug '${slug}'`,
+			});
+			continue;
+		}
+		const [post] = shared;
+		const owner = await index.findBySlug(slug);
+		const own = itemOf.get(post.githubId);
+		if (owner && owner.id !== own?.id && !slugs.has(slug)) {
+			add({
+				kind: "slug-collision",
+				file: post.file,
+				itemId: owner.id,
+				message: `Slug '${slug}' is used by item ${owner.id} (github-id: ${owner.fieldData?.[FIELD_IDS.githubId] || "none"})`,
+			});
+		}
+	}
+
+	const rank = (f) => FINDING_KINDS.indexOf(f.kind);
+	return findings.sort(
+		(a, b) => rank(a) - rank(b) || String(a.file).localeCompare(String(b.file)),
+	);
+}
+
+/**
+ * Findings per kind
+ * @param {Finding[]} findings
+ * @returns {Object<string, number>}
+ */
+export function countFindings(findings) {
+	const counts = Object.fromEntries(FINDING_KINDS.map((k) => [k, 0]));
+	for (const f of findings) counts[f.kind]++;
+	return counts;
+}
+
+/**
+ * The findings as a Markdown table, for the job summary
+ * @param {Finding[]} findings
+ * @returns {string}
+ */
+export function findingsToMarkdown(findings) {
+	const counts = countFindings(findings);
+	const totals = FINDING_KINDS.filter((k) => counts[k] > 0).map(
+		(k) => `${counts[k]} ${k}`,
+	);
+	const lines = [
+		"### Webflow drift audit",
+		"",
+		`**${totals.join(" · ") || "No findings"}**`,
+		"",
+	];
+	if (findings.length === 0) return `${lines.join("\n")}\n`;
+
+	lines.push(
+		"| Finding | Post | Item | Details |",
+		"| --- | --- | --- | --- |",
+	);
+	for (const f of findings) {
+		lines.push(
+			`| ${[
+				f.kind,
+				f.file ? `\`${f.file}\`${f.locale ? ` (${f.locale})` : ""}` : "",
+				f.itemId ? `\`${f.itemId}\`` : "",
+				f.message,
+			]
+				.map(tableCell)
+				.join(" | ")} |`,
+		);
+	}
+	return `${lines.join("\n")}\n\n`;
+}
@@ -0,0 +1,236 @@
+/**
+ * Author profiles: Markdown files in /authors (frontmatter and a bio) synced
+ * to a separate Authors collection. A post's `author` names a profile by id
+ * (frontmatter `id` or file name) or by its `name`; the post field mapped with
+ * `"reference": "authors"` holds the item id of that profile.
+ * Profiles are owned by the repo and written one way (GitHub → Webflow).
+ *
+ * ENV:
+ *  - WEBFLOW_AUTHORS_COLLECTION_ID (required when posts name an author)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import {
+	AUTHOR_FIELDS,
+	FIELDS,
+	frontmatterToField,
+	SYNC_CONFIG,
+	syncsToWebflow,
+} from "./fields.js";
+import { ItemIndex } from "./item-index.js";
+import { mdToHtml } from "./markdown.js";
+import { kebab, REPO_ROOT, readPost, repoRelative } from "./posts.js";
+import {
+	getSyncedItem,
+	hashValue,
+	recordPublished,
+	recordSyncedItem,
+} from "./sync-state.js";
+import {
+	createCollectionItem,
+	publishCollectionItems,
+	updateCollectionItem,
+} from "./webflow-api.js";
+
+export const AUTHORS_DIR = path.join(
+	REPO_ROOT,
+	SYNC_CONFIG.authors?.dir || "authors",
+);
+const AUTHORS_COLLECTION_ID = process.env.WEBFLOW_AUTHORS_COLLECTION_ID;
+
+// Post field holding the author reference; null when `author` isn't mapped
+// to one (nothing is synced to the Authors collection then)
+export const AUTHOR_REFERENCE =
+	FIELDS.find((f) => f.reference === "authors") || null;
+
+function log(...a) {
+	console.log("[authors]", ...a);
+}
+
+/**
+ * Author profiles in /authors
+ * @returns {Map<string, {id: string, filePath: string, data: Object, content: string}>}
+ *   By profile id
+ */
+export function readAuthors() {
+	const authors = new Map();
+	if (!fs.existsSync(AUTHORS_DIR)) return authors;
+	for (const name of fs.readdirSync(AUTHORS_DIR).sort()) {
+		if (!name.endsWith(".md")) continue;
+		const filePath = path.join(AUTHORS_DIR, name);
+		const { data, content } = readPost(filePath);
+		const id = data.id ? String(data.id) : path.basename(name, ".md");
+		authors.set(id, { id, filePath, data, content });
+	}
+	return authors;
+}
+
+/**
+ * Profile a post's `author` names: by id, else by `name`
+ * @param {Map<string, Object>} authors - From readAuthors
+ * @param {string} ref - Frontmatter `author`
+ * @returns {Object|null}
+ */
+export function findAuthor(authors, ref) {
+	const key = String(ref);
+	return (
+		authors.get(key) ||
+		[...authors.values()].find((a) => String(a.data.name) === key) ||
+		null
+	);
+}
+
+/**
+ * Profile ids of the items in the Authors collection
+ * @returns {Promise<Map<string, string>>} Item id -> profile id
+ */
+export async function listAuthorItems() {
+	if (!AUTHORS_COLLECTION_ID) {
+		throw new Error(
+			"Posts reference authors: set WEBFLOW_AUTHORS_COLLECTION_ID",
+		);
+	}
+	const index = await new ItemIndex(AUTHORS_COLLECTION_ID).load();
+	const ids = new Map();
+	for (const [githubId, itemIds] of index.byGithubId) {
+		for (const itemId of itemIds) ids.set(itemId, githubId);
+	}
+	return ids;
+}
+
+/**
+ * Authors collection writes of one run: each profile is written (if it
+ * changed since the last sync) and published the first time it is needed
+ */
+export class AuthorSync {
+	/**
+	 * @param {Object} opts
+	 * @param {boolean} [opts.dryRun] - Print actions, write nothing to Webflow
+	 * @param {(ref: string, fileDir: string) => Promise<string>} opts.resolveImage
+	 *   Avatar path -> URL Webflow should use (see resolveImageUrl in sync.js)
+	 */
+	constructor({ dryRun, resolveImage }) {
+		this.dryRun = dryRun;
+		this.resolveImage = resolveImage;
+		this.profiles = null; // read on first use
+		// Profiles share the `github-id` field slug of posts
+		this.index = AUTHORS_COLLECTION_ID
+			? new ItemIndex(AUTHORS_COLLECTION_ID)
+			: null;
+		this.written = new Map(); // profile id -> Promise of its item id
+	}
+
+	/**
+	 * Profiles in /authors, read the first time they are needed: none when
+	 * no post field references authors, so a broken profile can't fail
+	 * a posts sync that doesn't use them
+	 * @returns {Map<string, Object>} From readAuthors
+	 */
+	get authors() {
+		if (!this.profiles) {
+			this.profiles = AUTHOR_REFERENCE ? readAuthors() : new Map();
+		}
+		return this.profiles;
+	}
+
+	/**
+	 * Item id of the profile a post names, writing the profile first
+	 * @param {string} ref - Frontmatter `author`
+	 * @param {string} filePath - Post, for the error message
+	 * @returns {Promise<string>}
+	 */
+	async itemIdFor(ref, filePath) {
+		const author = findAuthor(this.authors, ref);
+		if (!author) {
+			throw new Error(
+				`Unknown author '${ref}' in ${filePath}: no profile in ${repoRelative(AUTHORS_DIR)}/ has that id or name`,
+			);
+		}
+		return this.sync(author);
+	}
+
+	/**
+	 * Write the profile stored at a path
+	 * @param {string} filePath
+	 * @returns {Promise<string>} Item id
+	 */
+	async syncFile(filePath) {
+		const author = [...this.authors.values()].find(
+			(a) => a.filePath === filePath,
+		);
+		if (!author) throw new Error(`Not an author profile: ${filePath}`);
+		return this.sync(author);
+	}
+
+	sync(author) {
+		if (!this.written.has(author.id)) {
+			this.written.set(author.id, this.write(author));
+		}
+		return this.written.get(author.id);
+	}
+
+	async write(author) {
+		const relPath = repoRelative(author.filePath);
+		const fileDir = path.dirname(author.filePath);
+		const derived = {
+			slug: author.data.slug ? String(author.data.slug) : kebab(author.id),
+			bio: await mdToHtml(author.content),
+			avatar: author.data.avatar
+				? await this.resolveImage(String(author.data.avatar), fileDir)
+				: undefined,
+			githubId: author.id,
+		};
+		const fieldData = {};
+		for (const entry of AUTHOR_FIELDS) {
+			if (!syncsToWebflow(entry)) continue;
+			const value =
+				entry.key in derived
+					? derived[entry.key]
+					: frontmatterToField(author.data, entry);
+			if (value !== undefined && value !== "") fieldData[entry.field] = value;
+		}
+		const payload = { isArchived: false, isDraft: false, fieldData };
+
+		if (this.dryRun) {
+			log(`(dry-run) Would sync author ${relPath}:`, JSON.stringify(fieldData));
+			// Its item, when it has one, so posts render as they would sync
+			const item = await this.index?.findByGithubId(author.id);
+			return item?.id || `(item of ${relPath})`;
+		}
+		if (!this.index) {
+			throw new Error(
+				"Posts reference authors: set WEBFLOW_AUTHORS_COLLECTION_ID",
+			);
+		}
+
+		// Kept apart from the posts' github-ids in the sync state
+		const key = `authors/${author.id}`;
+		const contentHash = hashValue(payload);
+		const item = await this.index.findByGithubId(author.id);
+		const synced = getSyncedItem(key);
+		if (
+			item &&
+			synced?.itemId === item.id &&
+			synced.contentHash === contentHash &&
+			synced.publishedAt &&
+			!item.isArchived
+		) {
+			return item.id;
+		}
+
+		const data = item
+			? await updateCollectionItem(AUTHORS_COLLECTION_ID, item.id, payload)
+			: await createCollectionItem(AUTHORS_COLLECTION_ID, payload);
+		log(
+			`✅ ${item ? "Updated" : "Created"} author item ${data.id} for ${relPath}`,
+		);
+		recordSyncedItem(key, data, contentHash);
+		this.index.set(data);
+
+		// Referenced items must be live for the post to show them
+		await publishCollectionItems(AUTHORS_COLLECTION_ID, [data.id]);
+		recordPublished(key);
+		return data.id;
+	}
+}
@@ -0,0 +1,412 @@
+/**
+ * Snapshots of the Webflow collections, and restoring them
+ * A backup holds, per collection, its schema and every item (drafts and
+ * archived ones included) with the variants of the secondary locales.
+ * Restoring writes the snapshot's values and states back onto the items,
+ * recreates deleted ones and publishes those that were live.
+ *
+ * ENV:
+ *  - WEBFLOW_COLLECTION_ID
+ *  - WEBFLOW_AUTHORS_COLLECTION_ID, WEBFLOW_TAGS_COLLECTION_ID (optional;
+ *    backed up with the posts)
+ *  - WEBFLOW_SITE_ID (required with secondary locales)
+ *  - WEBFLOW_BACKUP_DIR (default: <repo>/backups)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { comparable, diffItem } from "./field-diff.js";
+import {
+	getCmsLocaleIds,
+	PRIMARY_LOCALE,
+	SECONDARY_LOCALES,
+} from "./locales.js";
+import { REPO_ROOT } from "./posts.js";
+import {
+	BULK_LIMIT,
+	createCollectionItem,
+	deleteCollectionItem,
+	getCollection,
+	listCollectionItems,
+	publishCollectionItems,
+	updateCollectionItem,
+} from "./webflow-api.js";
+
+export const BACKUP_VERSION = 1;
+export const BACKUP_DIR =
+	process.env.WEBFLOW_BACKUP_DIR || path.join(REPO_ROOT, "backups");
+
+const REFERENCE_TYPES = ["Reference", "MultiReference"];
+
+function log(...a) {
+	console.log("[backup]", ...a);
+}
+function error(msg, e) {
+	console.error("[backup:error]", msg);
+	if (e) console.error(e?.stack || e);
+}
+
+/**
+ * Collections to back up, referenced ones first so a restore recreates
+ * authors and tags before the posts pointing at them
+ * @param {Object} [env]
+ * @returns {Array<{name: string, id: string}>}
+ */
+export function backupTargets(env = process.env) {
+	return [
+		{ name: "authors", id: env.WEBFLOW_AUTHORS_COLLECTION_ID },
+		{ name: "tags", id: env.WEBFLOW_TAGS_COLLECTION_ID },
+		{ name: "posts", id: env.WEBFLOW_COLLECTION_ID },
+	].filter((c) => c.id);
+}
+
+/**
+ * cmsLocaleId of every secondary locale; empty without secondary locales
+ * @returns {Promise<Map<string, string>>} Locale tag -> cmsLocaleId
+ */
+async function secondaryLocaleIds() {
+	if (SECONDARY_LOCALES.length === 0) return new Map();
+	const ids = await getCmsLocaleIds();
+	return new Map(SECONDARY_LOCALES.map((tag) => [tag, ids.get(tag)]));
+}
+
+/**
+ * Snapshot the collections
+ * @param {Array<{name: string, id: string}>} [targets] - Default
+ *   backupTargets()
+ * @returns {Promise<Object>} { version, createdAt, collections: [{ name, id,
+ *   schema, items, locales?: { <tag>: { cmsLocaleId, items } } }] }
+ */
+export async function createBackup(targets = backupTargets()) {
+	const locales = await secondaryLocaleIds();
+	const collections = [];
+	for (const { name, id } of targets) {
+		const schema = await getCollection(id);
+		const items = await listCollectionItems(id);
+		const collection = { name, id, schema, items };
+		for (const [tag, cmsLocaleId] of locales) {
+			collection.locales ??= {};
+			collection.locales[tag] = {
+				cmsLocaleId,
+				items: await listCollectionItems(id, cmsLocaleId),
+			};
+		}
+		log(
+			`${name}: ${items.length} item(s), ${schema.fields?.length ?? 0} field(s)${locales.size > 0 ? `, ${locales.size} secondary locale(s)` : ""}`,
+		);
+		collections.push(collection);
+	}
+	return {
+		version: BACKUP_VERSION,
+		createdAt: new Date().toISOString(),
+		collections,
+	};
+}
+
+/**
+ * Default archive path, timestamped (e.g. webflow-2026-10-19T08-30-00-000Z.json)
+ * @param {Date} [date]
+ */
+export function backupPath(date = new Date()) {
+	const stamp = date.toISOString().replace(/[:.]/g, "-");
+	return path.join(BACKUP_DIR, `webflow-${stamp}.json`);
+}
+
+/**
+ * @param {Object} backup - From createBackup
+ * @param {string} file
+ */
+export function saveBackup(backup, file) {
+	fs.mkdirSync(path.dirname(file), { recursive: true });
+	fs.writeFileSync(file, `${JSON.stringify(backup, null, "\t")}\n`);
+}
+
+/**
+ * @param {string} file - Archive written by saveBackup
+ * @returns {Object} The backup
+ */
+export function loadBackup(file) {
+	const backup = JSON.parse(fs.readFileSync(file, "utf8"));
+	if (
+		backup?.version !== BACKUP_VERSION ||
+		!Array.isArray(backup.collections)
+	) {
+		throw new Error(
+			`${file} is not a Webflow backup (version ${BACKUP_VERSION})`,
+		);
+	}
+	return backup;
+}
+
+/**
+ * Match snapshot items whose id is gone to the live item with their slug
+ * that isn't in the snapshot (e.g. recreated by an earlier restore). Run it
+ * for collections left out of a restore too, so references to their
+ * recreated items are rewritten.
+ * @param {Object} collection - Collection of the backup
+ * @param {Object[]} liveItems - Its items as Webflow has them now
+ * @param {Map<string, string>} idMap - Filled with snapshot id -> live id
+ */
+export function matchItems(collection, liveItems, idMap) {
+	const inSnapshot = new Set(collection.items.map((i) => i.id));
+	const liveIds = new Set(liveItems.map((i) => i.id));
+	const liveBySlug = new Map(
+		liveItems
+			.filter((i) => !inSnapshot.has(i.id) && i.fieldData?.slug)
+			.map((i) => [i.fieldData.slug, i]),
+	);
+	for (const item of collection.items) {
+		const match = !liveIds.has(item.id) && liveBySlug.get(item.fieldData?.slug);
+		if (match) idMap.set(item.id, match.id);
+	}
+}
+
+/**
+ * @typedef {Object} RestoreOp
+ * @property {"create"|"update"|"delete"} action
+ * @property {string} itemId - Item in the snapshot (delete: the live item)
+ * @property {string} slug
+ * @property {string} [locale] - update of a secondary locale variant
+ * @property {string} [cmsLocaleId]
+ * @property {Object} [payload] - create/update: { isDraft, isArchived,
+ *   fieldData }, with only the changed fields for an update
+ * @property {Array<{field: string, from: *, to: *}>} changes - From diffItem
+ * @property {boolean} [publish] - Live in the snapshot: publish once written
+ */
+
+/**
+ * Writes that bring a collection back to its snapshot
+ * @param {Object} collection - Collection of the backup
+ * @param {Object} live - { schema, items, locales: { <tag>: items } } as
+ *   Webflow has them now
+ * @param {Object} [opts]
+ * @param {Set<string>} [opts.itemIds] - Restore only these items
+ * @param {boolean} [opts.prune] - Delete live items the snapshot doesn't
+ *   have (ignored with itemIds)
+ * @param {Map<string, string>} [opts.idMap] - Snapshot id -> id of the item
+ *   recreated for it, applied to references; see matchItems
+ * @returns {{ops: RestoreOp[], extra: Object[], droppedFields: string[]}}
+ *   extra: live items not in the snapshot (deleted with prune);
+ *   droppedFields: fields of the snapshot the collection no longer has
+ */
+export function planRestore(collection, live, opts = {}) {
+	const { itemIds, prune, idMap = new Map() } = opts;
+	const liveSlugs = new Set(live.schema.fields.map((f) => f.slug));
+	const fields = collection.schema.fields || [];
+	const slugs = fields.map((f) => f.slug).filter((s) => liveSlugs.has(s));
+	const droppedFields = fields
+		.map((f) => f.slug)
+		.filter((s) => !liveSlugs.has(s));
+	const references = fields
+		.filter((f) => REFERENCE_TYPES.includes(f.type))
+		.map((f) => f.slug);
+
+	// Snapshot item as it would be written: the fields the collection still
+	// has, with references to recreated items rewritten
+	const restored = (item) => {
+		const fieldData = {};
+		for (const slug of slugs) {
+			let value = comparable(item.fieldData?.[slug]);
+			if (references.includes(slug) && value) {
+				value = Array.isArray(value)
+					? value.map((id) => idMap.get(id) || id)
+					: idMap.get(value) || value;
+			}
+			fieldData[slug] = value ?? null;
+		}
+		return {
+			isDraft: Boolean(item.isDraft),
+			isArchived: Boolean(item.isArchived),
+			fieldData,
+		};
+	};
+	const wasLive = (item) =>
+		Boolean(item.lastPublished) && !item.isDraft && !item.isArchived;
+	const changedOnly = (payload, changes) => {
+		const patch = { fieldData: {} };
+		for (const { field } of changes) {
+			if (field in payload.fieldData) {
+				patch.fieldData[field] = payload.fieldData[field];
+			} else patch[field] = payload[field];
+		}
+		return patch;
+	};
+
+	matchItems(collection, live.items, idMap);
+	const inSnapshot = new Set(collection.items.map((i) => i.id));
+	const liveById = new Map(live.items.map((i) => [i.id, i]));
+	const liveId = (id) => idMap.get(id) || id;
+
+	const selected = collection.items.filter(
+		(i) => !itemIds || itemIds.has(i.id),
+	);
+	const ops = [];
+	for (const item of selected) {
+		const payload = restored(item);
+		const current = liveById.get(liveId(item.id));
+		const slug = item.fieldData?.slug || item.id;
+		if (!current) {
+			const fieldData = Object.fromEntries(
+				Object.entries(payload.fieldData).filter(([, v]) => v !== null),
+			);
+			ops.push({
+				action: "create",
+				itemId: item.id,
+				slug,
+				payload: { ...payload, fieldData },
+				changes: diffItem({ fieldData: {} }, { ...payload, fieldData }),
+				publish: wasLive(item),
+			});
+			continue;
+		}
+		const changes = diffItem(current, payload, slugs);
+		if (changes.length > 0) {
+			ops.push({
+				action: "update",
+				itemId: current.id,
+				slug,
+				payload: changedOnly(payload, changes),
+				changes,
+				publish: wasLive(item),
+			});
+		}
+	}
+
+	// Locale variants of the selected items: compared with the live variant,
+	// or the primary content a recreated item's variant starts from
+	const selectedIds = new Set(selected.map((i) => i.id));
+	for (const [locale, { cmsLocaleId, items }] of Object.entries(
+		collection.locales || {},
+	)) {
+		const liveVariants = new Map(
+			(live.locales?.[locale] || []).map((i) => [i.id, i]),
+		);
+		const primaries = new Map(selected.map((i) => [i.id, i]));
+		for (const variant of items.filter((i) => selectedIds.has(i.id))) {
+			const payload = restored(variant);
+			const current =
+				liveVariants.get(liveId(variant.id)) ||
+				restored(primaries.get(variant.id));
+			const changes = diffItem(current, payload, slugs);
+			if (changes.length === 0) continue;
+			ops.push({
+				action: "update",
+				itemId: liveId(variant.id),
+				slug: variant.fieldData?.slug || variant.id,
+				locale,
+				cmsLocaleId,
+				payload: changedOnly(payload, changes),
+				changes,
+				publish: wasLive(variant),
+			});
+		}
+	}
+
+	const matched = new Set(idMap.values());
+	const extra = itemIds
+		? []
+		: live.items.filter((i) => !inSnapshot.has(i.id) && !matched.has(i.id));
+	if (prune) {
+		for (const item of extra) {
+			ops.push({
+				action: "delete",
+				itemId: item.id,
+				slug: item.fieldData?.slug || item.id,
+				changes: [],
+			});
+		}
+	}
+	return { ops, extra, droppedFields };
+}
+
+/**
+ * The collection as Webflow has it now, for planRestore
+ * @param {Object} collection - Collection of the backup
+ * @returns {Promise<Object>} { schema, items, locales }
+ */
+export async function fetchLive(collection) {
+	const schema = await getCollection(collection.id);
+	const items = await listCollectionItems(collection.id);
+	const locales = {};
+	for (const [tag, { cmsLocaleId }] of Object.entries(
+		collection.locales || {},
+	)) {
+		locales[tag] = await listCollectionItems(collection.id, cmsLocaleId);
+	}
+	return { schema, items, locales };
+}
+
+/**
+ * Write the planned ops: creates first (recording the new ids in idMap),
+ * then updates and deletes, then publish what was live in the snapshot
+ * @param {Object} collection - Collection of the backup
+ * @param {RestoreOp[]} ops - From planRestore
+ * @param {Object} [opts]
+ * @param {Map<string, string>} [opts.idMap] - Filled with snapshot id -> new id
+ * @param {boolean} [opts.publish] - Default true
+ * @returns {Promise<{written: number, failed: number, published: number}>}
+ */
+export async function applyRestore(collection, ops, opts = {}) {
+	const { idMap = new Map(), publish = true } = opts;
+	const counts = { written: 0, failed: 0, published: 0 };
+	const toPublish = new Map(); // item id -> cmsLocaleIds (null: primary)
+	const order = { create: 0, update: 1, delete: 2 };
+
+	for (const op of [...ops].sort((a, b) => order[a.action] - order[b.action])) {
+		const label = `${op.action} ${collection.name}/${op.slug}${op.locale ? ` (${op.locale})` : ""}`;
+		try {
+			let itemId = idMap.get(op.itemId) || op.itemId;
+			if (op.action === "create") {
+				const created = await createCollectionItem(collection.id, op.payload);
+				itemId = created.id;
+				idMap.set(op.itemId, itemId);
+			} else if (op.action === "update") {
+				await updateCollectionItem(collection.id, itemId, {
+					...op.payload,
+					...(op.cmsLocaleId && { cmsLocaleId: op.cmsLocaleId }),
+				});
+			} else {
+				await deleteCollectionItem(collection.id, itemId);
+			}
+			counts.written++;
+			log(`✅ ${label}${itemId !== op.itemId ? ` → ${itemId}` : ""}`);
+			if (op.publish) {
+				const locales = toPublish.get(itemId) || [];
+				locales.push(op.cmsLocaleId || null);
+				toPublish.set(itemId, locales);
+			}
+		} catch (e) {
+			counts.failed++;
+			error(`Failed to ${label}`, e.message);
+		}
+	}
+
+	if (!publish || toPublish.size === 0) return counts;
+	// An item whose primary and variants were written publishes them together
+	const primary = collection.locales
+		? (await getCmsLocaleIds()).get(PRIMARY_LOCALE)
+		: null;
+	const items = [...toPublish].map(([id, locales]) =>
+		locales.every((l) => l === null)
+			? id
+			: { id, cmsLocaleIds: locales.map((l) => l || primary) },
+	);
+	for (let i = 0; i < items.length; i += BULK_LIMIT) {
+		const chunk = items.slice(i, i + BULK_LIMIT);
+		try {
+			const result = await publishCollectionItems(collection.id, chunk);
+			counts.published += result?.publishedItemIds?.length ?? chunk.length;
+			for (const e of result?.errors || []) {
+				counts.failed++;
+				error(`Publishing ${collection.name} item failed`, JSON.stringify(e));
+			}
+		} catch (e) {
+			counts.failed += chunk.length;
+			error(
+				`Publishing ${chunk.length} ${collection.name} item(s) failed`,
+				e.message,
+			);
+		}
+	}
+	return counts;
+}
@@ -0,0 +1,166 @@
+/**
+ * Field-by-field comparison of Webflow items, for the run report (sync.js)
+ * and the restore plan (backup.js)
+ */
+
+import { hashValue } from "./sync-state.js";
+
+// Item properties compared alongside fieldData
+const STATE_KEYS = ["isDraft", "isArchived"];
+
+/**
+ * Value of a field as written: Image fields come back as {fileId, url, alt}
+ * while the sync sends the URL
+ * @param {*} value
+ * @returns {*}
+ */
+export function comparable(value) {
+	return value && typeof value === "object" && "url" in value
+		? value.url
+		: value;
+}
+
+/**
+ * Fields whose value differs between two fieldData objects. A missing field
+ * and an empty one are the same (Webflow leaves empty fields out).
+ * @param {Object} from - Current fieldData
+ * @param {Object} to - fieldData to write
+ * @param {string[]} [slugs] - Fields to compare (default: every field of
+ *   either)
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export function diffFieldData(from = {}, to = {}, slugs) {
+	const fields = slugs || [
+		...new Set([...Object.keys(from), ...Object.keys(to)]),
+	];
+	const empty = (v) => v === undefined || v === null || v === "";
+	return fields
+		.filter((slug) => {
+			const [a, b] = [comparable(from[slug]), comparable(to[slug])];
+			if (empty(a) && empty(b)) return false;
+			return hashValue(a) !== hashValue(b);
+		})
+		.map((slug) => ({ field: slug, from: from[slug], to: to[slug] }));
+}
+
+/**
+ * diffFieldData plus the draft and archived states
+ * @param {Object} current - Item
+ * @param {Object} next - Item or payload ({isDraft, isArchived, fieldData})
+ * @param {string[]} [slugs] - See diffFieldData
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export function diffItem(current, next, slugs) {
+	const changes = diffFieldData(current.fieldData, next.fieldData, slugs);
+	for (const key of STATE_KEYS) {
+		if (key in next && Boolean(current[key]) !== Boolean(next[key])) {
+			changes.push({ field: key, from: Boolean(current[key]), to: next[key] });
+		}
+	}
+	return changes;
+}
+
+/**
+ * Short printable form of a field value
+ * @param {*} value
+ * @param {number} [max] - Longer values are cut, with their length
+ * @returns {string}
+ */
+export function formatValue(value, max = 80) {
+	if (value === undefined || value === null || value === "") return "(empty)";
+	const text = JSON.stringify(comparable(value));
+	return text.length > max
+		? `${text.slice(0, max)}… (${text.length} chars)`
+		: text;
+}
+
+// Block elements that end a line of htmlLines
+const BLOCK_END =
+	/(<\/(?:p|h[1-6]|li|ul|ol|pre|blockquote|figure|table|thead|tbody|tr)>|<br\s*\/?>|<hr\s*\/?>)\s*/g;
+
+/**
+ * HTML as lines, one per block element, for textDiff
+ * @param {string} html
+ * @returns {string[]}
+ */
+export function htmlLines(html) {
+	return String(html ?? "")
+		.replace(BLOCK_END, "$1\n")
+		.split("\n")
+		.map((line) => line.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Line diff of two texts (longest common subsequence), for printing
+ * @param {string[]} from - Lines
+ * @param {string[]} to - Lines
+ * @param {Object} [opts]
+ * @param {number} [opts.context] - Unchanged lines shown around a change
+ * @param {number} [opts.maxLines] - Cut the diff after this many lines
+ * @returns {string[]} Lines prefixed "- " (removed), "+ " (added) or "  ";
+ *   "…" where unchanged lines are left out
+ */
+export function textDiff(from, to, { context = 1, maxLines = 60 } = {}) {
+	// lcs[i][j]: length of the common subsequence of from[i..] and to[j..]
+	const lcs = Array.from({ length: from.length + 1 }, () =>
+		new Array(to.length + 1).fill(0),
+	);
+	for (let i = from.length - 1; i >= 0; i--) {
+		for (let j = to.length - 1; j >= 0; j--) {
+			lcs[i][j] =
+				from[i] === to[j]
+					? lcs[i + 1][j + 1] + 1
+					: Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+	const ops = [];
+	let [i, j] = [0, 0];
+	while (i < from.length || j < to.length) {
+		if (i < from.length && j < to.length && from[i] === to[j]) {
+			ops.push(`  ${from[i]}`);
+			i++;
+			j++;
+		} else if (
+			i < from.length &&
+			(j === to.length || lcs[i + 1][j] >= lcs[i][j + 1])
+		) {
+			ops.push(`- ${from[i++]}`);
+		} else {
+			ops.push(`+ ${to[j++]}`);
+		}
+	}
+
+	// Changed lines with their context; runs of unchanged lines become "…"
+	const changed = ops.map((op) => !op.startsWith("  "));
+	const near = (k) =>
+		changed.slice(Math.max(0, k - context), k + context + 1).some(Boolean);
+	const lines = [];
+	ops.forEach((op, k) => {
+		if (near(k)) lines.push(op);
+		else if (lines.at(-1) !== "…") lines.push("…");
+	});
+	if (lines.length <= maxLines) return lines;
+	return [
+		...lines.slice(0, maxLines),
+		`… (${lines.length - maxLines} more line(s))`,
+	];
+}
+
+/**
+ * One line per changed field, for printing
+ * @param {Array<{field: string, from: *, to: *}>} changes - From diffItem
+ * @param {Object} [opts]
+ * @param {string[]} [opts.htmlFields] - Fields shown as a line diff of their
+ *   HTML (RichText) instead of both values
+ * @returns {string[]}
+ */
+export function describeChanges(changes, { htmlFields = [] } = {}) {
+	return changes.flatMap(({ field, from, to }) => {
+		if (!htmlFields.includes(field)) {
+			return [`${field}: ${formatValue(from)} → ${formatValue(to)}`];
+		}
+		const diff = textDiff(htmlLines(from), htmlLines(to));
+		return [`${field}:`, ...diff.map((line) => `  ${line}`)];
+	});
+}
@@ -0,0 +1,173 @@
+/**
+ * Webflow collection field mapping shared by the sync tools
+ * Loaded from webflow-sync.config.json at the repo root; run
+ * `node tools/fetch-schema.js` to check it against the live collection.
+ * Note: Webflow v2 API uses field slugs in fieldData, not field IDs!
+ *
+ * ENV:
+ *  - WEBFLOW_SYNC_CONFIG (default: <repo>/webflow-sync.config.json)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { REPO_ROOT } from "./posts.js";
+
+export const CONFIG_FILE =
+	process.env.WEBFLOW_SYNC_CONFIG ||
+	path.join(REPO_ROOT, "webflow-sync.config.json");
+
+// ASCII spellings are accepted for the arrows
+const DIRECTIONS = {
+	both: "both",
+	"gh→wf": "gh→wf",
+	"gh->wf": "gh→wf",
+	"wf→gh": "wf→gh",
+	"wf->gh": "wf→gh",
+};
+
+// Collections a Reference field can point at (see authors.js, tags.js)
+const REFERENCES = ["authors", "tags"];
+
+const isEmpty = (v) =>
+	v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length);
+
+/**
+ * Value conversions between frontmatter and fieldData, by `transform` name
+ * Fields without a transform are copied as-is.
+ */
+export const TRANSFORMS = {
+	string: { toWebflow: String, fromWebflow: String },
+	boolean: { toWebflow: Boolean, fromWebflow: Boolean },
+	date: {
+		toWebflow: (v) => new Date(v).toISOString(),
+		fromWebflow: (v) => new Date(v),
+	},
+	"comma-list": {
+		toWebflow: (v) => (Array.isArray(v) ? v.join(", ") : String(v)),
+		fromWebflow: (v) =>
+			String(v)
+				.split(",")
+				.map((t) => t.trim())
+				.filter(Boolean),
+	},
+};
+
+function readConfig() {
+	try {
+		return JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
+	} catch (e) {
+		throw new Error(
+			`Could not read field mapping ${CONFIG_FILE}: ${e.message}`,
+		);
+	}
+}
+
+// The whole config file; `locales` is read by locales.js, `authors` below
+export const SYNC_CONFIG = readConfig();
+
+function loadFields(entries, name) {
+	return (entries || []).map((entry, i) => {
+		const where = `${path.basename(CONFIG_FILE)} ${name}[${i}]`;
+		if (!entry.key || !entry.field || !entry.type) {
+			throw new Error(`${where}: 'key', 'field' and 'type' are required`);
+		}
+		const direction = DIRECTIONS[entry.direction || "both"];
+		if (!direction) {
+			throw new Error(
+				`${where}: unknown direction '${entry.direction}' (expected both, gh→wf or wf→gh)`,
+			);
+		}
+		if (entry.transform && !TRANSFORMS[entry.transform]) {
+			throw new Error(
+				`${where}: unknown transform '${entry.transform}' (expected ${Object.keys(TRANSFORMS).join(", ")})`,
+			);
+		}
+		if (entry.reference && !REFERENCES.includes(entry.reference)) {
+			throw new Error(
+				`${where}: unknown reference '${entry.reference}' (expected ${REFERENCES.join(", ")})`,
+			);
+		}
+		return { ...entry, frontmatter: entry.frontmatter || null, direction };
+	});
+}
+
+/**
+ * Mapping entries in config order
+ * @type {Array<{key: string, frontmatter: string|null, field: string, type: string,
+ *   direction: "both"|"gh→wf"|"wf→gh", transform?: string, required?: boolean,
+ *   reference?: "authors"|"tags", displayName?: string, helpText?: string,
+ *   isRequired?: boolean}>}
+ *   reference: the field holds the id of an author profile synced from
+ *   /authors, or the ids of tag items (MultiReference)
+ */
+export const FIELDS = loadFields(SYNC_CONFIG.fields, "fields");
+
+// Mapping of author profiles (/authors) to the Authors collection, same shape
+export const AUTHOR_FIELDS = loadFields(
+	SYNC_CONFIG.authors?.fields,
+	"authors.fields",
+);
+
+// Field slugs by key, e.g. FIELD_IDS.body === "post-body"
+export const FIELD_IDS = Object.fromEntries(
+	FIELDS.map((f) => [f.key, f.field]),
+);
+
+// Inverse lookup: Webflow field slug -> FIELD_IDS key
+export const FIELD_KEYS = Object.fromEntries(
+	FIELDS.map((f) => [f.field, f.key]),
+);
+
+export function syncsToWebflow(entry) {
+	return entry.direction !== "wf→gh";
+}
+
+export function syncsFromWebflow(entry) {
+	return entry.direction !== "gh→wf";
+}
+
+/**
+ * Read a mapped value from frontmatter and convert it for fieldData
+ * @param {Object} fm - Frontmatter data
+ * @param {Object} entry - Entry of FIELDS
+ * @returns {*} undefined when the post doesn't set it
+ */
+export function frontmatterToField(fm, entry) {
+	if (!entry.frontmatter) return undefined;
+	const value = entry.frontmatter
+		.split(".")
+		.reduce((obj, k) => (obj == null ? undefined : obj[k]), fm);
+	if (isEmpty(value)) return undefined;
+	const transform = TRANSFORMS[entry.transform];
+	return transform ? transform.toWebflow(value) : value;
+}
+
+/**
+ * Write a fieldData value into frontmatter (deleting the key when empty)
+ * @param {Object} fm - Frontmatter data, modified in place
+ * @param {Object} entry - Entry of FIELDS
+ * @param {*} value - fieldData value
+ */
+export function fieldToFrontmatter(fm, entry, value) {
+	if (!entry.frontmatter) return;
+	const transform = TRANSFORMS[entry.transform];
+	const converted =
+		isEmpty(value) || !transform ? value : transform.fromWebflow(value);
+
+	const keys = entry.frontmatter.split(".");
+	const last = keys.pop();
+	let obj = fm;
+	for (const k of keys) {
+		if (typeof obj[k] !== "object" || obj[k] === null) obj[k] = {};
+		obj = obj[k];
+	}
+	if (isEmpty(converted)) delete obj[last];
+	else obj[last] = converted;
+
+	// Drop objects (e.g. `seo`) that were left empty
+	if (keys.length > 0 && Object.keys(obj).length === 0) {
+		let parent = fm;
+		for (const k of keys.slice(0, -1)) parent = parent[k];
+		delete parent[keys.at(-1)];
+	}
+}
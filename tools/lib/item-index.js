@@ -0,0 +1,167 @@
+/**
+ * In-memory index of a collection's items by item id, github-id and slug.
+ * The collection is listed once, on the first lookup, instead of being
+ * scanned for every post; the sync keeps the index current as it creates,
+ * updates and removes items during the run.
+ */
+
+import { FIELD_IDS } from "./fields.js";
+import { listCollectionItems } from "./webflow-api.js";
+
+function log(...a) {
+	console.log("[item-index]", ...a);
+}
+function warn(...a) {
+	console.warn("[item-index:warn]", ...a);
+}
+
+function addKey(map, key, itemId) {
+	if (!key) return;
+	if (!map.has(key)) map.set(key, new Set());
+	map.get(key).add(itemId);
+}
+
+function removeKey(map, key, itemId) {
+	const ids = map.get(key);
+	if (!ids) return;
+	ids.delete(itemId);
+	if (ids.size === 0) map.delete(key);
+}
+
+export class ItemIndex {
+	constructor(collectionId) {
+		this.collectionId = collectionId;
+		this.byId = new Map(); // item id -> item
+		this.byGithubId = new Map(); // github-id -> Set of item ids
+		this.bySlug = new Map(); // slug -> Set of item ids
+		this.loading = null;
+		this.loaded = false;
+	}
+
+	/**
+	 * List the collection, once per index; after a failed listing, the next
+	 * lookup lists it again
+	 * @returns {Promise<ItemIndex>}
+	 */
+	async load() {
+		this.loading ??= listCollectionItems(this.collectionId).then(
+			(items) => {
+				for (const item of items) this.set(item);
+				this.loaded = true;
+				log(
+					`Indexed ${items.length} item(s) of collection ${this.collectionId}`,
+				);
+				this.reportDuplicates();
+			},
+			(e) => {
+				this.loading = null;
+				throw e;
+			},
+		);
+		await this.loading;
+		return this;
+	}
+
+	/**
+	 * Add an item, or replace it after an update
+	 * @param {Object} item - Item as returned by Webflow
+	 */
+	set(item) {
+		if (!item?.id) return;
+		this.delete(item.id);
+		this.byId.set(item.id, item);
+		addKey(this.byGithubId, item.fieldData?.[FIELD_IDS.githubId], item.id);
+		addKey(this.bySlug, item.fieldData?.slug, item.id);
+	}
+
+	/**
+	 * @param {string} itemId
+	 */
+	delete(itemId) {
+		const item = this.byId.get(itemId);
+		if (!item) return;
+		this.byId.delete(itemId);
+		removeKey(this.byGithubId, item.fieldData?.[FIELD_IDS.githubId], itemId);
+		removeKey(this.bySlug, item.fieldData?.slug, itemId);
+	}
+
+	/**
+	 * @param {string} itemId
+	 * @returns {Promise<Object|null>}
+	 */
+	async get(itemId) {
+		await this.load();
+		return this.byId.get(itemId) || null;
+	}
+
+	/**
+	 * Item linked to a post; with duplicates, the oldest one
+	 * @param {string} githubId
+	 * @returns {Promise<Object|null>}
+	 */
+	async findByGithubId(githubId) {
+		await this.load();
+		return this.itemsFor(this.byGithubId, githubId)[0] || null;
+	}
+
+	/**
+	 * @param {string} slug
+	 * @returns {Promise<Object|null>}
+	 */
+	async findBySlug(slug) {
+		await this.load();
+		return this.itemsFor(this.bySlug, slug)[0] || null;
+	}
+
+	itemsFor(map, key) {
+		return [...(map.get(key) || [])]
+			.map((id) => this.byId.get(id))
+			.sort((a, b) =>
+				String(a.createdOn || "").localeCompare(String(b.createdOn || "")),
+			);
+	}
+
+	/**
+	 * Keys shared by more than one item
+	 * @returns {{githubIds: Map<string, Object[]>, slugs: Map<string, Object[]>}}
+	 */
+	duplicates() {
+		const shared = (map) =>
+			new Map(
+				[...map.keys()]
+					.filter((key) => map.get(key).size > 1)
+					.map((key) => [key, this.itemsFor(map, key)]),
+			);
+		return {
+			githubIds: shared(this.byGithubId),
+			slugs: shared(this.bySlug),
+		};
+	}
+
+	reportDuplicates() {
+		const { githubIds, slugs } = this.duplicates();
+		for (const [githubId, items] of githubIds) {
+			warn(
+				`Duplicate github-id ${githubId}: items ${items.map((i) => i.id).join(", ")} (the oldest is updated)`,
+			);
+		}
+		for (const [slug, items] of slugs) {
+			warn(
+				`Duplicate slug ${slug}: items ${items.map((i) => i.id).join(", ")}`,
+			);
+		}
+	}
+
+	/**
+	 * Items that point at a post that no longer exists
+	 * Archived items and items without a github-id don't count.
+	 * @param {Set<string>} liveGithubIds - github-ids of the posts in /posts
+	 * @returns {Array<Object>}
+	 */
+	orphans(liveGithubIds) {
+		return [...this.byGithubId.keys()]
+			.filter((githubId) => !liveGithubIds.has(githubId))
+			.flatMap((githubId) => this.itemsFor(this.byGithubId, githubId))
+			.filter((item) => !item.isArchived);
+	}
+}
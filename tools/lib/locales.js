@@ -0,0 +1,103 @@
+/**
+ * Localized posts and the Webflow CMS locales they are written to
+ * Locales are set under `locales` in webflow-sync.config.json, by the tags
+ * of the site's locales:
+ *
+ *   "locales": { "primary": "en", "secondary": ["fr", "de"] }
+ *
+ * A post is a translation when it lives in posts/<tag>/ or sets
+ * `locale: <tag>` for a secondary locale. It shares its `id` (or file name)
+ * with the post in the primary locale, and is written to that locale's
+ * variant of the same Webflow item. Every other post is in the primary locale.
+ *
+ * ENV:
+ *  - WEBFLOW_SITE_ID (required to sync translations; its locales give the
+ *    cmsLocaleIds)
+ */
+
+import path from "node:path";
+import { CONFIG_FILE, SYNC_CONFIG } from "./fields.js";
+import { POSTS_DIR } from "./posts.js";
+import { getSite } from "./webflow-api.js";
+
+const config = SYNC_CONFIG.locales || {};
+
+export const PRIMARY_LOCALE = config.primary ? String(config.primary) : null;
+export const SECONDARY_LOCALES = (config.secondary || []).map(String);
+// Every configured locale, primary first
+export const LOCALES = [PRIMARY_LOCALE, ...SECONDARY_LOCALES].filter(Boolean);
+
+if (SECONDARY_LOCALES.length > 0 && !PRIMARY_LOCALE) {
+	throw new Error(
+		`${path.basename(CONFIG_FILE)} locales: 'primary' is required with 'secondary'`,
+	);
+}
+
+/**
+ * Locale of a post: its `locale` key, else its posts/<tag>/ directory
+ * @param {Object} fm - Frontmatter data
+ * @param {string} filePath - Path to the markdown file
+ * @returns {string|null} Locale tag (PRIMARY_LOCALE when neither is set)
+ */
+export function getPostLocale(fm, filePath) {
+	if (fm.locale) return String(fm.locale);
+	const [dir] = path.relative(POSTS_DIR, filePath).split(path.sep);
+	return SECONDARY_LOCALES.includes(dir) ? dir : PRIMARY_LOCALE;
+}
+
+/**
+ * @param {Object} fm - Frontmatter data
+ * @param {string} filePath - Path to the markdown file
+ * @returns {string|null} Locale of a translation, null for a post in the
+ *   primary locale (or when no secondary locale is configured)
+ */
+export function translationLocale(fm, filePath) {
+	if (SECONDARY_LOCALES.length === 0) return null;
+	const locale = getPostLocale(fm, filePath);
+	return locale === PRIMARY_LOCALE ? null : locale;
+}
+
+/**
+ * Sync state key of a post: its github-id, suffixed with the locale for a
+ * translation (e.g. "my-post@fr")
+ * @param {string} githubId
+ * @param {string|null} locale - From translationLocale
+ */
+export function localeKey(githubId, locale) {
+	return locale ? `${githubId}@${locale}` : githubId;
+}
+
+let cmsLocaleIds = null;
+
+/**
+ * cmsLocaleId of every configured locale, looked up once from the site; a
+ * failed lookup is not kept, the next call tries again
+ * @returns {Promise<Map<string, string>>} Locale tag -> cmsLocaleId
+ */
+export async function getCmsLocaleIds() {
+	const siteId = process.env.WEBFLOW_SITE_ID;
+	if (!siteId) throw new Error("Syncing translations requires WEBFLOW_SITE_ID");
+
+	cmsLocaleIds ??= getSite(siteId)
+		.then((site) => {
+			const { primary, secondary = [] } = site?.locales || {};
+			const byTag = new Map(
+				[primary, ...secondary]
+					.filter((l) => l?.tag && l.cmsLocaleId)
+					.map((l) => [l.tag, l.cmsLocaleId]),
+			);
+			for (const tag of LOCALES) {
+				if (!byTag.has(tag)) {
+					throw new Error(
+						`Locale '${tag}' of ${path.basename(CONFIG_FILE)} is not a locale of site ${siteId} (site locales: ${[...byTag.keys()].join(", ") || "none"})`,
+					);
+				}
+			}
+			return byTag;
+		})
+		.catch((e) => {
+			cmsLocaleIds = null;
+			throw e;
+		});
+	return cmsLocaleIds;
+}
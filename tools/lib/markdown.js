@@ -0,0 +1,123 @@
+/**
+ * Markdown <-> HTML conversion for Webflow RichText fields
+ */
+
+import rehypeParse from "rehype-parse";
+import rehypeRemark from "rehype-remark";
+import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
+import rehypeStringify from "rehype-stringify";
+import remarkGfm from "remark-gfm";
+import remarkParse from "remark-parse";
+import remarkRehype from "remark-rehype";
+import remarkStringify from "remark-stringify";
+import { unified } from "unified";
+
+export async function mdToHtml(markdown) {
+	// Allow code/pre/table/figure/figcaption in sanitation
+	const schema = structuredClone(defaultSchema);
+	schema.tagNames = Array.from(
+		new Set([
+			...(schema.tagNames || []),
+			"pre",
+			"code",
+			"table",
+			"thead",
+			"tbody",
+			"tr",
+			"th",
+			"td",
+			"figure",
+			"figcaption",
+		]),
+	);
+	schema.attributes = {
+		...(schema.attributes || {}),
+		code: ["className"],
+		img: ["src", "alt", "title", "width", "height", "loading"],
+		a: ["href", "title", "target", "rel"],
+	};
+	const file = await unified()
+		.use(remarkParse)
+		.use(remarkGfm)
+		.use(remarkRehype, { allowDangerousHtml: false })
+		.use(rehypeSanitize, schema)
+		.use(rehypeStringify)
+		.process(markdown);
+	return String(file);
+}
+
+function findElement(node, tagName) {
+	if (node.type === "element" && node.tagName === tagName) return node;
+	for (const child of node.children || []) {
+		const found = findElement(child, tagName);
+		if (found) return found;
+	}
+	return null;
+}
+
+function textContent(node) {
+	if (node.type === "text") return node.value;
+	return (node.children || []).map(textContent).join("");
+}
+
+/**
+ * Webflow wraps RichText images and embeds in
+ * `<figure><div><img|iframe/></div><figcaption/></figure>`.
+ * Images become `![alt](src "caption")`, embeds a link to their source.
+ */
+function figure(state, node) {
+	const caption = findElement(node, "figcaption");
+	const captionText = caption ? textContent(caption).trim() : "";
+	const img = findElement(node, "img");
+	const iframe = findElement(node, "iframe");
+
+	let child;
+	if (img?.properties?.src) {
+		child = {
+			type: "image",
+			url: state.resolve(String(img.properties.src)),
+			title: captionText || null,
+			alt: String(img.properties.alt || ""),
+		};
+	} else if (iframe?.properties?.src) {
+		child = {
+			type: "link",
+			url: state.resolve(String(iframe.properties.src)),
+			title: null,
+			children: [{ type: "text", value: captionText || "Embedded media" }],
+		};
+	} else {
+		return state.all(node);
+	}
+
+	const result = { type: "paragraph", children: [child] };
+	state.patch(node, result);
+	return result;
+}
+
+/**
+ * Convert Webflow RichText HTML to GitHub Flavored Markdown
+ * @param {string} html - RichText HTML (e.g. the `post-body` field)
+ * @param {Object} [options]
+ * @param {(url: string) => string} [options.rewriteUrl] - Map image/link URLs
+ * @returns {Promise<string>} Markdown
+ */
+export async function htmlToMd(html, { rewriteUrl } = {}) {
+	const file = await unified()
+		.use(rehypeParse, { fragment: true })
+		.use(rehypeRemark, { handlers: { figure } })
+		.use(() => (tree) => {
+			if (!rewriteUrl) return;
+			const visit = (node) => {
+				if ((node.type === "image" || node.type === "link") && node.url) {
+					node.url = rewriteUrl(node.url);
+				}
+				for (const child of node.children || []) visit(child);
+			};
+			visit(tree);
+		})
+		.use(remarkGfm)
+		.use(remarkStringify, { bullet: "-", fences: true, rule: "-" })
+		.process(html || "");
+	return String(file);
+}
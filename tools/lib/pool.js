@@ -0,0 +1,50 @@
+/**
+ * Bounded concurrency for per-post work: Markdown conversion, image uploads
+ * and API calls of several posts overlap, while the shared rate limiter in
+ * webflow-api.js keeps the request rate in check.
+ */
+
+/**
+ * Call `fn` for every item, with at most `concurrency` calls in flight
+ * `fn` should handle its own errors; when one rejects, the rest of the items
+ * still run and the returned promise rejects after them, with that error (an
+ * AggregateError when several rejected).
+ * @param {Array} items
+ * @param {number} concurrency - 1 runs the items one after another
+ * @param {(item: *, index: number) => Promise<void>} fn
+ * @returns {Promise<void>} Settles once every item's call has
+ */
+export async function forEachConcurrent(items, concurrency, fn) {
+	let next = 0;
+	const errors = [];
+	const worker = async () => {
+		while (next < items.length) {
+			const i = next++;
+			try {
+				await fn(items[i], i);
+			} catch (e) {
+				errors.push(e);
+			}
+		}
+	};
+	const size = Math.min(Math.max(1, concurrency || 1), items.length);
+	await Promise.all(Array.from({ length: size }, worker));
+	if (errors.length === 1) throw errors[0];
+	if (errors.length > 1) {
+		throw new AggregateError(errors, `${errors.length} items failed`);
+	}
+}
+
+/**
+ * Parse a concurrency setting (CLI flag or env)
+ * @param {string|number|undefined} value
+ * @returns {number} Positive integer (1 when unset)
+ */
+export function parseConcurrency(value) {
+	if (value === undefined || value === "") return 1;
+	const n = Number(value);
+	if (!Number.isInteger(n) || n < 1) {
+		throw new Error(`Concurrency must be a positive integer, got: ${value}`);
+	}
+	return n;
+}
@@ -0,0 +1,262 @@
+/**
+ * Helpers for locating and reading Markdown posts in /posts
+ */
+
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import matter from "gray-matter";
+
+// Resolve repo root relative to this module's location
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const REPO_ROOT = path.resolve(__dirname, "../..");
+export const POSTS_DIR = path.join(REPO_ROOT, "posts");
+export const IMAGE_DIR = path.join(REPO_ROOT, "images");
+
+export function kebab(str) {
+	return String(str || "")
+		.trim()
+		.toLowerCase()
+		.replace(/['".,!?()[\]]+/g, "")
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-+|-+$/g, "");
+}
+
+export function getAllMarkdown() {
+	function walk(dir) {
+		const out = [];
+		for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+			const p = path.join(dir, ent.name);
+			if (ent.isDirectory()) out.push(...walk(p));
+			else if (ent.isFile() && p.endsWith(".md")) out.push(p);
+		}
+		return out;
+	}
+	return fs.existsSync(POSTS_DIR) ? walk(POSTS_DIR) : [];
+}
+
+/**
+ * Read a post and parse its frontmatter
+ * Booleans written as strings (True/yes/1) are normalized.
+ * @param {string} filePath - Path to the markdown file
+ * @returns {{data: Object, content: string}} gray-matter result
+ */
+export function readPost(filePath) {
+	return parsePost(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Read a post as it was at a git revision (e.g. a file deleted since)
+ * @param {string} rev - Commit-ish
+ * @param {string} filePath - Path to the markdown file
+ * @returns {{data: Object, content: string}|null} null if the file didn't exist at rev
+ */
+export function readPostAtRevision(rev, filePath) {
+	try {
+		return parsePost(git("show", `${rev}:${repoRelative(filePath)}`));
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Posts changed between two revisions, with git rename detection
+ * @param {string} fromRev - Commit-ish to diff from
+ * @param {string} [toRev] - Commit-ish to diff to (default HEAD)
+ * A rename whose new file has an `id` of its own, other than the old post's,
+ * is another post: it is listed as the old path deleted and the new added.
+ * @returns {{changed: string[], deleted: string[], renamed: Map<string, string>}}
+ *   Repo-relative paths; `renamed` maps new path -> old path, and the new
+ *   paths are listed in `changed` as well
+ */
+export function diffPosts(fromRev, toRev = "HEAD") {
+	const diff = diffMarkdown("posts", fromRev, toRev);
+	for (const [to, from] of diff.renamed) {
+		const newFm = readPostAtRevision(toRev, to)?.data || {};
+		const oldFm = readPostAtRevision(fromRev, from)?.data || {};
+		if (!isSamePost(newFm, oldFm, from)) {
+			diff.renamed.delete(to);
+			diff.deleted.push(from);
+		}
+	}
+	return diff;
+}
+
+/**
+ * Whether a moved post is still the post of its old path: it has no `id` of
+ * its own (the id came from the file name), or the id of the old post
+ * @param {Object} fm - Frontmatter at the new path
+ * @param {Object} oldFm - Frontmatter at the old path
+ * @param {string} oldPath
+ * @returns {boolean}
+ */
+export function isSamePost(fm, oldFm, oldPath) {
+	return !fm.id || String(fm.id) === getUniqueId(oldFm, oldPath);
+}
+
+/**
+ * Markdown files changed in a directory between two revisions (as diffPosts)
+ * @param {string} dir - Repo-relative directory, e.g. "authors"
+ * @param {string} fromRev - Commit-ish to diff from
+ * @param {string} [toRev] - Commit-ish to diff to (default HEAD)
+ */
+export function diffMarkdown(dir, fromRev, toRev = "HEAD") {
+	const out = git(
+		"diff",
+		"--name-status",
+		// Only near-identical files: a rewrite in the same commit as a delete
+		// is not a move
+		"--find-renames=90%",
+		fromRev,
+		toRev,
+		"--",
+		dir,
+	);
+	const isPost = (f) => Boolean(f?.startsWith(`${dir}/`) && f.endsWith(".md"));
+	const changed = [];
+	const deleted = [];
+	const renamed = new Map();
+
+	for (const line of out.split("\n").filter(Boolean)) {
+		const [status, from, to] = line.split("\t");
+		if (status.startsWith("R")) {
+			if (isPost(to)) changed.push(to);
+			if (isPost(to) && isPost(from)) renamed.set(to, from);
+			else if (isPost(from)) deleted.push(from);
+		} else if (status.startsWith("C")) {
+			if (isPost(to)) changed.push(to);
+		} else if (status === "D") {
+			if (isPost(from)) deleted.push(from);
+		} else if (isPost(from)) {
+			changed.push(from);
+		}
+	}
+
+	return { changed, deleted, renamed };
+}
+
+// `git hash-object -t tree /dev/null`: diffing from it lists every post as added
+export const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+/**
+ * Resolve a revision to a commit SHA
+ * @param {string} rev - Commit-ish
+ * @returns {string|null} null if it doesn't name a commit in this checkout
+ */
+export function resolveCommit(rev) {
+	try {
+		return git("rev-parse", "--verify", "--quiet", `${rev}^{commit}`).trim();
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * @param {string} rev - Commit-ish
+ * @param {string} [headRev] - Commit-ish (default HEAD)
+ * @returns {boolean} true if rev is headRev or one of its ancestors
+ */
+export function isAncestor(rev, headRev = "HEAD") {
+	try {
+		git("merge-base", "--is-ancestor", rev, headRev);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Point a ref at a commit, creating the ref if needed
+ * @param {string} ref - Full name, e.g. refs/tags/webflow-synced
+ * @param {string} sha - Commit SHA
+ */
+export function updateRef(ref, sha) {
+	git("update-ref", ref, sha);
+}
+
+/**
+ * Path relative to the repo root with forward slashes (as git prints it)
+ * @param {string} filePath - Absolute, or relative to the repo root
+ */
+export function repoRelative(filePath) {
+	return path
+		.relative(REPO_ROOT, path.resolve(REPO_ROOT, filePath))
+		.split(path.sep)
+		.join("/");
+}
+
+function git(...args) {
+	return execFileSync("git", args, {
+		cwd: REPO_ROOT,
+		encoding: "utf8",
+		stdio: "pipe",
+	});
+}
+
+/**
+ * Parse a post's source, as readPost
+ * @param {string} src - Markdown with frontmatter
+ * @returns {{data: Object, content: string, matter: string}}
+ */
+export function parsePost(src) {
+	// Options turn off gray-matter's cache: a cached copy shares its data
+	// object and drops the raw `matter` text, which pull.js writes back
+	const fm = matter(src, {});
+
+	// Normalize booleans if authors used True/False
+	["published", "push_to_webflow"].forEach((k) => {
+		if (k in fm.data) {
+			const v = fm.data[k];
+			if (typeof v === "string") {
+				fm.data[k] = /^(true|yes|1)$/i.test(v);
+			}
+		}
+	});
+
+	return fm;
+}
+
+export function trimToExcerpt(html, max = 160) {
+	const text = html
+		.replace(/<style[\s\S]*?<\/style>/g, "")
+		.replace(/<script[\s\S]*?<\/script>/g, "")
+		.replace(/<[^>]+>/g, " ")
+		.replace(/\s+/g, " ")
+		.trim();
+	return text.slice(0, max);
+}
+
+/**
+ * Whether a post is scheduled: `published: true` with a `date` in the future
+ * Scheduled posts are synced as drafts; publish-scheduled.js publishes them
+ * once the date has passed.
+ * @param {Object} fm - Frontmatter data
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isScheduled(fm, now = new Date()) {
+	if (!fm.published || !fm.date) return false;
+	const date = new Date(fm.date);
+	return !Number.isNaN(date.getTime()) && date > now;
+}
+
+/**
+ * Determine unique identifier for a post
+ * Uses frontmatter `id` if present, otherwise generates from file path
+ * @param {Object} fm - Frontmatter data
+ * @param {string} filePath - Full path to the markdown file
+ * @returns {string} Unique identifier
+ */
+export function getUniqueId(fm, filePath) {
+	// Use frontmatter id if present
+	if (fm.id) {
+		return String(fm.id);
+	}
+
+	// Generate stable ID from file path: filename without extension
+	const relativePath = path.relative(POSTS_DIR, filePath);
+	const baseName = path.basename(relativePath, path.extname(relativePath));
+	return baseName;
+}
@@ -0,0 +1,234 @@
+/**
+ * PR preview: what the sync would do with the posts of a pull request, as a
+ * single comment on the PR that is updated on every push (see
+ * preview-sync.js).
+ *
+ * ENV:
+ *  - GITHUB_TOKEN (to comment on the PR)
+ *  - GITHUB_API_URL (auto in Actions; default https://api.github.com)
+ */
+
+import { formatValue, htmlLines, textDiff } from "./field-diff.js";
+import { tableCell } from "./report.js";
+
+// Finds the comment to update; GitHub doesn't render it
+export const PREVIEW_MARKER = "<!-- webflow-sync-preview -->";
+
+// GitHub rejects comments over 65536 characters
+const MAX_COMMENT_LENGTH = 65000;
+
+const ICONS = {
+	create: "➕",
+	update: "✏️",
+	unchanged: "⏭️",
+	conflict: "⚠️",
+	archive: "📦",
+	delete: "🗑️",
+	skipped: "⏭️",
+	failed: "❌",
+};
+
+/**
+ * @typedef {Object} Problem
+ * @property {string} level - "error" or "warning"
+ * @property {string} message
+ * @property {string} [file] - Repo-relative path
+ */
+
+/**
+ * Changes of one file as the lines of a ```diff block: the item's value
+ * ("-") and the post's ("+") per field, HTML fields as a line diff
+ * @param {Array<{field: string, from: *, to: *}>} changes - From diffItem
+ * @param {string[]} htmlFields - See HTML_FIELDS in sync.js
+ * @returns {string[]}
+ */
+function changesToDiff(changes, htmlFields) {
+	const empty = (v) => v === undefined || v === null || v === "";
+	return changes.flatMap(({ field, from, to }) => {
+		const lines = [`@@ ${field} @@`];
+		if (htmlFields.includes(field)) {
+			return [...lines, ...textDiff(htmlLines(from), htmlLines(to))];
+		}
+		if (!empty(from)) lines.push(`- ${formatValue(from, 200)}`);
+		if (!empty(to)) lines.push(`+ ${formatValue(to, 200)}`);
+		return lines;
+	});
+}
+
+/**
+ * The preview comment
+ * @param {RunReport} report - Of a dry run over the changed posts
+ * @param {Object} [opts]
+ * @param {Problem[]} [opts.problems] - From validate-frontmatter.js
+ * @param {string[]} [opts.htmlFields] - See HTML_FIELDS in sync.js
+ * @param {string} [opts.base] - Commit the changes are diffed from
+ * @param {string} [opts.head] - Commit previewed
+ * @returns {string} Markdown, PREVIEW_MARKER first
+ */
+export function previewToMarkdown(
+	report,
+	{ problems = [], htmlFields = [], base, head } = {},
+) {
+	const { files } = report.toJSON();
+	const plannedOf = (entry) => entry.planned || entry.action;
+	const counts = new Map();
+	for (const entry of files) {
+		counts.set(plannedOf(entry), (counts.get(plannedOf(entry)) || 0) + 1);
+	}
+	const totals = [...counts].map(([planned, n]) => `${n} ${planned}`);
+	const range =
+		base && head ? ` (\`${base.slice(0, 7)}\`…\`${head.slice(0, 7)}\`)` : "";
+
+	const lines = [
+		PREVIEW_MARKER,
+		"### Webflow sync preview",
+		"",
+		`**${totals.join(" · ") || "No posts changed"}**${range}`,
+		"",
+	];
+	if (files.length > 0) {
+		lines.push(
+			"| File | Planned | Item | Details |",
+			"| --- | --- | --- | --- |",
+		);
+		for (const entry of files) {
+			const planned = plannedOf(entry);
+			lines.push(
+				`| ${[
+					`\`${entry.file}\``,
+					`${ICONS[planned] || ""} ${planned}`,
+					entry.itemId ? `\`${entry.itemId}\`` : "",
+					(entry.error || entry.reason || "").replace(/^dry run: /, ""),
+				]
+					.map(tableCell)
+					.join(" | ")} |`,
+			);
+		}
+		lines.push("");
+	}
+
+	if (problems.length > 0) {
+		const errors = problems.filter((p) => p.level === "error").length;
+		lines.push(
+			`#### Validation: ${errors} error(s), ${problems.length - errors} warning(s)`,
+			"",
+		);
+		for (const p of problems) {
+			const icon = p.level === "error" ? "❌" : "⚠️";
+			lines.push(`- ${icon} ${p.file ? `\`${p.file}\`: ` : ""}${p.message}`);
+		}
+		lines.push("");
+	}
+
+	const footer = [
+		"",
+		"<sub>Planned against the live Webflow collection; nothing is written until the PR is merged and synced. Updated on every push.</sub>",
+	];
+
+	// Field diffs last: they are cut first when the comment grows too long
+	const diffs = files
+		.filter((entry) => entry.changes?.length > 0)
+		.map((entry) =>
+			[
+				`<details><summary><code>${entry.file}</code>: ${entry.changes.length} field(s)</summary>`,
+				"",
+				"```diff",
+				...changesToDiff(entry.changes, htmlFields),
+				"```",
+				"",
+				"</details>",
+			].join("\n"),
+		);
+	if (diffs.length > 0) lines.push("#### Field changes", "");
+	let body = lines.join("\n");
+	const room = MAX_COMMENT_LENGTH - footer.join("\n").length - 200;
+	for (const [i, diff] of diffs.entries()) {
+		if (body.length + diff.length + 1 > room) {
+			body += `\n_${diffs.length - i} more diff(s) left out: the comment is too long (see the job log)._\n`;
+			break;
+		}
+		body += `\n${diff}\n`;
+	}
+	return `${body}\n${footer.join("\n")}\n`;
+}
+
+/**
+ * A GitHub REST API request
+ * @param {string} apiPath - e.g. /repos/owner/repo/issues/1/comments
+ * @param {Object} [opts]
+ * @param {string} [opts.method]
+ * @param {Object} [opts.body]
+ * @returns {Promise<*>} The parsed response
+ */
+async function github(apiPath, { method = "GET", body } = {}) {
+	const token = process.env.GITHUB_TOKEN;
+	if (!token) throw new Error("Missing required env: GITHUB_TOKEN");
+	const base = process.env.GITHUB_API_URL || "https://api.github.com";
+	const res = await fetch(`${base}${apiPath}`, {
+		method,
+		headers: {
+			authorization: `Bearer ${token}`,
+			accept: "application/vnd.github+json",
+			...(body && { "content-type": "application/json" }),
+		},
+		body: body && JSON.stringify(body),
+	});
+	if (!res.ok) {
+		const text = await res.text();
+		const error = new Error(
+			`GitHub ${method} ${apiPath} failed (${res.status}): ${text}`,
+		);
+		error.status = res.status;
+		throw error;
+	}
+	return res.json();
+}
+
+/**
+ * The preview comment of a PR, found by PREVIEW_MARKER
+ * @param {string} repo - owner/repo
+ * @param {number|string} pr - PR number
+ * @returns {Promise<Object|null>}
+ */
+export async function findPreviewComment(repo, pr) {
+	for (let page = 1; ; page++) {
+		const comments = await github(
+			`/repos/${repo}/issues/${pr}/comments?per_page=100&page=${page}`,
+		);
+		const found = comments.find((c) => c.body?.startsWith(PREVIEW_MARKER));
+		if (found) return found;
+		if (comments.length < 100) return null;
+	}
+}
+
+/**
+ * Update the preview comment of a PR, or add it
+ * @param {string} repo - owner/repo
+ * @param {number|string} pr - PR number
+ * @param {string} body - From previewToMarkdown
+ * @param {Object} [opts]
+ * @param {boolean} [opts.updateOnly] - Don't add a comment when there is
+ *   none yet (e.g. nothing to preview)
+ * @returns {Promise<{comment: Object|null, created: boolean}>}
+ */
+export async function upsertPreviewComment(
+	repo,
+	pr,
+	body,
+	{ updateOnly = false } = {},
+) {
+	const existing = await findPreviewComment(repo, pr);
+	if (existing) {
+		const comment = await github(
+			`/repos/${repo}/issues/comments/${existing.id}`,
+			{ method: "PATCH", body: { body } },
+		);
+		return { comment, created: false };
+	}
+	if (updateOnly) return { comment: null, created: false };
+	const comment = await github(`/repos/${repo}/issues/${pr}/comments`, {
+		method: "POST",
+		body: { body },
+	});
+	return { comment, created: true };
+}
@@ -0,0 +1,457 @@
+/**
+ * Webflow → GitHub: write Webflow CMS (v2) items back into Markdown posts.
+ * Maps fieldData back through webflow-sync.config.json and converts the
+ * RichText body to GitHub Flavored Markdown. Shared by pull-webflow.js and
+ * webhook-server.js. Items are pulled in the primary locale; translations
+ * (see locales.js) are left alone.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import matter from "gray-matter";
+import { assetUrlToPath } from "./assets.js";
+import {
+	AUTHOR_REFERENCE,
+	findAuthor,
+	listAuthorItems,
+	readAuthors,
+} from "./authors.js";
+import {
+	FIELD_IDS,
+	FIELD_KEYS,
+	FIELDS,
+	fieldToFrontmatter,
+	frontmatterToField,
+	syncsFromWebflow,
+} from "./fields.js";
+import { translationLocale } from "./locales.js";
+import { htmlToMd, mdToHtml } from "./markdown.js";
+import {
+	getAllMarkdown,
+	getUniqueId,
+	isScheduled,
+	kebab,
+	POSTS_DIR,
+	parsePost,
+	readPost,
+	trimToExcerpt,
+} from "./posts.js";
+import { recordSyncedItem, saveSyncState } from "./sync-state.js";
+import { listTagItems, TAG_REFERENCE, tagNames } from "./tags.js";
+
+const REPO = process.env.GITHUB_REPOSITORY || process.env.GH_REPOSITORY; // owner/repo
+const FIELDS_BY_KEY = Object.fromEntries(FIELDS.map((f) => [f.key, f]));
+
+// Frontmatter key order for newly created posts (matches the README)
+const KEY_ORDER = [
+	"id",
+	"title",
+	"slug",
+	"date",
+	"image",
+	"author",
+	"link",
+	"published",
+	"push_to_webflow",
+	"post_id",
+	"last_update",
+	"tags",
+	"excerpt",
+	"seo",
+];
+
+function log(...a) {
+	console.log("[pull-webflow]", ...a);
+}
+function warn(...a) {
+	console.warn("[pull-webflow:warn]", ...a);
+}
+function error(msg, e) {
+	console.error("[pull-webflow:error]", msg);
+	if (e) console.error(e?.stack || e);
+}
+
+/**
+ * Turn uploaded asset URLs and commit-pinned raw GitHub URLs for this repo
+ * back into repo-relative paths (inverse of resolveImageUrl in sync.js)
+ */
+function toRepoPath(url) {
+	const assetPath = assetUrlToPath(url);
+	if (assetPath) return assetPath;
+	if (!REPO) return url;
+	const prefix = `https://raw.githubusercontent.com/${REPO}/`;
+	if (!url.startsWith(prefix)) return url;
+	const rest = url.slice(prefix.length);
+	return `/${rest.slice(rest.indexOf("/") + 1)}`;
+}
+
+/**
+ * Index local posts in the primary locale by Webflow item id, github-id and
+ * slug
+ * @returns {{byItemId: Map, byGithubId: Map, bySlug: Map}}
+ */
+export function indexPosts() {
+	const byItemId = new Map();
+	const byGithubId = new Map();
+	const bySlug = new Map();
+	for (const filePath of getAllMarkdown()) {
+		const { data } = readPost(filePath);
+		if (translationLocale(data, filePath)) continue;
+		if (data.post_id) byItemId.set(String(data.post_id), filePath);
+		byGithubId.set(getUniqueId(data, filePath), filePath);
+		if (data.title || data.slug)
+			bySlug.set(data.slug ? String(data.slug) : kebab(data.title), filePath);
+	}
+	return { byItemId, byGithubId, bySlug };
+}
+
+function imageUrl(value) {
+	if (!value) return undefined;
+	return typeof value === "string" ? value : value.url;
+}
+
+function sameInstant(a, b) {
+	if (!a || !b) return false;
+	return new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * Map an item's fieldData onto (a copy of) existing frontmatter
+ * Only fields mapped from Webflow (direction both or wf→gh) are written.
+ * @param {Object} item - Webflow item
+ * @param {Object} existing - Current frontmatter ({} for new posts)
+ * @param {string} html - RichText body of the item
+ * @param {string} baseName - File name (without .md) the post is stored under
+ * @param {{authors: Object|null, tags: Map|null}} refs - From loadAuthors
+ *   and loadTags; references are left alone without them
+ * @returns {Object} Frontmatter data
+ */
+function fieldDataToFrontmatter(item, existing, html, baseName, refs) {
+	const data = structuredClone(existing);
+	const fieldData = item.fieldData || {};
+
+	for (const [slug, value] of Object.entries(fieldData)) {
+		const entry = FIELDS_BY_KEY[FIELD_KEYS[slug]];
+		if (!entry || !syncsFromWebflow(entry)) continue;
+
+		if (entry.reference === "authors") {
+			if (refs.authors) pullAuthor(data, entry, value, refs.authors);
+			continue;
+		}
+		if (entry.reference === "tags") {
+			if (refs.tags) pullTags(data, entry, value, refs.tags);
+			continue;
+		}
+
+		switch (entry.key) {
+			case "body":
+				// Converted separately
+				break;
+			case "slug":
+				// Only persist an explicit slug when it can't be derived from the title
+				if (existing.slug || value !== kebab(fieldData[FIELD_IDS.name])) {
+					data.slug = String(value);
+				}
+				break;
+			case "mainImage": {
+				const url = imageUrl(value);
+				// Webflow re-hosts images; keep the local path if the file name still matches
+				const current = existing.image ? String(existing.image) : "";
+				if (
+					current &&
+					url &&
+					path.basename(url).endsWith(path.basename(current))
+				) {
+					break;
+				}
+				fieldToFrontmatter(data, entry, url && toRepoPath(url));
+				break;
+			}
+			case "publishDate":
+				if (!sameInstant(existing.date, value)) {
+					fieldToFrontmatter(data, entry, value);
+				}
+				break;
+			case "githubId":
+				if (value && value !== baseName) fieldToFrontmatter(data, entry, value);
+				break;
+			case "isPublished":
+				// Scheduled posts are drafts in Webflow until their date
+				if (!(value === false && isScheduled(existing))) {
+					fieldToFrontmatter(data, entry, value);
+				}
+				break;
+			case "excerpt":
+				// Auto-generated excerpts are not written back
+				if (existing.excerpt || value !== trimToExcerpt(html, 160)) {
+					fieldToFrontmatter(data, entry, value);
+				}
+				break;
+			default:
+				fieldToFrontmatter(data, entry, value);
+				break;
+		}
+	}
+
+	if (!(FIELD_IDS.isPublished in fieldData) && !isScheduled(existing)) {
+		data.published = !item.isDraft;
+	}
+	if (!("push_to_webflow" in data)) data.push_to_webflow = true;
+	data.post_id = item.id;
+	return data;
+}
+
+/**
+ * Profile ids of the Authors collection items, and the profiles in /authors
+ * @returns {Promise<{profileIds: Map<string, string>, profiles: Map<string, Object>}|null>}
+ *   null when no field references authors, or the collection can't be listed
+ */
+async function loadAuthors() {
+	if (!AUTHOR_REFERENCE) return null;
+	try {
+		return { profileIds: await listAuthorItems(), profiles: readAuthors() };
+	} catch (e) {
+		warn(`Leaving authors unchanged: ${e.message}`);
+		return null;
+	}
+}
+
+/**
+ * Write an author reference back as the profile id, unless the post already
+ * names that profile (by id or name)
+ */
+function pullAuthor(data, entry, itemId, { profileIds, profiles }) {
+	if (!itemId) {
+		fieldToFrontmatter(data, entry, undefined);
+		return;
+	}
+	const profileId = profileIds.get(itemId);
+	if (!profileId) {
+		warn(`Author item ${itemId} has no profile in /authors; leaving author`);
+		return;
+	}
+	const named = frontmatterToField(data, entry);
+	const current = named && findAuthor(profiles, named);
+	if (current?.id !== profileId) fieldToFrontmatter(data, entry, profileId);
+}
+
+/**
+ * Names of the items in the Tags collection
+ * @returns {Promise<Map<string, string>|null>} Item id -> tag name; null
+ *   when tags are plain text, or the collection can't be listed
+ */
+async function loadTags() {
+	if (!TAG_REFERENCE) return null;
+	try {
+		return await listTagItems();
+	} catch (e) {
+		warn(`Leaving tags unchanged: ${e.message}`);
+		return null;
+	}
+}
+
+/**
+ * Write tag references back as tag names, unless the post's tags already
+ * have those slugs (e.g. spelled "web development" for web-development)
+ */
+function pullTags(data, entry, itemIds, tagItems) {
+	const ids = Array.isArray(itemIds) ? itemIds : [];
+	const unknown = ids.filter((id) => !tagItems.has(id));
+	if (unknown.length > 0) {
+		warn(`Tag item(s) ${unknown.join(", ")} not found; leaving tags`);
+		return;
+	}
+	const names = ids.map((id) => tagItems.get(id));
+	const current = tagNames(frontmatterToField(data, entry));
+	const slugs = (list) => list.map(kebab).join(",");
+	if (slugs(current) !== slugs(names)) fieldToFrontmatter(data, entry, names);
+}
+
+function orderKeys(data) {
+	const ordered = {};
+	for (const key of KEY_ORDER) if (key in data) ordered[key] = data[key];
+	return { ...ordered, ...data };
+}
+
+function comparable(data) {
+	return JSON.stringify(data, (_key, value) =>
+		value instanceof Date ? value.toISOString() : value,
+	);
+}
+
+// A top-level key of a YAML block, e.g. `title:`, `"seo":`
+const YAML_KEY = /^(?:"([^"]+)"|'([^']+)'|([^\s#'"-][^:]*?)):(?:\s|$)/;
+
+/**
+ * The lines of raw YAML by top-level key. Comments and blank lines before a
+ * key belong to it; indented lines and list items to the key above.
+ * @param {string} raw - Frontmatter as written, without the delimiters
+ * @returns {{blocks: Map<string, {prefix: string[], body: string[]}>, trailer: string[]}}
+ */
+function yamlBlocks(raw) {
+	const blocks = new Map();
+	let current = null;
+	let pending = [];
+	for (const line of raw.replace(/^\n/, "").replace(/\n$/, "").split("\n")) {
+		const key = line.match(YAML_KEY);
+		if (key) {
+			current = { prefix: pending, body: [line] };
+			blocks.set(key[1] ?? key[2] ?? key[3].trim(), current);
+			pending = [];
+		} else if (current && /^(\s+\S|-(\s|$))/.test(line)) {
+			current.body.push(...pending, line);
+			pending = [];
+		} else {
+			pending.push(line);
+		}
+	}
+	return { blocks, trailer: pending };
+}
+
+// One key as YAML, the way gray-matter writes it
+function yamlOf(key, value) {
+	const out = matter.stringify("", { [key]: value });
+	return out.slice("---\n".length, out.lastIndexOf("---\n")).replace(/\n$/, "");
+}
+
+/**
+ * A post with its frontmatter. Keys whose value didn't change keep their
+ * text as written (quotes, date format, list style, comments), so a pull
+ * only shows the values that came from Webflow in the diff.
+ * @param {string} content - Markdown body
+ * @param {Object} data - Frontmatter to write
+ * @param {{data: Object, matter?: string}} [existing] - From readPost
+ * @returns {string}
+ */
+function stringifyPost(content, data, existing) {
+	if (!existing?.matter) return matter.stringify(content, data);
+	const { blocks, trailer } = yamlBlocks(existing.matter);
+	const lines = [];
+	for (const [key, value] of Object.entries(data)) {
+		if (value === undefined) continue;
+		const block = blocks.get(key);
+		const same =
+			block &&
+			key in existing.data &&
+			comparable(value) === comparable(existing.data[key]);
+		if (block) lines.push(...block.prefix);
+		lines.push(...(same ? block.body : [yamlOf(key, value)]));
+	}
+	lines.push(...trailer);
+	const output = `---\n${lines.join("\n")}\n---\n${content.endsWith("\n") ? content : `${content}\n`}`;
+
+	// Whatever YAML the text-preserving pass can't follow is written anew
+	let parsed;
+	try {
+		parsed = parsePost(output).data;
+	} catch (e) {
+		warn(
+			`Frontmatter kept as written doesn't parse (${e.message.split("\n")[0]}); rewriting it`,
+		);
+	}
+	if (parsed && comparable(parsed) === comparable(data)) return output;
+	return matter.stringify(content, data);
+}
+
+/**
+ * Write a Webflow item to its Markdown file
+ * @param {Object} item - Webflow item
+ * @param {Object} posts - Index from indexPosts()
+ * @param {{dryRun: boolean, authors?: Object, tags?: Map}} opts - authors,
+ *   tags: from loadAuthors and loadTags
+ * @returns {Promise<"created"|"updated"|"unchanged">}
+ */
+export async function pullItem(
+	item,
+	posts,
+	{ dryRun, authors = null, tags = null },
+) {
+	const fieldData = item.fieldData || {};
+	const githubId = fieldData[FIELD_IDS.githubId];
+	const slug = fieldData[FIELD_IDS.slug];
+
+	const existingPath =
+		posts.byItemId.get(item.id) ||
+		(githubId && posts.byGithubId.get(githubId)) ||
+		(slug && posts.bySlug.get(slug));
+	const filePath =
+		existingPath || path.join(POSTS_DIR, `${githubId || slug || item.id}.md`);
+	const baseName = path.basename(filePath, ".md");
+	if (!existingPath && !githubId) {
+		warn(`Item ${item.id} has no ${FIELD_IDS.githubId}; naming file by slug`);
+	}
+	const existing = existingPath
+		? readPost(existingPath)
+		: { data: {}, content: "" };
+
+	const html = String(fieldData[FIELD_IDS.body] || "");
+	const data = fieldDataToFrontmatter(item, existing.data, html, baseName, {
+		authors,
+		tags,
+	});
+
+	// Keep the author's Markdown when it still renders to the same HTML
+	let content = existing.content;
+	const markdown = await htmlToMd(html, { rewriteUrl: toRepoPath });
+	if (
+		!existingPath ||
+		(await mdToHtml(content)) !== (await mdToHtml(markdown))
+	) {
+		content = `\n${markdown}`;
+	}
+
+	const changed =
+		!existingPath ||
+		content !== existing.content ||
+		comparable(data) !== comparable(existing.data);
+	// Repo and Webflow agree after this pull: it is the new conflict baseline
+	if (!dryRun) recordSyncedItem(getUniqueId(data, filePath), item);
+	if (!changed) {
+		log(`Unchanged: ${filePath}`);
+		return "unchanged";
+	}
+	// last_update mirrors Webflow's lastUpdated for the content we pulled
+	if (item.lastUpdated) data.last_update = item.lastUpdated;
+
+	const action = existingPath ? "updated" : "created";
+	const relPath = path.relative(process.cwd(), filePath);
+	if (dryRun) {
+		log(`(dry-run) Would write ${relPath} (${action}) from item ${item.id}`);
+		return action;
+	}
+
+	const output = existingPath
+		? stringifyPost(content, data, existing)
+		: matter.stringify(content, orderKeys(data));
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, output, "utf8");
+	log(
+		`✅ ${action === "created" ? "Created" : "Updated"} ${relPath} from item ${item.id}`,
+	);
+	return action;
+}
+
+/**
+ * Pull a list of items, continuing past individual failures
+ * @param {Array<Object>} items - Webflow items
+ * @param {{dryRun: boolean}} opts
+ * @returns {Promise<{created: number, updated: number, unchanged: number, failed: number}>}
+ */
+export async function pullItems(items, opts) {
+	const posts = indexPosts();
+	const authors = await loadAuthors();
+	const tags = await loadTags();
+	const counts = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+
+	for (const item of items) {
+		try {
+			counts[await pullItem(item, posts, { ...opts, authors, tags })]++;
+		} catch (e) {
+			counts.failed++;
+			error(`Failed pulling item ${item.id}`, e);
+		}
+	}
+
+	if (!opts.dryRun) saveSyncState();
+	return counts;
+}
@@ -0,0 +1,286 @@
+/**
+ * Machine-readable record of a sync run: per file, the action taken, the
+ * Webflow item, the fields written, how long it took and why it failed.
+ * sync-webflow.js saves it as JSON and, in GitHub Actions, renders it as a
+ * Markdown table into the job summary.
+ *
+ * ENV:
+ *  - SYNC_REPORT_FILE (default: <repo>/.webflow-sync/report.json)
+ *  - GITHUB_STEP_SUMMARY (auto in Actions: the job summary file)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { REPO_ROOT, repoRelative } from "./posts.js";
+
+export const REPORT_FILE =
+	process.env.SYNC_REPORT_FILE ||
+	path.join(REPO_ROOT, ".webflow-sync", "report.json");
+
+/**
+ * Actions a file can get, in the order the summary lists them:
+ *  - created / updated  the item was written
+ *  - archived / deleted the item of a removed post was removed
+ *  - skipped            nothing to write (see `reason`)
+ *  - failed             see `error`
+ */
+export const REPORT_ACTIONS = [
+	"created",
+	"updated",
+	"archived",
+	"deleted",
+	"skipped",
+	"failed",
+];
+
+/**
+ * What a dry run plans for a file:
+ *  - create / update     the item would be written
+ *  - unchanged           nothing would be written
+ *  - conflict            the item was edited in Webflow; the sync would fail
+ *  - archive / delete    the item of a removed post would be removed
+ */
+export const PLANNED_ACTIONS = [
+	"create",
+	"update",
+	"unchanged",
+	"conflict",
+	"archive",
+	"delete",
+];
+
+const ICONS = {
+	created: "✅",
+	updated: "✅",
+	archived: "🗑️",
+	deleted: "🗑️",
+	skipped: "⏭️",
+	failed: "❌",
+};
+
+/**
+ * @typedef {Object} ReportEntry
+ * @property {string} file - Repo-relative path
+ * @property {string} action - One of REPORT_ACTIONS
+ * @property {string} [itemId] - Webflow item
+ * @property {string[]} [fields] - created: fields sent; updated: fields
+ *   (and isDraft/isArchived) whose value changed
+ * @property {string} [reason] - skipped: why
+ * @property {string} [error] - failed: the error message
+ * @property {number} [durationMs] - From the start of its conversion until
+ *   the outcome (with --batch, includes waiting for the bulk request)
+ * @property {string} [planned] - Dry run: what the sync would do, one of
+ *   PLANNED_ACTIONS (the action is "skipped")
+ * @property {Array<{field: string, from: *, to: *}>} [changes] - Dry run:
+ *   the fields it would write (see diffItem in field-diff.js)
+ */
+
+export class RunReport {
+	/**
+	 * @param {Object} [meta] - Run details saved with the report (e.g. dryRun,
+	 *   commit, branch)
+	 */
+	constructor(meta = {}) {
+		this.meta = meta;
+		this.startedAt = new Date();
+		this.entries = new Map(); // repo-relative path -> ReportEntry
+		this.started = new Map(); // repo-relative path -> Date.now()
+	}
+
+	/**
+	 * Start timing a file
+	 * @param {string} filePath
+	 */
+	start(filePath) {
+		this.started.set(repoRelative(filePath), Date.now());
+	}
+
+	/**
+	 * Set the outcome of a file; a later outcome replaces an earlier one
+	 * (e.g. a written item whose publish failed)
+	 * @param {string} filePath
+	 * @param {Omit<ReportEntry, "file">} outcome
+	 */
+	record(filePath, outcome) {
+		const file = repoRelative(filePath);
+		const began = this.started.get(file);
+		// The reason or error of an earlier outcome doesn't carry over
+		const kept = { ...this.entries.get(file) };
+		delete kept.reason;
+		delete kept.error;
+		this.entries.set(file, {
+			...kept,
+			file,
+			...outcome,
+			...(began !== undefined && { durationMs: Date.now() - began }),
+		});
+	}
+
+	/**
+	 * Record a write planned by the sync (see planUpsert) that succeeded
+	 * @param {Object} op - { action: create|update|unchanged, filePath, itemId, fields }
+	 */
+	written(op) {
+		if (op.action === "unchanged") {
+			this.skipped(op.filePath, "unchanged since the last sync", op.itemId);
+			return;
+		}
+		this.record(op.filePath, {
+			action: op.action === "create" ? "created" : "updated",
+			itemId: op.itemId,
+			fields: op.fields,
+		});
+	}
+
+	/**
+	 * @param {string} filePath
+	 * @param {string} reason
+	 * @param {string} [itemId]
+	 */
+	skipped(filePath, reason, itemId) {
+		this.record(filePath, {
+			action: "skipped",
+			reason,
+			...(itemId && { itemId }),
+		});
+	}
+
+	/**
+	 * @param {string} filePath
+	 * @param {Error|string} e
+	 */
+	failed(filePath, e) {
+		this.record(filePath, {
+			action: "failed",
+			error: typeof e === "string" ? e : e?.message || String(e),
+		});
+	}
+
+	/**
+	 * Record what a dry run would do with a file
+	 * @param {string} filePath
+	 * @param {Object} plan
+	 * @param {string} plan.planned - One of PLANNED_ACTIONS
+	 * @param {string} plan.reason - For the summary
+	 * @param {string} [plan.itemId]
+	 * @param {Array<{field: string, from: *, to: *}>} [plan.changes]
+	 */
+	planned(filePath, { planned, reason, itemId, changes }) {
+		this.record(filePath, {
+			action: "skipped",
+			reason,
+			planned,
+			...(itemId && { itemId }),
+			...(changes && { changes, fields: changes.map((c) => c.field) }),
+		});
+	}
+
+	/**
+	 * @returns {Object<string, number>} Files per action
+	 */
+	totals() {
+		const totals = Object.fromEntries(REPORT_ACTIONS.map((a) => [a, 0]));
+		for (const entry of this.entries.values()) totals[entry.action]++;
+		return totals;
+	}
+
+	toJSON() {
+		const finishedAt = new Date();
+		return {
+			...this.meta,
+			startedAt: this.startedAt.toISOString(),
+			finishedAt: finishedAt.toISOString(),
+			durationMs: finishedAt - this.startedAt,
+			totals: this.totals(),
+			// Failures first, then by action and path
+			files: [...this.entries.values()].sort(
+				(a, b) => rank(a) - rank(b) || a.file.localeCompare(b.file),
+			),
+		};
+	}
+
+	/**
+	 * The report as a Markdown table, failures first
+	 * @param {string} [title]
+	 * @returns {string}
+	 */
+	toMarkdown(title = "Webflow sync") {
+		const report = this.toJSON();
+		const counts = REPORT_ACTIONS.filter((a) => report.totals[a] > 0).map(
+			(a) => `${report.totals[a]} ${a}`,
+		);
+		const lines = [
+			`### ${title}${report.dryRun ? " (dry run)" : ""}`,
+			"",
+			`**${counts.join(" · ") || "No files"}** in ${seconds(report.durationMs)}${report.commit ? ` at \`${String(report.commit).slice(0, 7)}\`` : ""}`,
+			"",
+		];
+		if (report.files.length === 0) return `${lines.join("\n")}\n`;
+
+		lines.push(
+			"| File | Action | Item | Fields | Time | Details |",
+			"| --- | --- | --- | --- | --- | --- |",
+		);
+		for (const entry of report.files) {
+			const fields =
+				entry.action === "created"
+					? `${entry.fields?.length ?? 0} field(s)`
+					: (entry.fields || []).join(", ");
+			lines.push(
+				`| ${[
+					`\`${entry.file}\``,
+					`${ICONS[entry.action]} ${entry.action}`,
+					entry.itemId ? `\`${entry.itemId}\`` : "",
+					fields,
+					entry.durationMs !== undefined ? seconds(entry.durationMs) : "",
+					entry.error || entry.reason || "",
+				]
+					.map(tableCell)
+					.join(" | ")} |`,
+			);
+		}
+		// Ends with a blank line, so a summary appended after starts anew
+		return `${lines.join("\n")}\n\n`;
+	}
+
+	/**
+	 * Save the JSON report
+	 * @param {string} [file] - Default REPORT_FILE
+	 * @returns {string} The file written
+	 */
+	save(file = REPORT_FILE) {
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(file, `${JSON.stringify(this, null, "\t")}\n`);
+		return file;
+	}
+
+	/**
+	 * Append the Markdown table to the job summary; a no-op outside Actions
+	 * @returns {boolean} true if written
+	 */
+	writeStepSummary() {
+		const file = process.env.GITHUB_STEP_SUMMARY;
+		if (!file) return false;
+		fs.appendFileSync(file, this.toMarkdown());
+		return true;
+	}
+}
+
+function rank(entry) {
+	return entry.action === "failed" ? -1 : REPORT_ACTIONS.indexOf(entry.action);
+}
+
+function seconds(ms) {
+	return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Text for a Markdown table cell, which can't hold pipes or line breaks
+ * @param {*} text
+ * @returns {string}
+ */
+export function tableCell(text) {
+	return String(text)
+		.replace(/\|/g, "\\|")
+		.replace(/\s*\n\s*/g, " ");
+}
@@ -0,0 +1,139 @@
+/**
+ * Desired collection schema vs. the live collection. The desired fields are
+ * the mapping entries of webflow-sync.config.json (type, displayName,
+ * helpText, isRequired, reference); planSchema diffs them against the fields
+ * Webflow returns and create-fields.js prints or applies the result.
+ */
+
+/**
+ * @typedef {Object} SchemaChange
+ * @property {"add"|"update"|"mismatch"} action - add: field is missing;
+ *   update: displayName, helpText or isRequired differ; mismatch: type (or
+ *   referenced collection) differs, which the API can't change
+ * @property {string} slug - Field slug
+ * @property {Object} [field] - add: the field to create
+ * @property {string} [fieldId] - update: id of the live field
+ * @property {Object<string, {from: *, to: *}>} [changes] - update: the
+ *   properties to change
+ * @property {string} [reason] - mismatch: what differs
+ */
+
+/**
+ * Field definition a mapping entry asks for
+ * @param {Object} entry - Entry of FIELDS or AUTHOR_FIELDS
+ * @param {Object<string, string>} referenced - Collection id by `reference`
+ * @returns {{key: string, slug: string, type: string, isRequired: boolean,
+ *   displayName?: string, helpText?: string, collectionId?: string}}
+ */
+export function desiredField(entry, referenced = {}) {
+	return {
+		key: entry.key,
+		slug: entry.field,
+		type: entry.type,
+		isRequired: Boolean(entry.isRequired),
+		...(entry.displayName !== undefined && { displayName: entry.displayName }),
+		...(entry.helpText !== undefined && { helpText: entry.helpText }),
+		...(entry.reference && { collectionId: referenced[entry.reference] }),
+	};
+}
+
+// Collection a live Reference/MultiReference field points at
+function referencedCollection(field) {
+	return field.validations?.collectionId || field.metadata?.collectionId;
+}
+
+/**
+ * Diff desired fields against a live collection. displayName and helpText
+ * are only compared when the config sets them; fields of the collection that
+ * aren't in the config are left alone (see unmanagedFields).
+ * @param {Array<Object>} desired - From desiredField
+ * @param {Object} collection - As returned by GET /collections/{id}
+ * @returns {SchemaChange[]} Empty when the collection matches
+ */
+export function planSchema(desired, collection) {
+	const live = new Map((collection.fields || []).map((f) => [f.slug, f]));
+	const plan = [];
+
+	for (const want of desired) {
+		const field = live.get(want.slug);
+		if (!field) {
+			plan.push({ action: "add", slug: want.slug, field: want });
+			continue;
+		}
+		if (field.type !== want.type) {
+			plan.push({
+				action: "mismatch",
+				slug: want.slug,
+				reason: `type is ${field.type}, the config wants ${want.type}`,
+			});
+			continue;
+		}
+		const current = referencedCollection(field);
+		if (want.collectionId && current && current !== want.collectionId) {
+			plan.push({
+				action: "mismatch",
+				slug: want.slug,
+				reason: `references collection ${current}, the config wants ${want.collectionId}`,
+			});
+			continue;
+		}
+
+		const changes = {};
+		if (Boolean(field.isRequired) !== want.isRequired) {
+			changes.isRequired = {
+				from: Boolean(field.isRequired),
+				to: want.isRequired,
+			};
+		}
+		if ("helpText" in want && (field.helpText || "") !== want.helpText) {
+			changes.helpText = { from: field.helpText || "", to: want.helpText };
+		}
+		if ("displayName" in want && field.displayName !== want.displayName) {
+			changes.displayName = { from: field.displayName, to: want.displayName };
+		}
+		if (Object.keys(changes).length > 0) {
+			plan.push({
+				action: "update",
+				slug: want.slug,
+				fieldId: field.id,
+				changes,
+			});
+		}
+	}
+	return plan;
+}
+
+/**
+ * Fields of the live collection the config doesn't map
+ * @param {Array<Object>} desired - From desiredField
+ * @param {Object} collection - As returned by GET /collections/{id}
+ * @returns {Array<Object>} Live fields
+ */
+export function unmanagedFields(desired, collection) {
+	const slugs = new Set(desired.map((f) => f.slug));
+	return (collection.fields || []).filter((f) => !slugs.has(f.slug));
+}
+
+/**
+ * One line per change, for printing
+ * @param {SchemaChange} change
+ * @returns {string}
+ */
+export function describeChange(change) {
+	switch (change.action) {
+		case "add": {
+			const { field } = change;
+			const ref = field.collectionId ? ` → ${field.collectionId}` : "";
+			return `+ add ${change.slug}: ${field.type}${ref}${field.isRequired ? ", required" : ""} ("${field.displayName || field.key}")`;
+		}
+		case "update": {
+			const diffs = Object.entries(change.changes).map(
+				([key, { from, to }]) =>
+					`${key} ${JSON.stringify(from)} → ${JSON.stringify(to)}`,
+			);
+			return `~ update ${change.slug}: ${diffs.join(", ")}`;
+		}
+		default:
+			return `! mismatch ${change.slug}: ${change.reason} (change it in Webflow: the API can't change a field's type)`;
+	}
+}
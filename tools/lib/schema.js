@@ -0,0 +1,117 @@
+/**
+ * Cached snapshot of the Webflow collection schema and the value rules
+ * derived from it. `node tools/fetch-schema.js --save` writes the snapshot;
+ * `node tools/validate-frontmatter.js --schema` checks posts against it, so
+ * values Webflow would reject fail in PR lint instead of with a 400 at sync.
+ *
+ * ENV:
+ *  - WEBFLOW_SCHEMA_FILE (default: <repo>/webflow-schema.json)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { TRANSFORMS } from "./fields.js";
+import { REPO_ROOT } from "./posts.js";
+
+export const SCHEMA_FILE =
+	process.env.WEBFLOW_SCHEMA_FILE ||
+	path.join(REPO_ROOT, "webflow-schema.json");
+
+// Protocols Webflow accepts in Link fields
+const LINK_PROTOCOLS = ["http:", "https:", "mailto:", "tel:"];
+
+/**
+ * Write a collection (as returned by GET /collections/{id}) to the snapshot
+ * @param {Object} collection
+ * @param {string} [file]
+ */
+export function saveSchemaSnapshot(collection, file = SCHEMA_FILE) {
+	const { id, displayName, singularName, slug, fields } = collection;
+	const snapshot = {
+		fetchedAt: new Date().toISOString(),
+		id,
+		displayName,
+		singularName,
+		slug,
+		fields,
+	};
+	fs.writeFileSync(file, `${JSON.stringify(snapshot, null, "\t")}\n`);
+}
+
+/**
+ * Read the snapshot written by saveSchemaSnapshot
+ * @param {string} [file]
+ * @returns {Object} Collection with `fields`
+ */
+export function loadSchemaSnapshot(file = SCHEMA_FILE) {
+	if (!fs.existsSync(file)) {
+		throw new Error(
+			`Schema snapshot not found at ${file} (run: node tools/fetch-schema.js --save)`,
+		);
+	}
+	const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+	if (!Array.isArray(snapshot.fields)) {
+		throw new Error(`Schema snapshot ${file} has no 'fields'`);
+	}
+	return snapshot;
+}
+
+/**
+ * Check a frontmatter value against a collection field's type and validations
+ * @param {Object} field - Collection field ({type, validations, ...})
+ * @param {Object} entry - Entry of FIELDS mapped to it
+ * @param {*} value - Frontmatter value (not empty)
+ * @returns {string|null} What is wrong with the value, or null
+ */
+export function checkFieldValue(field, entry, value) {
+	const rules = field.validations || {};
+
+	switch (field.type) {
+		case "PlainText": {
+			// Length of the text that is sent, e.g. tags joined with commas
+			const transform = TRANSFORMS[entry.transform];
+			const text = String(transform ? transform.toWebflow(value) : value);
+			if (rules.maxLength && text.length > rules.maxLength) {
+				return `is ${text.length} characters long, the maximum is ${rules.maxLength}`;
+			}
+			if (rules.minLength && text.length < rules.minLength) {
+				return `is ${text.length} characters long, the minimum is ${rules.minLength}`;
+			}
+			if (rules.singleLine && text.includes("\n")) {
+				return "must be a single line";
+			}
+			return null;
+		}
+		case "Link": {
+			let url;
+			try {
+				url = new URL(String(value));
+			} catch {
+				return `must be an absolute URL, got: ${value}`;
+			}
+			return LINK_PROTOCOLS.includes(url.protocol)
+				? null
+				: `must be an ${LINK_PROTOCOLS.join(", ")} URL, got: ${value}`;
+		}
+		case "DateTime": {
+			const valid =
+				(value instanceof Date || typeof value === "string") &&
+				!Number.isNaN(new Date(value).getTime());
+			return valid ? null : `must be a date, got: ${value}`;
+		}
+		case "Switch":
+			return typeof value === "boolean"
+				? null
+				: `must be boolean (true/false), got: ${value}`;
+		case "Option": {
+			// The value is sent as is, and Webflow only takes an option's id
+			const options = rules.options || [];
+			if (options.some((o) => o.id === String(value))) return null;
+			const named = options.find((o) => o.name === String(value));
+			if (named) return `must be an option id: use ${named.id} for '${value}'`;
+			return `must be the id of one of the options ${options.map((o) => `${o.id} (${o.name})`).join(", ")}, got: ${value}`;
+		}
+		default:
+			return null;
+	}
+}
@@ -0,0 +1,152 @@
+/**
+ * Last-synced state per post, used to detect edits made in Webflow since the
+ * previous sync, and the last commit that synced completely (the watermark
+ * sync-webflow.js diffs from). The state is stored as JSON outside of git
+ * (see .gitignore); GitHub Actions carries it between runs with actions/cache.
+ * The watermark is also kept as the SYNCED_REF tag, which the sync workflow
+ * pushes: a cache can be evicted or restored from an older run, the tag can't.
+ *
+ * ENV:
+ *  - SYNC_STATE_FILE (default: <repo>/.webflow-sync/state.json)
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { FIELDS, syncsToWebflow } from "./fields.js";
+import { isAncestor, REPO_ROOT, resolveCommit, updateRef } from "./posts.js";
+
+// Tag on the last commit that synced completely
+export const SYNCED_REF = "refs/tags/webflow-synced";
+
+const STATE_FILE =
+	process.env.SYNC_STATE_FILE ||
+	path.join(REPO_ROOT, ".webflow-sync", "state.json");
+
+// Fields the sync writes; only these take part in conflict detection
+const SYNCED_FIELDS = FIELDS.filter(syncsToWebflow).map((f) => f.field);
+
+let state = null;
+
+function load() {
+	if (state) return state;
+	state = fs.existsSync(STATE_FILE)
+		? JSON.parse(fs.readFileSync(STATE_FILE, "utf8"))
+		: {};
+	state.items ??= {};
+	return state;
+}
+
+function stableStringify(value) {
+	if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+	if (value && typeof value === "object") {
+		return `{${Object.keys(value)
+			.sort()
+			.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+			.join(",")}}`;
+	}
+	return JSON.stringify(value ?? null);
+}
+
+export function hashValue(value) {
+	return crypto
+		.createHash("sha256")
+		.update(stableStringify(value))
+		.digest("hex")
+		.slice(0, 16);
+}
+
+/**
+ * Hash each synced field of an item's fieldData
+ * @param {Object} fieldData - Webflow fieldData
+ * @returns {Object<string, string>} field slug -> hash
+ */
+export function hashFields(fieldData) {
+	return Object.fromEntries(
+		SYNCED_FIELDS.map((slug) => [slug, hashValue(fieldData?.[slug])]),
+	);
+}
+
+/**
+ * @param {string} githubId
+ * @returns {{itemId: string, lastUpdated: string, fieldHashes: Object,
+ *   contentHash?: string, syncedAt: string, publishedAt?: string}|undefined}
+ */
+export function getSyncedItem(githubId) {
+	return load().items[githubId];
+}
+
+/**
+ * Remember the item as Webflow returned it after a sync
+ * @param {string} githubId
+ * @param {Object} item - Webflow item (response of create/update/get)
+ * @param {string} [contentHash] - hashValue of the payload that was sent;
+ *   the next sync skips the item while its payload hashes the same
+ */
+export function recordSyncedItem(githubId, item, contentHash) {
+	load().items[githubId] = {
+		itemId: item.id,
+		lastUpdated: item.lastUpdated,
+		fieldHashes: hashFields(item.fieldData),
+		contentHash,
+		syncedAt: new Date().toISOString(),
+	};
+}
+
+/**
+ * Note that the item was published after its last sync; the next sync
+ * publishes unchanged items that weren't
+ * @param {string} githubId
+ */
+export function recordPublished(githubId) {
+	const synced = load().items[githubId];
+	if (synced) synced.publishedAt = new Date().toISOString();
+}
+
+/**
+ * Move the state of a post whose github-id changed (file renamed)
+ * @param {string} oldGithubId
+ * @param {string} newGithubId
+ */
+export function renameSyncedItem(oldGithubId, newGithubId) {
+	const items = load().items;
+	if (!items[oldGithubId]) return;
+	items[newGithubId] = items[oldGithubId];
+	delete items[oldGithubId];
+}
+
+/**
+ * Drop a post whose Webflow item was archived or deleted
+ * @param {string} githubId
+ */
+export function forgetSyncedItem(githubId) {
+	delete load().items[githubId];
+}
+
+/**
+ * The SYNCED_REF tag, or the commit in the state file when the tag is
+ * missing or behind it (e.g. the tag wasn't pushed)
+ * @returns {string|undefined} Last commit whose posts all synced
+ */
+export function getLastSyncedCommit() {
+	const tagged = resolveCommit(SYNCED_REF);
+	const stored = load().lastSyncedCommit;
+	if (!tagged) return stored;
+	if (stored && stored !== tagged && isAncestor(tagged, stored)) return stored;
+	return tagged;
+}
+
+/**
+ * Record the commit in the state and move SYNCED_REF to it
+ * @param {string} sha - Commit whose posts all synced
+ */
+export function setLastSyncedCommit(sha) {
+	load().lastSyncedCommit = sha;
+	updateRef(SYNCED_REF, sha);
+}
+
+export function saveSyncState() {
+	if (!state) return;
+	fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+	fs.writeFileSync(STATE_FILE, `${JSON.stringify(state, null, "\t")}\n`);
+}
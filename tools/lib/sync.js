@@ -0,0 +1,1423 @@
+/**
+ * GitHub → Webflow sync engine: renders a Markdown post and upserts it as a
+ * Webflow CMS (v2) item. Shared by sync-webflow.js (Actions/CLI) and
+ * webhook-server.js (self-hosted middleware).
+ *
+ * ENV:
+ *  - WEBFLOW_TOKEN
+ *  - WEBFLOW_COLLECTION_ID
+ *  - GH_REPOSITORY (auto in Actions: owner/repo)
+ *  - GITHUB_SHA (default commit for raw image URLs)
+ *  - WEBFLOW_SITE_ID (optional; the site of asset uploads and of
+ *    publishSiteLive; required for translations, see locales.js)
+ *  - WEBFLOW_UPLOAD_ASSETS ("true" to upload local images to Webflow Assets
+ *    instead of hotlinking raw.githubusercontent.com, see assets.js; needs
+ *    WEBFLOW_SITE_ID)
+ *  - WEBFLOW_AUTHORS_COLLECTION_ID (when posts name an author, see authors.js)
+ *  - WEBFLOW_TAGS_COLLECTION_ID (when tags are a reference, see tags.js)
+ *  - GITHUB_TOKEN or GH_TOKEN_WITH_WRITE (optional; post_id writeback dispatch)
+ *  - SYNC_CONFLICT_POLICY (default "fail"; see CONFLICT_POLICIES)
+ *  - SYNC_DELETE_POLICY (default "archive"; see DELETE_POLICIES)
+ *  - SYNC_CONCURRENCY (default 1; posts processed at once, see syncFiles)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { uploadAsset } from "./assets.js";
+import { AUTHOR_REFERENCE, AuthorSync } from "./authors.js";
+import { describeChanges, diffItem } from "./field-diff.js";
+import {
+	FIELD_IDS,
+	FIELDS,
+	frontmatterToField,
+	syncsToWebflow,
+} from "./fields.js";
+import { ItemIndex } from "./item-index.js";
+import {
+	getCmsLocaleIds,
+	localeKey,
+	SECONDARY_LOCALES,
+	translationLocale,
+} from "./locales.js";
+import { mdToHtml } from "./markdown.js";
+import { forEachConcurrent, parseConcurrency } from "./pool.js";
+import {
+	getAllMarkdown,
+	getUniqueId,
+	IMAGE_DIR,
+	isAncestor,
+	isSamePost,
+	isScheduled,
+	kebab,
+	REPO_ROOT,
+	readPost,
+	readPostAtRevision,
+	repoRelative,
+	resolveCommit,
+	trimToExcerpt,
+} from "./posts.js";
+import {
+	forgetSyncedItem,
+	getLastSyncedCommit,
+	getSyncedItem,
+	hashFields,
+	hashValue,
+	recordPublished,
+	recordSyncedItem,
+	renameSyncedItem,
+	saveSyncState,
+	setLastSyncedCommit,
+} from "./sync-state.js";
+import { TAG_REFERENCE, TagSync, tagNames } from "./tags.js";
+import {
+	BULK_LIMIT,
+	createCollectionItem,
+	createCollectionItems,
+	deleteCollectionItem,
+	getCollectionItem,
+	listCustomDomains,
+	publishCollectionItems,
+	publishSite,
+	updateCollectionItem,
+	updateCollectionItems,
+} from "./webflow-api.js";
+
+const COLLECTION_ID = process.env.WEBFLOW_COLLECTION_ID;
+// Fields printed as a line diff of their HTML in a dry run (and the PR
+// preview, see preview.js)
+export const HTML_FIELDS = FIELDS.filter((f) => f.type === "RichText").map(
+	(f) => f.field,
+);
+const REPO = process.env.GITHUB_REPOSITORY || process.env.GH_REPOSITORY; // owner/repo
+const COMMIT_SHA = process.env.GITHUB_SHA || "main";
+const UPLOAD_ASSETS = process.env.WEBFLOW_UPLOAD_ASSETS === "true";
+
+/**
+ * What to do when an item was edited in Webflow after the last sync:
+ *  - fail         refuse to write and report the conflict (default)
+ *  - github-wins  overwrite Webflow with the Markdown version
+ *  - webflow-wins leave the item alone (pull it with pull-webflow.js)
+ */
+export const CONFLICT_POLICIES = ["fail", "github-wins", "webflow-wins"];
+
+/**
+ * What to do with the Webflow item of a post file that was removed:
+ *  - archive  set isArchived, reversible in Webflow (default)
+ *  - delete   delete the item
+ *  - keep     leave the item alone
+ */
+export const DELETE_POLICIES = ["archive", "delete", "keep"];
+
+function log(...a) {
+	console.log("[sync-webflow]", ...a);
+}
+function warn(...a) {
+	console.warn("[sync-webflow:warn]", ...a);
+}
+function error(msg, e) {
+	console.error("[sync-webflow:error]", msg);
+	if (e) console.error(e?.stack || e);
+}
+
+function resolveToRawUrl(filePathOrUrl, commitSha = COMMIT_SHA) {
+	if (!filePathOrUrl) return filePathOrUrl;
+	// Already absolute URL?
+	if (/^https?:\/\//i.test(filePathOrUrl)) return filePathOrUrl;
+	// Make repository raw URL pinned to the commit for immutability
+	if (!REPO) return filePathOrUrl;
+	const rel = filePathOrUrl.replace(/^\.?\//, "");
+	return `https://raw.githubusercontent.com/${REPO}/${commitSha}/${rel}`;
+}
+
+/**
+ * Find the local file an image reference points to
+ * `/images/x.png` is relative to the repo root, anything else to the post;
+ * falls back to a file of the same name in /images.
+ * @returns {string|null} Absolute path, or null if there is no such file
+ */
+function resolveLocalImage(ref, fileDir) {
+	const candidates = [
+		ref.startsWith("/")
+			? path.join(REPO_ROOT, ref)
+			: path.resolve(fileDir, ref),
+		path.join(IMAGE_DIR, path.basename(ref)),
+	];
+	return candidates.find((p) => fs.existsSync(p)) || null;
+}
+
+/**
+ * Resolve an image reference to the URL Webflow should use
+ * Local files are uploaded to Webflow Assets when uploads are on
+ * (opts.uploadAssets, default WEBFLOW_UPLOAD_ASSETS), otherwise they are
+ * hotlinked from raw.githubusercontent.com.
+ * @param {string} ref - Image path or URL as written in the post
+ * @param {string} fileDir - Directory of the post
+ * @param {Object} opts - processFile options (commitSha, dryRun, uploadAssets)
+ * @returns {Promise<string>}
+ */
+async function resolveImageUrl(ref, fileDir, opts) {
+	if (!ref || /^https?:\/\//i.test(ref)) return ref;
+	const localPath = resolveLocalImage(ref, fileDir);
+	if (!localPath) {
+		warn(`Image not found in repo: ${ref}`);
+		return resolveToRawUrl(ref, opts.commitSha);
+	}
+	if (opts.uploadAssets ?? UPLOAD_ASSETS) {
+		return uploadAsset(localPath, { dryRun: opts.dryRun });
+	}
+	const repoRel = path.relative(REPO_ROOT, localPath).split(path.sep).join("/");
+	return resolveToRawUrl(repoRel, opts.commitSha);
+}
+
+async function rewriteImageLinksInMarkdown(md, fileDir, opts) {
+	// Very light-touch: replace ![alt](local) with the asset or raw URL
+	// Handles () with spaces; doesn't touch full URLs.
+	const pattern = /!\[([^\]]*)\]\(([^)]+)\)/g;
+	const cleanUrl = (url) => url.split(/\s+/)[0].replace(/^<|>$/g, "");
+
+	const resolved = new Map();
+	for (const [, , url] of md.matchAll(pattern)) {
+		const clean = cleanUrl(url);
+		if (!resolved.has(clean)) {
+			resolved.set(clean, await resolveImageUrl(clean, fileDir, opts));
+		}
+	}
+
+	return md.replace(pattern, (_m, alt, url) => {
+		const clean = cleanUrl(url);
+		const rest = url.slice(clean.length); // preserve title if present
+		return `![${alt}](${resolved.get(clean)}${rest})`;
+	});
+}
+
+/**
+ * Compare the live item with the state recorded at the last sync
+ * Falls back to frontmatter `last_update` when no state was recorded.
+ * @param {Object} current - Live Webflow item
+ * @param {string} syncKey - Post's key in the sync state (see localeKey)
+ * @param {Object} fm - Frontmatter data
+ * @returns {{lastSynced: string, lastUpdated: string, fields: string[]}|null}
+ *   Conflict report, or null when it is safe to overwrite
+ */
+function detectConflict(current, syncKey, fm) {
+	const lastUpdated = new Date(current.lastUpdated).getTime();
+	// The file was pulled from exactly this revision
+	if (fm.last_update && new Date(fm.last_update).getTime() === lastUpdated) {
+		return null;
+	}
+
+	const synced = getSyncedItem(syncKey);
+	if (synced && synced.itemId === current.id) {
+		if (synced.lastUpdated === current.lastUpdated) return null;
+		// lastUpdated also moves on publish; only field changes count
+		const hashes = hashFields(current.fieldData);
+		const fields = Object.keys(hashes).filter(
+			(slug) => hashes[slug] !== synced.fieldHashes?.[slug],
+		);
+		if (fields.length === 0) return null;
+		return {
+			lastSynced: synced.lastUpdated,
+			lastUpdated: current.lastUpdated,
+			fields,
+		};
+	}
+
+	if (fm.last_update && lastUpdated > new Date(fm.last_update).getTime()) {
+		return {
+			lastSynced: new Date(fm.last_update).toISOString(),
+			lastUpdated: current.lastUpdated,
+			fields: [],
+		};
+	}
+	return null;
+}
+
+/**
+ * Find the item of a post that was moved from `oldPath`
+ * Its sync state moves along to the new github-id.
+ * @param {string} oldPath - Repo-relative path before the rename
+ * @param {Object} fm - Frontmatter at the new path
+ * @param {string} githubId - github-id at the new path
+ * @param {string} baseRev - Revision at which the old path existed
+ * @param {ItemIndex} index - Items of the collection
+ * @returns {Promise<string|null>} Webflow item ID
+ */
+async function findRenamedItem(oldPath, fm, githubId, baseRev, index) {
+	const oldFm = readPostAtRevision(baseRev, oldPath)?.data || {};
+	const oldGithubId = getUniqueId(oldFm, oldPath);
+	// Same id (e.g. set in frontmatter): the regular lookup already ran
+	if (oldGithubId === githubId) return null;
+	// An id of its own: another post, not this one moved (see diffPosts)
+	if (!isSamePost(fm, oldFm, oldPath)) return null;
+
+	const itemId =
+		oldFm.post_id ||
+		getSyncedItem(oldGithubId)?.itemId ||
+		(await index.findByGithubId(oldGithubId))?.id;
+	if (itemId) {
+		log(
+			`Renamed from ${oldPath}: updating item ${itemId} (github-id ${oldGithubId} -> ${githubId})`,
+		);
+		renameSyncedItem(oldGithubId, githubId);
+	}
+	return itemId;
+}
+
+function formatConflict(conflict, itemId, filePath) {
+	return [
+		`Conflict: Webflow item ${itemId} was edited after the last sync of ${filePath}`,
+		`   Webflow lastUpdated: ${conflict.lastUpdated}`,
+		`   Last synced:         ${conflict.lastSynced}`,
+		`   Changed in Webflow:  ${conflict.fields.join(", ") || "(unknown - no sync state, compared last_update)"}`,
+		`   Resolve with \`node tools/pull-webflow.js --item ${itemId}\`, or re-run with --on-conflict github-wins`,
+	].join("\n");
+}
+
+/**
+ * The item payload of a post: every mapped field, with the author and tag
+ * references resolved (see authors.js, tags.js)
+ * @param {Object} args
+ * @param {Object} args.fm - Frontmatter data
+ * @param {string} args.html - Rendered body, images resolved
+ * @param {string} args.filePath
+ * @param {string} [args.mainImage] - Resolved `image`
+ * @param {AuthorSync} args.authors
+ * @param {TagSync|null} args.tags
+ * @returns {Promise<{payload: Object, githubId: string, slug: string,
+ *   published: boolean, scheduled: boolean}>}
+ */
+async function buildPayload({ fm, html, filePath, mainImage, authors, tags }) {
+	if (!fm.title) throw new Error(`Missing required 'title' in ${filePath}`);
+	// A future date keeps the post a draft until its date has passed
+	const scheduled = isScheduled(fm);
+	const published = Boolean(fm.published) && !scheduled;
+
+	// Determine unique identifier for this post
+	const githubId = getUniqueId(fm, filePath);
+
+	const bodyHtml = html;
+	const name = String(fm.title);
+	const slug = fm.slug ? String(fm.slug) : kebab(fm.title);
+	const publishDate = fm.date
+		? new Date(fm.date).toISOString()
+		: new Date().toISOString();
+	// Note: lastUpdated is a Webflow system field, automatically managed
+	// We don't sync it - Webflow updates it automatically on every change
+	const excerpt = fm.excerpt
+		? String(fm.excerpt)
+		: trimToExcerpt(bodyHtml, 160);
+
+	// Values that are derived rather than copied from their frontmatter key;
+	// every other mapped field comes straight from webflow-sync.config.json
+	const derived = {
+		name,
+		slug,
+		body: bodyHtml,
+		mainImage,
+		publishDate,
+		isPublished: published,
+		pushToWebflow: true,
+		githubId,
+		excerpt,
+	};
+
+	// Build fieldData object, only including fields that exist in the collection
+	const fieldData = {};
+	for (const entry of FIELDS) {
+		if (!syncsToWebflow(entry)) continue;
+		let value =
+			entry.key in derived ? derived[entry.key] : frontmatterToField(fm, entry);
+		// Reference: the item id of the profile the post names
+		if (entry.reference === "authors" && value !== undefined) {
+			value = await authors.itemIdFor(value, filePath);
+		}
+		// MultiReference: the item ids of the post's tags
+		if (entry.reference === "tags" && value !== undefined) {
+			value = await tags.itemIdsFor(value);
+		}
+		if (value !== undefined && value !== "") fieldData[entry.field] = value;
+	}
+
+	// Webflow API v2 structure
+	// Note: isDraft controls whether item is draft or published
+	// When isPublished field exists, we can use it, but isDraft still controls the item state
+	const payload = {
+		isArchived: false,
+		isDraft: !published,
+		fieldData,
+	};
+	return { payload, githubId, slug, published, scheduled };
+}
+
+/**
+ * Work out how to write a post: build its payload, find its item and check
+ * that for edits made in Webflow
+ * A translation (`locale` set) updates its locale variant of the item of the
+ * post in the primary locale; it never creates an item.
+ * @returns {Promise<{action: "create"|"update"|"unchanged", itemId?: string,
+ *   payload: Object, contentHash: string, githubId: string, syncKey: string,
+ *   filePath: string, cmsLocaleId?: string, publish: boolean}|null>}
+ *   The write to make ("unchanged": same payload as at the last sync), or null
+ *   when there is nothing to write (skipped, dry-run, webflow-wins). `publish`:
+ *   the item should be published live afterwards. `syncKey`: key of the post
+ *   in the sync state (see localeKey).
+ */
+async function planUpsert({
+	fm,
+	html,
+	filePath,
+	dryRun,
+	mainImage,
+	conflictPolicy,
+	renamedFrom,
+	baseRev,
+	index,
+	authors,
+	tags,
+	force,
+	locale,
+	report,
+}) {
+	const pushFlag = fm.push_to_webflow !== false; // default true if omitted
+
+	if (!pushFlag) {
+		log(`Skipping (push_to_webflow: false): ${filePath}`);
+		report?.skipped(filePath, "push_to_webflow: false");
+		return null;
+	}
+	const { payload, githubId, slug, published, scheduled } = await buildPayload({
+		fm,
+		html,
+		filePath,
+		mainImage,
+		authors,
+		tags,
+	});
+
+	log(`Processing: ${filePath}`);
+	log(`  Title: ${fm.title}`);
+	log(`  Published: ${published}`);
+	if (scheduled) {
+		log(`  Scheduled: ${new Date(fm.date).toISOString()} (draft until then)`);
+	}
+	log(`  Has post_id: ${Boolean(fm.post_id)}`);
+	if (renamedFrom) log(`  Renamed from: ${renamedFrom}`);
+	if (locale) log(`  Locale: ${locale} (translation)`);
+
+	const syncKey = localeKey(githubId, locale);
+	log(`  GitHub ID: ${githubId}`);
+	log(`  Slug: ${slug}`);
+	if (mainImage) log(`  Main Image: ${mainImage}`);
+	if (fm.author) log(`  Author: ${fm.author}`);
+	if (fm.tags) log(`  Tags: ${tagNames(fm.tags).join(", ")}`);
+
+	const contentHash = hashValue(payload);
+
+	// Determine which Webflow item ID to use
+	let webflowItemId = fm.post_id;
+
+	// If no post_id, try to find existing item by github-id
+	if (!webflowItemId) {
+		log(
+			`No post_id found, searching for existing item by github-id: ${githubId}`,
+		);
+		webflowItemId = (await index.findByGithubId(githubId))?.id;
+		if (webflowItemId) {
+			log(`Found existing item by github-id, will update: ${webflowItemId}`);
+		}
+	}
+
+	// A moved file gets a new github-id; keep the item of its old path
+	if (!webflowItemId && renamedFrom && !locale) {
+		webflowItemId = await findRenamedItem(
+			renamedFrom,
+			fm,
+			githubId,
+			baseRev,
+			index,
+		);
+	}
+
+	// Slugs are unique in a collection; Webflow would reject the write
+	// (the index holds the primary locale, translations are not checked)
+	const slugOwner = locale ? null : await index.findBySlug(slug);
+	if (slugOwner && slugOwner.id !== webflowItemId) {
+		throw new Error(
+			`Slug '${slug}' of ${filePath} is already used by Webflow item ${slugOwner.id} (github-id: ${slugOwner.fieldData?.[FIELD_IDS.githubId] || "none"})`,
+		);
+	}
+
+	let cmsLocaleId;
+	if (locale) {
+		if (!SECONDARY_LOCALES.includes(locale)) {
+			throw new Error(
+				`Locale '${locale}' of ${filePath} is not a secondary locale in webflow-sync.config.json (${SECONDARY_LOCALES.join(", ")})`,
+			);
+		}
+		if (!webflowItemId && dryRun) {
+			log(
+				`(dry-run) No Webflow item for github-id ${githubId} yet; its post in the primary locale creates it`,
+			);
+			report?.planned(filePath, {
+				planned: "create",
+				reason: `dry run: no item for ${githubId} yet`,
+				changes: diffItem({}, payload),
+			});
+			return null;
+		}
+		if (!webflowItemId) {
+			throw new Error(
+				`No Webflow item for github-id ${githubId} yet: sync its post in the primary locale before the translation ${filePath}`,
+			);
+		}
+		cmsLocaleId = (await getCmsLocaleIds()).get(locale);
+		payload.cmsLocaleId = cmsLocaleId;
+	}
+
+	if (webflowItemId) {
+		// The index only holds the primary locale variants
+		const current =
+			(!locale && (await index.get(webflowItemId))) ||
+			(await getCollectionItem(COLLECTION_ID, webflowItemId, cmsLocaleId));
+
+		// Same payload as at the last sync: don't churn lastUpdated. Edits made
+		// in Webflow since are left alone; there is nothing newer to send.
+		const synced = getSyncedItem(syncKey);
+		if (
+			!force &&
+			synced?.itemId === webflowItemId &&
+			synced.contentHash === contentHash &&
+			Boolean(current.isDraft) === payload.isDraft &&
+			!current.isArchived
+		) {
+			log(`Unchanged since the last sync: ${webflowItemId}`);
+			if (dryRun) {
+				report?.planned(filePath, {
+					planned: "unchanged",
+					reason: "dry run: unchanged since the last sync",
+					itemId: webflowItemId,
+				});
+				return null;
+			}
+			return {
+				action: "unchanged",
+				itemId: webflowItemId,
+				githubId,
+				syncKey,
+				filePath,
+				cmsLocaleId,
+				// e.g. the publish step of the last run failed
+				publish: !payload.isDraft && !synced.publishedAt,
+			};
+		}
+
+		// Refuse to silently erase edits made in Webflow since the last sync
+		const conflict = detectConflict(current, syncKey, fm);
+		if (conflict) {
+			const message = formatConflict(conflict, webflowItemId, filePath);
+			if (conflictPolicy === "webflow-wins") {
+				warn(`${message}\n   Keeping the Webflow version (webflow-wins)`);
+				report?.skipped(
+					filePath,
+					"edited in Webflow since the last sync (webflow-wins)",
+					webflowItemId,
+				);
+				return null;
+			}
+			if (conflictPolicy !== "github-wins" && dryRun) {
+				warn(
+					`${message}\n   (dry-run) The sync would fail this post (on-conflict: ${conflictPolicy})`,
+				);
+				report?.planned(filePath, {
+					planned: "conflict",
+					reason: `dry run: edited in Webflow since the last sync, would fail (on-conflict: ${conflictPolicy})`,
+					itemId: webflowItemId,
+					changes: diffItem(current, payload, Object.keys(payload.fieldData)),
+				});
+				return null;
+			}
+			if (conflictPolicy !== "github-wins") {
+				const error = new Error(message);
+				error.conflict = conflict;
+				throw error;
+			}
+			warn(
+				`${message}\n   Overwriting with the Markdown version (github-wins)`,
+			);
+		}
+		const changes = diffItem(current, payload, Object.keys(payload.fieldData));
+		if (dryRun) {
+			printDryRun({
+				filePath,
+				itemId: webflowItemId,
+				locale,
+				payload,
+				changes,
+			});
+			report?.planned(filePath, {
+				planned: changes.length > 0 ? "update" : "unchanged",
+				reason:
+					changes.length > 0
+						? `dry run: would update ${changes.map((c) => c.field).join(", ")}`
+						: "dry run: no changes",
+				itemId: webflowItemId,
+				changes,
+			});
+			return null;
+		}
+		return {
+			action: "update",
+			itemId: webflowItemId,
+			payload,
+			fields: changes.map((c) => c.field),
+			contentHash,
+			githubId,
+			syncKey,
+			filePath,
+			cmsLocaleId,
+			publish: !payload.isDraft,
+		};
+	}
+	if (dryRun) {
+		printDryRun({ filePath, payload });
+		report?.planned(filePath, {
+			planned: "create",
+			reason: "dry run: would create",
+			changes: diffItem({}, payload),
+		});
+		return null;
+	}
+	return {
+		action: "create",
+		payload,
+		fields: Object.keys(payload.fieldData),
+		contentHash,
+		githubId,
+		syncKey,
+		filePath,
+		publish: !payload.isDraft,
+	};
+}
+
+/**
+ * Print the write a dry run leaves out: the fields of a new item, or the
+ * fields of an update that differ from the item (RichText as a line diff)
+ * @param {Object} args
+ * @param {string} args.filePath
+ * @param {Object} args.payload - From buildPayload
+ * @param {string} [args.itemId] - Item to update; none for a create
+ * @param {string} [args.locale] - Translation: its variant is updated
+ * @param {Array<{field: string, from: *, to: *}>} [args.changes] - Update:
+ *   from diffItem
+ */
+function printDryRun({ filePath, payload, itemId, locale, changes }) {
+	if (!itemId) {
+		log(`(dry-run) Would create an item for ${filePath}:`);
+		changes = diffItem({ fieldData: {} }, payload);
+	} else if (changes.length === 0) {
+		log(`(dry-run) No changes to item ${itemId}`);
+	} else {
+		const target = locale ? `the ${locale} variant of item` : "item";
+		log(
+			`(dry-run) Would update ${target} ${itemId}: ${changes.length} field(s)`,
+		);
+	}
+	const htmlFields = itemId ? HTML_FIELDS : [];
+	for (const line of describeChanges(changes, { htmlFields })) {
+		log(`    ${line}`);
+	}
+	if (!payload.isDraft && (!itemId || changes.length > 0)) {
+		log("(dry-run) Would publish the item live");
+	}
+}
+
+/**
+ * Record a write made for planUpsert: sync state, logs, post_id writeback
+ * @param {Object} op - Write from planUpsert
+ * @param {Object} data - Item as returned by Webflow
+ * @param {ItemIndex} index - Items of the collection
+ */
+async function recordWrite(op, data, index) {
+	if (op.action === "update") {
+		log(`✅ Updated Webflow item ${op.itemId} for ${op.filePath}`);
+		log(`   Last Updated: ${data.lastUpdated || "N/A"} (system field)`);
+		recordSyncedItem(op.syncKey, data, op.contentHash);
+		// The index holds the primary locale variants
+		if (!op.cmsLocaleId) index.set(data);
+		return;
+	}
+
+	const itemId = data?.id || data?.item?.id; // depending on response shape
+	log(`✅ Created Webflow item ${itemId || "(unknown)"} for ${op.filePath}`);
+	log(`   Created: ${data.createdOn || "N/A"} (system field)`);
+	log(`   Last Updated: ${data.lastUpdated || "N/A"} (system field)`);
+	op.itemId = itemId;
+	if (itemId) {
+		recordSyncedItem(op.syncKey, { ...data, id: itemId }, op.contentHash);
+		index.set({ ...data, id: itemId });
+	}
+
+	// Optionally: emit repository_dispatch so a separate workflow can write back post_id
+	// Requires a token with repo:dispatch scope; usually GITHUB_TOKEN works in the same repo.
+	try {
+		await dispatchWriteback({
+			path: op.filePath,
+			itemId,
+		});
+	} catch (e) {
+		warn("repository_dispatch for writeback failed (non-fatal):", e.message);
+	}
+}
+
+/**
+ * Make a write from planUpsert with a single-item request
+ * @param {Object} op - Write from planUpsert
+ * @param {ItemIndex} index - Items of the collection
+ * @returns {Promise<Object>} Item as returned by Webflow
+ */
+async function applyUpsert(op, index) {
+	let data;
+	if (op.action === "update") {
+		log(`Updating existing Webflow item: ${op.itemId}`);
+		data = await updateCollectionItem(COLLECTION_ID, op.itemId, op.payload);
+	} else {
+		log(`Creating new Webflow item for ${op.filePath}`);
+		data = await createCollectionItem(COLLECTION_ID, op.payload);
+	}
+	await recordWrite(op, data, index);
+	return data;
+}
+
+/**
+ * Map a failed bulk request to the items Webflow rejected
+ * @param {Error} e - Error from createCollectionItems/updateCollectionItems
+ * @param {Array<Object>} ops - Writes of the request, in request order
+ * @returns {Map<Object, string>} Rejected write -> reason
+ */
+function rejectedItems(e, ops) {
+	const rejected = new Map();
+	for (const detail of Array.isArray(e.details) ? e.details : []) {
+		const match = /^items(?:\[(\d+)\]|\.(\d+))/.exec(detail.param || "");
+		const op = match && ops[Number(match[1] ?? match[2])];
+		if (!op) continue;
+		const param = detail.param.slice(match[0].length).replace(/^\./, "");
+		const reason = `${param || "item"}: ${detail.description || detail.message || "invalid"}`;
+		rejected.set(op, [rejected.get(op), reason].filter(Boolean).join("; "));
+	}
+	return rejected;
+}
+
+/**
+ * Make one bulk request's worth of writes (all creates or all updates)
+ * Items Webflow rejects fail on their own and the rest is resent; a
+ * rejection that names no item falls back to single-item requests.
+ * @param {"create"|"update"} action
+ * @param {Array<Object>} chunk - Up to BULK_LIMIT writes from planUpsert
+ * @param {Map<Object, Error>} failures - Failed writes are added here
+ * @param {ItemIndex} index - Items of the collection
+ */
+async function applyBulkChunk(action, chunk, failures, index) {
+	let ops = chunk;
+	while (ops.length > 0) {
+		log(
+			`${action === "create" ? "Creating" : "Updating"} ${ops.length} Webflow item(s) in one bulk request`,
+		);
+		let items;
+		try {
+			items =
+				action === "create"
+					? await createCollectionItems(
+							COLLECTION_ID,
+							ops.map((op) => op.payload),
+						)
+					: await updateCollectionItems(
+							COLLECTION_ID,
+							ops.map((op) => ({ id: op.itemId, ...op.payload })),
+						);
+		} catch (e) {
+			const rejected = rejectedItems(e, ops);
+			if (rejected.size > 0) {
+				for (const [op, reason] of rejected) {
+					const rejection = new Error(
+						`Webflow rejected ${op.filePath}: ${reason}`,
+					);
+					rejection.status = e.status;
+					rejection.rejected = true;
+					failures.set(op, rejection);
+				}
+				ops = ops.filter((op) => !rejected.has(op));
+				continue;
+			}
+			// Retries are exhausted for 429/5xx; the single requests would fail too
+			if (e.status === 429 || !(e.status >= 400 && e.status < 500)) {
+				for (const op of ops) failures.set(op, e);
+				return;
+			}
+			warn(
+				`Bulk ${action} failed (${e.status}) without naming an item; sending its ${ops.length} item(s) one by one`,
+			);
+			for (const op of ops) {
+				try {
+					await applyUpsert(op, index);
+				} catch (err) {
+					failures.set(op, err);
+				}
+			}
+			return;
+		}
+
+		for (const [i, op] of ops.entries()) {
+			// Created items come back in request order
+			const data =
+				action === "create"
+					? items[i]
+					: items.find((item) => item.id === op.itemId);
+			if (data) await recordWrite(op, data, index);
+			else warn(`Bulk ${action} response has no item for ${op.filePath}`);
+		}
+		return;
+	}
+}
+
+/**
+ * Make writes from planUpsert with bulk requests of up to BULK_LIMIT items
+ * @param {Array<Object>} ops - Writes from planUpsert
+ * @param {ItemIndex} index - Items of the collection
+ * @returns {Promise<Map<Object, Error>>} Failed writes and why
+ */
+async function applyUpsertsInBulk(ops, index) {
+	const failures = new Map();
+	for (const action of ["create", "update"]) {
+		const pending = ops.filter((op) => op.action === action);
+		for (let i = 0; i < pending.length; i += BULK_LIMIT) {
+			await applyBulkChunk(
+				action,
+				pending.slice(i, i + BULK_LIMIT),
+				failures,
+				index,
+			);
+		}
+	}
+	return failures;
+}
+
+async function dispatchWriteback({ path: filePath, itemId }) {
+	const token = process.env.GITHUB_TOKEN || process.env.GH_TOKEN_WITH_WRITE;
+	if (!token || !REPO || !itemId) return;
+
+	const url = `https://api.github.com/repos/${REPO}/dispatches`;
+	const body = {
+		event_type: "webflow_item_created",
+		client_payload: { path: filePath, itemId },
+	};
+	const res = await fetch(url, {
+		method: "POST",
+		headers: {
+			authorization: `Bearer ${token}`,
+			accept: "application/vnd.github+json",
+		},
+		body: JSON.stringify(body),
+	});
+	if (!res.ok) {
+		const text = await res.text();
+		throw new Error(`repository_dispatch failed (${res.status}): ${text}`);
+	}
+	log(`repository_dispatch sent for ${filePath} -> itemId=${itemId}`);
+}
+
+/**
+ * Publish the items of synced posts that should be live
+ * Items are sent as staged changes; this makes them live without a site
+ * publish.
+ * @param {Array<Object>} ops - Writes from planUpsert that succeeded
+ * @returns {Promise<Array<Object>>} Writes whose item failed to publish
+ */
+async function publishItems(ops) {
+	const pending = ops.filter((op) => op.publish && op.itemId);
+	const failed = [];
+	for (let i = 0; i < pending.length; i += BULK_LIMIT) {
+		const chunk = pending.slice(i, i + BULK_LIMIT);
+		log(`Publishing ${chunk.length} Webflow item(s)`);
+		let result;
+		try {
+			result = await publishCollectionItems(
+				COLLECTION_ID,
+				chunk.map((op) =>
+					op.cmsLocaleId
+						? { id: op.itemId, cmsLocaleIds: [op.cmsLocaleId] }
+						: op.itemId,
+				),
+			);
+		} catch (e) {
+			error(`Publishing ${chunk.length} item(s) failed`, e.message);
+			failed.push(...chunk);
+			continue;
+		}
+		const published = new Set(
+			result?.publishedItemIds || chunk.map((op) => op.itemId),
+		);
+		for (const op of chunk) {
+			if (published.has(op.itemId)) {
+				recordPublished(op.syncKey);
+				log(`🚀 Published Webflow item ${op.itemId} for ${op.filePath}`);
+			} else {
+				error(`Webflow item ${op.itemId} for ${op.filePath} was not published`);
+				failed.push(op);
+			}
+		}
+		for (const e of result?.errors || []) {
+			warn("Publish error:", JSON.stringify(e));
+		}
+	}
+	return failed;
+}
+
+/**
+ * Publish the site (WEBFLOW_SITE_ID) to all of its custom domains and its
+ * webflow.io subdomain
+ * @param {Object} [opts]
+ * @param {boolean} [opts.dryRun] - Print actions, don't call Webflow
+ */
+export async function publishSiteLive({ dryRun } = {}) {
+	const siteId = process.env.WEBFLOW_SITE_ID;
+	if (!siteId) throw new Error("Publishing the site requires WEBFLOW_SITE_ID");
+
+	const domains = await listCustomDomains(siteId);
+	const names = [...domains.map((d) => d.url), "webflow.io subdomain"];
+	if (dryRun) {
+		log(`(dry-run) Would publish site ${siteId} to ${names.join(", ")}`);
+		return;
+	}
+	await publishSite(siteId, {
+		customDomains: domains.map((d) => d.id),
+		publishToWebflowSubdomain: true,
+	});
+	log(`🚀 Published site ${siteId} to ${names.join(", ")}`);
+}
+
+/**
+ * Read a Markdown post and render its body, with local images pointed at
+ * Webflow Assets (or commit-pinned raw URLs)
+ * @param {string} filePath - Path to the markdown file
+ * @param {Object} opts - See processFile
+ * @returns {Promise<{fm: Object, html: string, mainImage?: string}>}
+ *   fm: the parsed file (data, content)
+ */
+async function renderFile(filePath, opts) {
+	const fm = readPost(filePath);
+	const fileDir = path.dirname(filePath);
+	const mdWithUrls = await rewriteImageLinksInMarkdown(
+		fm.content,
+		fileDir,
+		opts,
+	);
+	const html = await mdToHtml(mdWithUrls);
+	const mainImage = fm.data.image
+		? await resolveImageUrl(String(fm.data.image), fileDir, opts)
+		: undefined;
+	return { fm, html, mainImage };
+}
+
+/**
+ * Render a Markdown post and plan its upsert (see planUpsert)
+ * @param {string} filePath - Path to the markdown file
+ * @param {Object} opts - See processFile
+ * @returns {Promise<Object|null>} The write to make
+ */
+async function prepareFile(filePath, opts) {
+	log(`\n--- Processing file: ${filePath} ---`);
+	const { fm, html, mainImage } = await renderFile(filePath, opts);
+	log(`Parsed frontmatter: ${Object.keys(fm.data).length} field(s)`);
+	log(`Converted markdown to HTML (${html.length} chars)`);
+
+	return planUpsert({
+		fm: fm.data,
+		html,
+		filePath,
+		dryRun: opts.dryRun,
+		mainImage,
+		conflictPolicy:
+			opts.conflictPolicy || process.env.SYNC_CONFLICT_POLICY || "fail",
+		renamedFrom: opts.renames?.get(repoRelative(filePath)),
+		baseRev: opts.baseRev,
+		index: opts.index,
+		authors: opts.authors,
+		tags: opts.tags,
+		force: opts.force,
+		locale: translationLocale(fm.data, filePath),
+		report: opts.report,
+	});
+}
+
+/**
+ * Render a post into the payload the sync would write for it, writing
+ * nothing: images not uploaded yet and authors or tags not in Webflow yet
+ * get placeholders (as in a dry run)
+ * @param {string} filePath - Path to the markdown file
+ * @param {Object} [options] - processFile options (commitSha, index,
+ *   authors, tags); authors and tags should come from a dry-run
+ *   createAuthorSync/createTagSync
+ * @returns {Promise<{fm: Object, githubId: string, locale: string|null,
+ *   slug: string, payload: Object}|null>} null for a post that isn't pushed
+ *   (push_to_webflow: false); fm: frontmatter data
+ */
+export async function renderPost(filePath, options = {}) {
+	const opts = withIndex({ ...options, dryRun: true });
+	const { fm, html, mainImage } = await renderFile(filePath, opts);
+	if (fm.data.push_to_webflow === false) return null;
+	const { payload, githubId, slug } = await buildPayload({
+		fm: fm.data,
+		html,
+		filePath,
+		mainImage,
+		authors: opts.authors,
+		tags: opts.tags,
+	});
+	return {
+		fm: fm.data,
+		githubId,
+		locale: translationLocale(fm.data, filePath),
+		slug,
+		payload,
+	};
+}
+
+// Collection lookups of a run share one listing (see item-index.js), and
+// author profiles and tags are written once per run
+function withIndex(opts) {
+	return {
+		...opts,
+		index: opts.index || new ItemIndex(COLLECTION_ID),
+		authors: opts.authors || createAuthorSync(opts),
+		tags: opts.tags || createTagSync(opts),
+	};
+}
+
+/**
+ * Author profile writes of a run (see authors.js); pass it as `authors` to
+ * syncAuthors and syncFiles so they share it
+ * @param {Object} opts - processFile options (commitSha, dryRun)
+ * @returns {AuthorSync}
+ */
+export function createAuthorSync(opts) {
+	return new AuthorSync({
+		dryRun: opts.dryRun,
+		resolveImage: (ref, fileDir) => resolveImageUrl(ref, fileDir, opts),
+	});
+}
+
+/**
+ * Tag writes of a run (see tags.js); pass it as `tags` to syncFiles and
+ * pruneTags so they share it
+ * @param {Object} opts - processFile options (dryRun)
+ * @returns {TagSync|null} null when tags are plain text
+ */
+export function createTagSync(opts) {
+	return TAG_REFERENCE ? new TagSync({ dryRun: opts.dryRun }) : null;
+}
+
+/**
+ * Delete the Tags collection items no post uses any more; a no-op when tags
+ * are plain text. Run it after the run's syncFiles and removeFiles.
+ * @param {Object} opts
+ * @param {ItemIndex} opts.index - Items of the posts collection, shared with
+ *   syncFiles/removeFiles
+ * @param {boolean} [opts.dryRun] - Print actions, don't call Webflow
+ * @param {TagSync} [opts.tags] - See createTagSync
+ * @returns {Promise<{removedCount: number, errorCount: number}>}
+ */
+export async function pruneTags(options) {
+	const opts = withIndex(options);
+	if (!opts.tags) return { removedCount: 0, errorCount: 0 };
+	try {
+		return await opts.tags.prune(opts.index);
+	} catch (e) {
+		error("Failed removing unused tags", e);
+		return { removedCount: 0, errorCount: 1 };
+	}
+}
+
+/**
+ * Write changed author profiles to the Authors collection. Profiles posts
+ * name are written anyway, when their first post syncs.
+ * @param {string[]} files - Paths to author profiles
+ * @param {Object} opts - Options as for syncFiles (dryRun, authors)
+ * @returns {Promise<{successCount: number, errorCount: number}>}
+ */
+export async function syncAuthors(files, options) {
+	const counts = { successCount: 0, errorCount: 0 };
+	if (files.length === 0) return counts;
+	if (!AUTHOR_REFERENCE) {
+		log(
+			`No field references authors; skipping ${files.length} author profile(s)`,
+		);
+		return counts;
+	}
+	const opts = withIndex(options);
+	for (const f of files) {
+		try {
+			await opts.authors.syncFile(f);
+			counts.successCount++;
+		} catch (e) {
+			counts.errorCount++;
+			error(`Failed syncing author ${f}`, e);
+		}
+	}
+	if (!opts.dryRun) saveSyncState();
+	return counts;
+}
+
+/**
+ * Render a Markdown post and upsert it into the collection
+ * @param {string} filePath - Path to the markdown file
+ * @param {Object} opts
+ * @param {boolean} [opts.dryRun] - Print the planned writes (with a diff against
+ *   the item), write nothing to Webflow
+ * @param {string} [opts.commitSha] - Commit to pin raw image URLs to
+ * @param {boolean} [opts.uploadAssets] - Upload local images to Webflow
+ *   Assets (default: WEBFLOW_UPLOAD_ASSETS is "true")
+ * @param {string} [opts.conflictPolicy] - One of CONFLICT_POLICIES
+ * @param {Map<string, string>} [opts.renames] - New path -> old path (repo-relative)
+ * @param {string} [opts.baseRev] - Revision the old paths of renames existed at
+ * @param {ItemIndex} [opts.index] - Items of the collection (default: listed on
+ *   first lookup)
+ * @param {AuthorSync} [opts.authors] - See createAuthorSync
+ * @param {TagSync} [opts.tags] - See createTagSync
+ * @param {boolean} [opts.force] - Update items even when their payload is
+ *   unchanged since the last sync
+ * @param {RunReport} [opts.report] - Skips are recorded here (see report.js)
+ * @returns {Promise<Object|null>} The write planned by planUpsert
+ */
+export async function processFile(filePath, options) {
+	const opts = withIndex(options);
+	const op = await prepareFile(filePath, opts);
+	if (op && op.action !== "unchanged") await applyUpsert(op, opts.index);
+	log(`✅ Completed processing: ${filePath}\n`);
+	return op;
+}
+
+/**
+ * Sync a list of Markdown files, continuing past individual failures
+ * @param {string[]} files - Paths to markdown files
+ * @param {Object} opts - Options passed to processFile
+ * @param {boolean} [opts.batch] - Group creates and updates into bulk requests
+ * @param {boolean} [opts.publish] - Publish the items of published posts
+ *   live (default true)
+ * @param {number} [opts.concurrency] - Posts converted and written at once
+ *   (default SYNC_CONCURRENCY or 1); requests share one rate limiter
+ * @param {RunReport} [opts.report] - The outcome of every file is recorded
+ *   here (see report.js)
+ * @returns {Promise<{successCount: number, unchangedCount: number, errorCount: number}>}
+ *   unchangedCount: posts skipped because their payload didn't change
+ */
+export async function syncFiles(files, options) {
+	const opts = withIndex(options);
+	opts.concurrency = parseConcurrency(
+		opts.concurrency ?? process.env.SYNC_CONCURRENCY,
+	);
+	const syncPass = opts.batch && !opts.dryRun ? syncFilesInBulk : syncEachFile;
+
+	// Translations write to the item of their primary post, which this run
+	// may create; sync them once the primary posts are done
+	const translations = files.filter(isTranslationFile);
+	const counts = await syncPass(
+		files.filter((f) => !translations.includes(f)),
+		opts,
+	);
+	if (translations.length > 0) {
+		log(`\n--- Syncing ${translations.length} translation(s) ---`);
+		const more = await syncPass(translations, opts);
+		for (const key of Object.keys(counts)) counts[key] += more[key];
+	}
+	return counts;
+}
+
+// Unreadable files count as primary; their sync reports the error
+function isTranslationFile(filePath) {
+	if (SECONDARY_LOCALES.length === 0) return false;
+	try {
+		return Boolean(translationLocale(readPost(filePath).data, filePath));
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * syncFiles with one request per post
+ */
+async function syncEachFile(files, opts) {
+	const counts = { successCount: 0, unchangedCount: 0, errorCount: 0 };
+	const done = [];
+
+	await forEachConcurrent(files, opts.concurrency, async (f) => {
+		opts.report?.start(f);
+		try {
+			const op = await processFile(f, opts);
+			if (op) {
+				done.push(op);
+				opts.report?.written(op);
+			}
+			if (op?.action === "unchanged") counts.unchangedCount++;
+			else counts.successCount++;
+		} catch (e) {
+			counts.errorCount++;
+			opts.report?.failed(f, e);
+			// Conflict reports are self-explanatory; skip the stack trace
+			error(`Failed processing ${f}`, e.conflict ? e.message : e);
+		}
+	});
+
+	await publishDone(done, counts, opts);
+	if (!opts.dryRun) saveSyncState();
+	return counts;
+}
+
+/**
+ * Publish what syncFiles wrote; a post whose item fails to publish counts as
+ * failed, and is published by the next sync even when unchanged
+ */
+async function publishDone(done, counts, opts) {
+	if (opts.publish === false || opts.dryRun) return;
+	for (const op of await publishItems(done)) {
+		counts[op.action === "unchanged" ? "unchangedCount" : "successCount"]--;
+		counts.errorCount++;
+		opts.report?.failed(
+			op.filePath,
+			`Webflow item ${op.itemId} was written but not published`,
+		);
+	}
+}
+
+/**
+ * syncFiles with every post planned first and all writes sent in bulk
+ * requests; failures are still counted and reported per file
+ */
+async function syncFilesInBulk(files, opts) {
+	const counts = { successCount: 0, unchangedCount: 0, errorCount: 0 };
+	const done = [];
+
+	const ops = [];
+	await forEachConcurrent(files, opts.concurrency, async (f) => {
+		opts.report?.start(f);
+		try {
+			const op = await prepareFile(f, opts);
+			if (op?.action === "unchanged") {
+				counts.unchangedCount++;
+				done.push(op);
+				opts.report?.written(op);
+			} else if (op) ops.push(op);
+			else counts.successCount++;
+		} catch (e) {
+			counts.errorCount++;
+			opts.report?.failed(f, e);
+			error(`Failed processing ${f}`, e.conflict ? e.message : e);
+		}
+	});
+
+	if (ops.length > 0) {
+		log(`\n--- Writing ${ops.length} item(s) in bulk ---`);
+		const failures = await applyUpsertsInBulk(ops, opts.index);
+		for (const op of ops) {
+			const e = failures.get(op);
+			if (!e) {
+				counts.successCount++;
+				done.push(op);
+				opts.report?.written(op);
+				continue;
+			}
+			counts.errorCount++;
+			opts.report?.failed(op.filePath, e);
+			error(`Failed processing ${op.filePath}`, e.rejected ? e.message : e);
+		}
+	}
+
+	await publishDone(done, counts, opts);
+	saveSyncState();
+	return counts;
+}
+
+// github-ids of every post in /posts in the primary locale
+function getLiveGithubIds() {
+	const ids = new Set();
+	for (const f of getAllMarkdown()) {
+		const fm = readPost(f).data;
+		if (!translationLocale(fm, f)) ids.add(getUniqueId(fm, f));
+	}
+	return ids;
+}
+
+/**
+ * Archive or delete the item of one removed post
+ * @returns {Promise<boolean>} true if an item was (or would be) removed
+ */
+async function removeItemForFile(
+	filePath,
+	policy,
+	liveIds,
+	{ baseRev, dryRun, index, report },
+) {
+	// The file is gone; its id and post_id live on in the old revision
+	const fm = readPostAtRevision(baseRev, filePath)?.data || {};
+	const githubId = getUniqueId(fm, filePath);
+	// The item belongs to the post in the primary locale
+	const locale = translationLocale(fm, filePath);
+	if (locale) {
+		log(
+			`Removed translation ${filePath}: keeping item of github-id ${githubId}, its ${locale} variant keeps the last synced content`,
+		);
+		forgetSyncedItem(localeKey(githubId, locale));
+		report?.skipped(filePath, `removed ${locale} translation`);
+		return false;
+	}
+	if (liveIds.has(githubId)) {
+		warn(
+			`${filePath} was removed but github-id ${githubId} is still used by another post; keeping its item`,
+		);
+		report?.skipped(filePath, `github-id ${githubId} is used by another post`);
+		return false;
+	}
+
+	const itemId =
+		fm.post_id ||
+		getSyncedItem(githubId)?.itemId ||
+		(await index.findByGithubId(githubId))?.id;
+	if (!itemId) {
+		log(`No Webflow item for removed ${filePath} (github-id: ${githubId})`);
+		report?.skipped(filePath, "removed; it has no Webflow item");
+		return false;
+	}
+
+	if (dryRun) {
+		log(
+			`(dry-run) Would ${policy} Webflow item ${itemId} (github-id: ${githubId}) for removed ${filePath}`,
+		);
+		report?.planned(filePath, {
+			planned: policy,
+			reason: `dry run: would ${policy} the item`,
+			itemId,
+		});
+		return true;
+	}
+
+	try {
+		if (policy === "delete") {
+			await deleteCollectionItem(COLLECTION_ID, itemId);
+			index.delete(itemId);
+		} else {
+			index.set(
+				await updateCollectionItem(COLLECTION_ID, itemId, { isArchived: true }),
+			);
+		}
+		log(
+			`🗑️  ${policy === "delete" ? "Deleted" : "Archived"} Webflow item ${itemId} for removed ${filePath}`,
+		);
+		report?.record(filePath, { action: `${policy}d`, itemId });
+	} catch (e) {
+		if (e.status !== 404) throw e;
+		log(`Webflow item ${itemId} for removed ${filePath} is already gone`);
+		index.delete(itemId);
+		report?.skipped(filePath, "removed; its item is already gone", itemId);
+	}
+	forgetSyncedItem(githubId);
+	for (const l of SECONDARY_LOCALES) forgetSyncedItem(localeKey(githubId, l));
+	return true;
+}
+
+/**
+ * Archive or delete the Webflow items of removed Markdown files
+ * A removed translation leaves the item (and its locale variant) alone.
+ * @param {string[]} files - Paths of the removed markdown files
+ * @param {Object} opts
+ * @param {string} opts.baseRev - Revision at which the files still existed
+ * @param {boolean} [opts.dryRun] - Print actions, don't call Webflow
+ * @param {string} [opts.deletePolicy] - One of DELETE_POLICIES
+ * @param {ItemIndex} [opts.index] - Items of the collection
+ * @param {RunReport} [opts.report] - The outcome of every file is recorded
+ *   here (see report.js)
+ * @returns {Promise<{removedCount: number, errorCount: number}>}
+ */
+export async function removeFiles(files, options) {
+	const opts = withIndex(options);
+	const policy =
+		opts.deletePolicy || process.env.SYNC_DELETE_POLICY || "archive";
+	let removedCount = 0;
+	let errorCount = 0;
+
+	if (files.length === 0) return { removedCount, errorCount };
+	if (policy === "keep") {
+		log(`Keeping Webflow items of ${files.length} removed file(s) (keep)`);
+		for (const f of files) opts.report?.skipped(f, "removed; kept (keep)");
+		return { removedCount, errorCount };
+	}
+
+	// A post may have moved without git noticing; never remove an id in use
+	const liveIds = getLiveGithubIds();
+
+	for (const f of files) {
+		log(`\n--- Removed file: ${f} ---`);
+		opts.report?.start(f);
+		try {
+			if (await removeItemForFile(f, policy, liveIds, opts)) removedCount++;
+		} catch (e) {
+			errorCount++;
+			opts.report?.failed(f, e);
+			error(`Failed removing item for ${f}`, e);
+		}
+	}
+
+	if (!opts.dryRun) saveSyncState();
+	return { removedCount, errorCount };
+}
+
+/**
+ * Warn about live items whose github-id no post in /posts has any more
+ * (e.g. removed while the delete policy was "keep"). Only reports, and only
+ * when the run already listed the collection.
+ * @param {ItemIndex} index - Index passed to syncFiles/removeFiles
+ * @returns {Array<Object>} The orphaned items
+ */
+export function reportOrphans(index) {
+	if (!index.loaded) return [];
+	const orphans = index.orphans(getLiveGithubIds());
+	if (orphans.length > 0) {
+		warn(`${orphans.length} Webflow item(s) have no post in /posts:`);
+		for (const item of orphans) {
+			warn(
+				`  - ${item.id} (github-id: ${item.fieldData?.[FIELD_IDS.githubId]}, slug: ${item.fieldData?.slug})`,
+			);
+		}
+	}
+	return orphans;
+}
+
+/**
+ * Pick the commit to diff from: the last fully synced commit when it is an
+ * ancestor of `headRev`, otherwise `fallbackRev`
+ * @param {string} fallbackRev - e.g. the push's `before` or HEAD~1
+ * @param {string} [headRev] - Commit being synced (default HEAD)
+ * @returns {string}
+ */
+export function getBaseRev(fallbackRev, headRev = "HEAD") {
+	const watermark = getLastSyncedCommit();
+	if (watermark && isAncestor(watermark, headRev)) return watermark;
+	if (watermark) {
+		warn(
+			`Last synced commit ${watermark.slice(0, 7)} is not an ancestor of ${headRev} (history rewritten?); diffing from ${fallbackRev}`,
+		);
+	}
+	return fallbackRev;
+}
+
+/**
+ * Advance the watermark to `headRev` and persist the sync state
+ * Only call this when every changed post synced successfully.
+ * @param {string} [headRev] - Commit that was synced (default HEAD)
+ * @returns {string|null} The recorded commit SHA
+ */
+export function markSynced(headRev = "HEAD") {
+	const sha = resolveCommit(headRev);
+	if (!sha) return null;
+	setLastSyncedCommit(sha);
+	saveSyncState();
+	return sha;
+}
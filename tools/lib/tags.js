@@ -0,0 +1,215 @@
+/**
+ * Tags as items of a separate Tags collection. When the post field for
+ * `tags` is mapped with `"reference": "tags"` (a MultiReference), every
+ * distinct tag is upserted into the collection by its slug and the post holds
+ * the item ids of its tags. Tag items are owned by the sync: their name comes
+ * from the posts, and items no post uses any more are deleted.
+ *
+ * ENV:
+ *  - WEBFLOW_TAGS_COLLECTION_ID (required when tags are a reference)
+ */
+
+import { FIELDS } from "./fields.js";
+import { ItemIndex } from "./item-index.js";
+import { getAllMarkdown, kebab, readPost, repoRelative } from "./posts.js";
+import {
+	createCollectionItem,
+	deleteCollectionItem,
+	publishCollectionItems,
+	updateCollectionItem,
+} from "./webflow-api.js";
+
+const TAGS_COLLECTION_ID = process.env.WEBFLOW_TAGS_COLLECTION_ID;
+
+// Post field holding the tag references; null when tags are plain text
+export const TAG_REFERENCE = FIELDS.find((f) => f.reference === "tags") || null;
+
+function log(...a) {
+	console.log("[tags]", ...a);
+}
+function error(msg, e) {
+	console.error("[tags:error]", msg);
+	if (e) console.error(e?.stack || e);
+}
+
+/**
+ * Tag names of a frontmatter value: a list, or a comma-separated string
+ * @param {*} value - Frontmatter `tags`
+ * @returns {string[]}
+ */
+export function tagNames(value) {
+	const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+	return list.map((t) => String(t).trim()).filter(Boolean);
+}
+
+/**
+ * Tags the posts in /posts use, by slug. Spellings sharing a slug ("web
+ * development", "web-development") are one tag, named by the first post.
+ * @returns {Map<string, {name: string, spellings: Set<string>, files: string[]}>}
+ */
+export function readTags() {
+	const tags = new Map();
+	for (const filePath of getAllMarkdown()) {
+		let data;
+		try {
+			data = readPost(filePath).data;
+		} catch {
+			continue; // Reported by the sync of the file
+		}
+		if (data.push_to_webflow === false) continue;
+		for (const name of tagNames(data[TAG_REFERENCE?.frontmatter || "tags"])) {
+			const slug = kebab(name);
+			if (!slug) continue;
+			if (!tags.has(slug)) {
+				tags.set(slug, { name, spellings: new Set(), files: [] });
+			}
+			tags.get(slug).spellings.add(name);
+			tags.get(slug).files.push(repoRelative(filePath));
+		}
+	}
+	return tags;
+}
+
+function requireCollection() {
+	if (!TAGS_COLLECTION_ID) {
+		throw new Error("Posts reference tags: set WEBFLOW_TAGS_COLLECTION_ID");
+	}
+}
+
+/**
+ * Names of the items in the Tags collection
+ * @returns {Promise<Map<string, string>>} Item id -> tag name
+ */
+export async function listTagItems() {
+	requireCollection();
+	const index = await new ItemIndex(TAGS_COLLECTION_ID).load();
+	return new Map(
+		[...index.byId.values()].map((item) => [
+			item.id,
+			String(item.fieldData?.name ?? ""),
+		]),
+	);
+}
+
+/**
+ * Tags collection writes of one run: each tag is created (or renamed) and
+ * published the first time a post needs it
+ */
+export class TagSync {
+	/**
+	 * @param {Object} opts
+	 * @param {boolean} [opts.dryRun] - Print actions, write nothing to Webflow
+	 */
+	constructor({ dryRun }) {
+		this.dryRun = dryRun;
+		this.tags = readTags();
+		this.index = TAGS_COLLECTION_ID ? new ItemIndex(TAGS_COLLECTION_ID) : null;
+		this.written = new Map(); // slug -> Promise of its item id
+	}
+
+	/**
+	 * Item ids of a post's tags, writing the tags first
+	 * @param {*} value - Frontmatter `tags`
+	 * @returns {Promise<string[]>}
+	 */
+	async itemIdsFor(value) {
+		const slugs = [...new Set(tagNames(value).map(kebab).filter(Boolean))];
+		const ids = [];
+		for (const slug of slugs) ids.push(await this.sync(slug, value));
+		return ids;
+	}
+
+	sync(slug, value) {
+		if (!this.written.has(slug)) {
+			// A post that isn't pushed (or not saved yet) still names its tags
+			const name =
+				this.tags.get(slug)?.name ||
+				tagNames(value).find((t) => kebab(t) === slug);
+			this.written.set(slug, this.write(slug, name));
+		}
+		return this.written.get(slug);
+	}
+
+	async write(slug, name) {
+		if (this.dryRun) {
+			log(`(dry-run) Would sync tag '${name}' (${slug})`);
+			// Its item, when it has one, so posts render as they would sync
+			const item = await this.index?.findBySlug(slug);
+			return item?.id || `(tag ${slug})`;
+		}
+		requireCollection();
+
+		const item = await this.index.findBySlug(slug);
+		if (
+			item &&
+			item.fieldData?.name === name &&
+			!item.isArchived &&
+			!item.isDraft &&
+			item.lastPublished
+		) {
+			return item.id;
+		}
+
+		const payload = {
+			isArchived: false,
+			isDraft: false,
+			fieldData: { name, slug },
+		};
+		const data = item
+			? await updateCollectionItem(TAGS_COLLECTION_ID, item.id, payload)
+			: await createCollectionItem(TAGS_COLLECTION_ID, payload);
+		log(`✅ ${item ? "Updated" : "Created"} tag item ${data.id} for '${name}'`);
+		this.index.set(data);
+
+		// Referenced items must be live for the post to show them
+		await publishCollectionItems(TAGS_COLLECTION_ID, [data.id]);
+		return data.id;
+	}
+
+	/**
+	 * Delete tag items no post uses: neither a post in /posts nor an item of
+	 * the posts collection (e.g. one only edited in Webflow)
+	 * @param {ItemIndex} postIndex - Items of the posts collection, current
+	 *   after the run's writes
+	 * @returns {Promise<{removedCount: number, errorCount: number}>}
+	 */
+	async prune(postIndex) {
+		const counts = { removedCount: 0, errorCount: 0 };
+		requireCollection();
+		await this.index.load();
+		await postIndex.load();
+
+		const referenced = new Set();
+		for (const post of postIndex.byId.values()) {
+			const ids = post.fieldData?.[TAG_REFERENCE.field];
+			if (Array.isArray(ids)) for (const id of ids) referenced.add(id);
+		}
+		const unused = [...this.index.byId.values()].filter(
+			(item) =>
+				!referenced.has(item.id) && !this.tags.has(item.fieldData?.slug),
+		);
+
+		for (const item of unused) {
+			const tag = `'${item.fieldData?.name}' (${item.fieldData?.slug})`;
+			if (this.dryRun) {
+				log(`(dry-run) Would delete unused tag item ${item.id} ${tag}`);
+				counts.removedCount++;
+				continue;
+			}
+			try {
+				await deleteCollectionItem(TAGS_COLLECTION_ID, item.id);
+				log(`🗑️  Deleted unused tag item ${item.id} ${tag}`);
+				counts.removedCount++;
+			} catch (e) {
+				if (e.status === 404) {
+					log(`Tag item ${item.id} ${tag} is already gone`);
+				} else {
+					counts.errorCount++;
+					error(`Failed deleting unused tag item ${item.id} ${tag}`, e);
+				}
+			}
+			this.index.delete(item.id);
+		}
+		return counts;
+	}
+}
@@ -0,0 +1,463 @@
+/**
+ * Minimal Webflow CMS API (v2) client shared by the sync tools.
+ * Every request goes through the shared rate limiter, which follows
+ * Webflow's rate-limit headers, and is retried on 5xx/429/network errors.
+ *
+ * ENV:
+ *  - WEBFLOW_TOKEN (read at call time)
+ *  - WEBFLOW_API_BASE_URL (optional, read at call time; e.g. the local
+ *    emulator in testing/webflow-emulator.js)
+ */
+
+export const DEFAULT_API_BASE_URL = "https://api.webflow.com/v2";
+
+/**
+ * Base URL of the API, without a trailing slash
+ * @param {Object} [env] - Where to read WEBFLOW_API_BASE_URL (default:
+ *   process.env)
+ * @returns {string}
+ */
+export function apiBaseUrl(env = process.env) {
+	return (env.WEBFLOW_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, "");
+}
+
+// Most items one bulk item request may carry
+export const BULK_LIMIT = 100;
+
+function log(...a) {
+	console.log("[webflow-api]", ...a);
+}
+function warn(...a) {
+	console.warn("[webflow-api:warn]", ...a);
+}
+
+// ---------- Retry & Rate Limiting Utilities ----------
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Retry a function on 5xx/429/network errors
+ * A 429 waits for its Retry-After (`error.retryAfter`, in ms) when the
+ * response had one; other errors back off exponentially.
+ * @param {Function} fn - Async function to retry
+ * @param {number} maxAttempts - Maximum retry attempts (default: 3)
+ * @param {number} baseDelay - Base delay in ms (default: 1000)
+ * @returns {Promise} Result of the function
+ */
+export async function retryWithBackoff(fn, maxAttempts = 3, baseDelay = 1000) {
+	for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+		try {
+			return await fn();
+		} catch (error) {
+			// Don't retry on client errors (4xx), only server errors (5xx) and rate limits (429)
+			const isRetryable =
+				error.status >= 500 ||
+				error.status === 429 ||
+				error.message?.includes("fetch failed");
+
+			if (!isRetryable || attempt === maxAttempts) {
+				throw error;
+			}
+
+			const delay =
+				error.status === 429 && error.retryAfter !== undefined
+					? error.retryAfter
+					: Math.min(
+							baseDelay * 2 ** (attempt - 1),
+							8000, // Max 8 seconds
+						);
+			warn(
+				`Retry attempt ${attempt}/${maxAttempts} after ${delay}ms:`,
+				error.message,
+			);
+			await sleep(delay);
+		}
+	}
+}
+
+/**
+ * Rate limiter for the Webflow API, shared by every request of the process
+ * Counts requests in a sliding window (120/minute until Webflow says
+ * otherwise) and adapts to the response headers: X-RateLimit-Limit sets the
+ * window size, X-RateLimit-Remaining accounts for requests made elsewhere
+ * with the same token, and Retry-After on a 429 pauses every request.
+ */
+export class RateLimiter {
+	constructor(maxRequests = 120, windowMs = 60000) {
+		this.maxRequests = maxRequests;
+		this.windowMs = windowMs;
+		this.requests = [];
+		this.pausedUntil = 0;
+	}
+
+	async waitIfNeeded() {
+		const pause = this.pausedFor();
+		if (pause > 0) {
+			await sleep(pause);
+			return this.waitIfNeeded();
+		}
+
+		const now = Date.now();
+		// Remove requests outside the current window
+		this.requests = this.requests.filter((time) => now - time < this.windowMs);
+
+		if (this.requests.length >= this.maxRequests) {
+			const oldestRequest = this.requests[0];
+			const waitTime = this.windowMs - (now - oldestRequest) + 100; // Add 100ms buffer
+			if (waitTime > 0) {
+				log(`Rate limit: waiting ${Math.ceil(waitTime)}ms...`);
+				await sleep(waitTime);
+				// Recursively check again after waiting
+				return this.waitIfNeeded();
+			}
+		}
+
+		this.requests.push(now);
+	}
+
+	/**
+	 * @returns {number} ms until requests may be sent again (0 if not paused)
+	 */
+	pausedFor() {
+		return Math.max(0, this.pausedUntil - Date.now());
+	}
+
+	/**
+	 * Hold every request for a while (e.g. a 429's Retry-After)
+	 * @param {number} ms
+	 */
+	pause(ms) {
+		this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+	}
+
+	/**
+	 * Adapt to the rate-limit headers of a response
+	 * @param {Response} res
+	 */
+	update(res) {
+		const limit = Number.parseInt(res.headers.get("x-ratelimit-limit"), 10);
+		if (limit > 0) this.maxRequests = limit;
+
+		const remaining = Number.parseInt(
+			res.headers.get("x-ratelimit-remaining"),
+			10,
+		);
+		if (!Number.isNaN(remaining)) {
+			// Requests Webflow counted that this window doesn't (made by other
+			// processes): count them from now, so the window errs on the safe side
+			const used = this.maxRequests - remaining;
+			const now = Date.now();
+			while (this.requests.length < used) this.requests.push(now);
+		}
+
+		if (res.status === 429) this.pause(retryAfterMs(res, this.windowMs));
+	}
+}
+
+/**
+ * Parse the Retry-After header of a response: seconds, or an HTTP date
+ * @param {Response} res
+ * @param {number} fallback - ms to wait when the header is missing or invalid
+ * @returns {number} ms
+ */
+function retryAfterMs(res, fallback) {
+	const value = res.headers.get("retry-after");
+	if (value) {
+		const seconds = Number(value);
+		if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+		const date = Date.parse(value);
+		if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+	}
+	return fallback;
+}
+
+// Global rate limiter instance
+export const rateLimiter = new RateLimiter(120, 60000); // 120 requests per minute
+
+/**
+ * Call the Webflow API with rate limiting and retries
+ * @param {string} method - HTTP method
+ * @param {string} apiPath - Path below /v2, e.g. `/collections/{id}/items`
+ * @param {Object} [options]
+ * @param {Object} [options.body] - JSON body
+ * @param {string} [options.action] - Label used in error messages (e.g. "update")
+ * @returns {Promise<Object|null>} Parsed JSON response (null for empty bodies)
+ */
+export async function webflowRequest(method, apiPath, { body, action } = {}) {
+	const headers = {
+		Authorization: `Bearer ${process.env.WEBFLOW_TOKEN}`,
+		accept: "application/json",
+	};
+	if (body !== undefined) headers["Content-Type"] = "application/json";
+
+	return retryWithBackoff(async () => {
+		await rateLimiter.waitIfNeeded();
+		const res = await fetch(`${apiBaseUrl()}${apiPath}`, {
+			method,
+			headers,
+			body: body !== undefined ? JSON.stringify(body) : undefined,
+		});
+		rateLimiter.update(res);
+
+		if (!res.ok) {
+			const text = await res.text();
+			const error = new Error(
+				`Webflow ${action || `${method} ${apiPath}`} failed (${res.status}): ${text}`,
+			);
+			error.status = res.status;
+			if (res.status === 429) error.retryAfter = rateLimiter.pausedFor();
+			// Validation errors name the offending params, e.g. items[3].fieldData.name
+			try {
+				error.details = JSON.parse(text).details;
+			} catch {
+				// Not JSON; the text is in the message
+			}
+			throw error;
+		}
+
+		const text = await res.text();
+		return text ? JSON.parse(text) : null;
+	});
+}
+
+/**
+ * List every item in a collection, following pagination
+ * @param {string} collectionId
+ * @param {string} [cmsLocaleId] - Locale variants to list (default: primary)
+ * @returns {Promise<Array<Object>>} Collection items
+ */
+export async function listCollectionItems(collectionId, cmsLocaleId) {
+	const items = [];
+	let offset = 0;
+	const limit = 100; // Webflow API limit
+	const locale = cmsLocaleId
+		? `&cmsLocaleId=${encodeURIComponent(cmsLocaleId)}`
+		: "";
+
+	while (true) {
+		const data = await webflowRequest(
+			"GET",
+			`/collections/${collectionId}/items?limit=${limit}&offset=${offset}${locale}`,
+			{ action: "list items" },
+		);
+		items.push(...(data.items || []));
+
+		// Check if there are more items to fetch
+		const pagination = data.pagination;
+		if (!pagination || offset + limit >= pagination.total) {
+			break;
+		}
+
+		offset += limit;
+	}
+
+	return items;
+}
+
+/**
+ * @param {string} collectionId
+ * @param {string} itemId
+ * @param {string} [cmsLocaleId] - Locale variant to get (default: primary)
+ */
+export async function getCollectionItem(collectionId, itemId, cmsLocaleId) {
+	const query = cmsLocaleId
+		? `?cmsLocaleId=${encodeURIComponent(cmsLocaleId)}`
+		: "";
+	return webflowRequest(
+		"GET",
+		`/collections/${collectionId}/items/${encodeURIComponent(itemId)}${query}`,
+		{ action: "get item" },
+	);
+}
+
+export async function createCollectionItem(collectionId, payload) {
+	return webflowRequest("POST", `/collections/${collectionId}/items`, {
+		body: payload,
+		action: "create",
+	});
+}
+
+export async function updateCollectionItem(collectionId, itemId, payload) {
+	return webflowRequest(
+		"PATCH",
+		`/collections/${collectionId}/items/${encodeURIComponent(itemId)}`,
+		{ body: payload, action: "update" },
+	);
+}
+
+/**
+ * Create up to BULK_LIMIT items in one request
+ * @param {string} collectionId
+ * @param {Array<Object>} items - Payloads as for createCollectionItem
+ * @returns {Promise<Array<Object>>} Created items, in request order
+ */
+export async function createCollectionItems(collectionId, items) {
+	const data = await webflowRequest(
+		"POST",
+		`/collections/${collectionId}/items`,
+		{
+			body: { items },
+			action: "bulk create",
+		},
+	);
+	return data?.items || [];
+}
+
+/**
+ * Update up to BULK_LIMIT items in one request
+ * @param {string} collectionId
+ * @param {Array<Object>} items - Payloads as for updateCollectionItem, plus `id`
+ * @returns {Promise<Array<Object>>} Updated items
+ */
+export async function updateCollectionItems(collectionId, items) {
+	const data = await webflowRequest(
+		"PATCH",
+		`/collections/${collectionId}/items`,
+		{
+			body: { items },
+			action: "bulk update",
+		},
+	);
+	return data?.items || [];
+}
+
+export async function deleteCollectionItem(collectionId, itemId) {
+	return webflowRequest(
+		"DELETE",
+		`/collections/${collectionId}/items/${encodeURIComponent(itemId)}`,
+		{ action: "delete" },
+	);
+}
+
+/**
+ * Publish staged items to the live site (up to BULK_LIMIT per request)
+ * @param {string} collectionId
+ * @param {Array<string|{id: string, cmsLocaleIds: string[]}>} items - Item
+ *   ids, or items with the locale variants to publish
+ * @returns {Promise<{publishedItemIds?: string[], errors?: Array<Object>}>}
+ */
+export async function publishCollectionItems(collectionId, items) {
+	const body = items.every((item) => typeof item === "string")
+		? { itemIds: items }
+		: {
+				items: items.map((item) =>
+					typeof item === "string" ? { id: item } : item,
+				),
+			};
+	return webflowRequest("POST", `/collections/${collectionId}/items/publish`, {
+		body,
+		action: "publish items",
+	});
+}
+
+/**
+ * @param {string} collectionId
+ * @returns {Promise<Object>} Collection, with its `fields`
+ */
+export async function getCollection(collectionId) {
+	return webflowRequest("GET", `/collections/${collectionId}`, {
+		action: "get collection",
+	});
+}
+
+/**
+ * @param {string} collectionId
+ * @param {Object} field - {displayName, slug, type, isRequired, helpText?,
+ *   metadata?: {collectionId}} (metadata for Reference/MultiReference)
+ * @returns {Promise<Object>} Created field
+ */
+export async function createCollectionField(collectionId, field) {
+	return webflowRequest("POST", `/collections/${collectionId}/fields`, {
+		body: field,
+		action: `create field ${field.slug}`,
+	});
+}
+
+/**
+ * Change a field's displayName, helpText or isRequired (its type can't be
+ * changed)
+ * @param {string} collectionId
+ * @param {string} fieldId
+ * @param {Object} changes
+ * @returns {Promise<Object>} Updated field
+ */
+export async function updateCollectionField(collectionId, fieldId, changes) {
+	return webflowRequest(
+		"PATCH",
+		`/collections/${collectionId}/fields/${encodeURIComponent(fieldId)}`,
+		{ body: changes, action: "update field" },
+	);
+}
+
+/**
+ * @param {string} siteId
+ * @returns {Promise<Object>} Site, with its `locales` ({primary, secondary})
+ */
+export async function getSite(siteId) {
+	return webflowRequest("GET", `/sites/${siteId}`, { action: "get site" });
+}
+
+/**
+ * @param {string} siteId
+ * @returns {Promise<Array<{id: string, url: string}>>} Custom domains of the site
+ */
+export async function listCustomDomains(siteId) {
+	const data = await webflowRequest("GET", `/sites/${siteId}/custom_domains`, {
+		action: "list custom domains",
+	});
+	return data?.customDomains || [];
+}
+
+/**
+ * Publish a site (Webflow allows one site publish per minute)
+ * @param {string} siteId
+ * @param {{customDomains: string[], publishToWebflowSubdomain: boolean}} target
+ *   customDomains are domain ids from listCustomDomains
+ */
+export async function publishSite(siteId, target) {
+	return webflowRequest("POST", `/sites/${siteId}/publish`, {
+		body: target,
+		action: "publish site",
+	});
+}
+
+/**
+ * List every asset of a site, following pagination
+ * @param {string} siteId
+ * @returns {Promise<Array<Object>>} Assets (including `fileHash` and `hostedUrl`)
+ */
+export async function listSiteAssets(siteId) {
+	const assets = [];
+	let offset = 0;
+	const limit = 100;
+
+	while (true) {
+		const data = await webflowRequest(
+			"GET",
+			`/sites/${siteId}/assets?limit=${limit}&offset=${offset}`,
+			{ action: "list assets" },
+		);
+		assets.push(...(data.assets || []));
+
+		const pagination = data.pagination;
+		if (!pagination || offset + limit >= pagination.total) {
+			break;
+		}
+
+		offset += limit;
+	}
+
+	return assets;
+}
+
+/**
+ * Register an asset and get a presigned upload target for it
+ * @param {string} siteId
+ * @param {{fileName: string, fileHash: string}} meta - fileHash is the MD5 hex of the file
+ * @returns {Promise<{id: string, uploadUrl: string, uploadDetails: Object, hostedUrl: string}>}
+ */
+export async function createAssetUpload(siteId, meta) {
+	return webflowRequest("POST", `/sites/${siteId}/assets`, {
+		body: meta,
+		action: "create asset",
+	});
+}
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * PR preview: plan the sync of the posts a pull request changes, read-only
+ * (as sync-webflow.js --dry-run), and post the planned action per file, the
+ * field diffs against the live items and the frontmatter warnings as a
+ * single comment on the PR. Later runs update that comment.
+ *
+ * ENV:
+ *  - WEBFLOW_TOKEN
+ *  - WEBFLOW_COLLECTION_ID
+ *  - WEBFLOW_AUTHORS_COLLECTION_ID, WEBFLOW_TAGS_COLLECTION_ID (when posts
+ *    reference them)
+ *  - WEBFLOW_SITE_ID, WEBFLOW_UPLOAD_ASSETS (when images are uploaded to
+ *    Webflow Assets, see lib/sync.js; the site also for translations)
+ *  - GITHUB_TOKEN (with pull-requests: write; without it the comment is
+ *    printed)
+ *  - GITHUB_REPOSITORY (auto in Actions: owner/repo)
+ *  - GITHUB_EVENT_PATH (auto; the PR number and its base commit)
+ *  - SYNC_CONFLICT_POLICY, SYNC_DELETE_POLICY (as for the sync)
+ *  - GITHUB_STEP_SUMMARY (auto; the preview is added to the job summary)
+ *
+ * CLI:
+ *  - --base <rev>    Commit to diff from (default: the PR's base)
+ *  - --pr <n>        PR to comment on (default: the PR of the event)
+ *  - --no-comment    Print the comment instead of posting it
+ *  - --out <file>    Also write the comment to a file
+ */
+
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { ItemIndex } from "./lib/item-index.js";
+import {
+	diffPosts,
+	REPO_ROOT,
+	repoRelative,
+	resolveCommit,
+} from "./lib/posts.js";
+import { previewToMarkdown, upsertPreviewComment } from "./lib/preview.js";
+import { RunReport } from "./lib/report.js";
+import { SCHEMA_FILE } from "./lib/schema.js";
+import {
+	createAuthorSync,
+	createTagSync,
+	HTML_FIELDS,
+	removeFiles,
+	syncFiles,
+} from "./lib/sync.js";
+
+const REPO = process.env.GITHUB_REPOSITORY || process.env.GH_REPOSITORY; // owner/repo
+const VALIDATOR = path.join(
+	path.dirname(fileURLToPath(import.meta.url)),
+	"validate-frontmatter.js",
+);
+
+function parseArgs() {
+	const argv = process.argv.slice(2);
+	const optionValue = (flag) => {
+		const i = argv.indexOf(flag);
+		return i >= 0 ? argv[i + 1] : undefined;
+	};
+	return {
+		base: optionValue("--base"),
+		pr: optionValue("--pr"),
+		comment: !argv.includes("--no-comment"),
+		out: optionValue("--out"),
+	};
+}
+
+function log(...a) {
+	console.log("[preview-sync]", ...a);
+}
+function warn(...a) {
+	console.warn("[preview-sync:warn]", ...a);
+}
+function fail(msg, e) {
+	console.error("[preview-sync:error]", msg);
+	if (e) console.error(e?.stack || e);
+	process.exitCode = 1;
+}
+
+function requireEnv(name) {
+	const v = process.env[name];
+	if (!v) {
+		throw new Error(`Missing required env: ${name}`);
+	}
+	return v;
+}
+
+/**
+ * The pull_request event of the run, if any
+ * @returns {Object|null}
+ */
+function readPullRequest() {
+	if (!process.env.GITHUB_EVENT_PATH) return null;
+	try {
+		const event = JSON.parse(
+			fs.readFileSync(process.env.GITHUB_EVENT_PATH, "utf8"),
+		);
+		return event.pull_request || null;
+	} catch (e) {
+		warn("Could not parse GitHub event data", e.message);
+		return null;
+	}
+}
+
+/**
+ * Run validate-frontmatter.js and collect what it reports
+ * @returns {Problem[]} Every error and warning; files repo-relative
+ */
+function validate() {
+	const args = [VALIDATOR];
+	if (fs.existsSync(SCHEMA_FILE)) args.push("--schema");
+	const { stdout, stderr, error } = spawnSync(process.execPath, args, {
+		encoding: "utf8",
+	});
+	if (error) throw error;
+
+	const problems = [];
+	for (const line of `${stdout}\n${stderr}`.split("\n")) {
+		// Two spaces: the closing "❌ Frontmatter validation failed." is not one
+		const match = line.match(/^(❌|⚠️) {2}(.+)$/u);
+		if (!match) continue;
+		const level = match[1] === "❌" ? "error" : "warning";
+		let message = match[2];
+		let file;
+		// "<absolute path>: message"
+		const at = message.indexOf(": ");
+		if (message.startsWith(`${REPO_ROOT}${path.sep}`) && at > 0) {
+			file = repoRelative(message.slice(0, at));
+			message = message.slice(at + 2);
+		}
+		problems.push({ level, message, ...(file && { file }) });
+	}
+	return problems;
+}
+
+async function main() {
+	log("=== Webflow Sync Preview ===");
+	try {
+		requireEnv("WEBFLOW_TOKEN");
+		requireEnv("WEBFLOW_COLLECTION_ID");
+	} catch (e) {
+		fail(e.message);
+		return;
+	}
+	const args = parseArgs();
+	const pullRequest = readPullRequest();
+	const base = args.base || pullRequest?.base?.sha;
+	const pr = args.pr || pullRequest?.number;
+	if (!base) {
+		fail("No base commit: pass --base <rev> or run on a pull_request event");
+		return;
+	}
+	const baseSha = resolveCommit(base);
+	if (!baseSha) {
+		fail(`Base commit ${base} not found (fetch the full history)`);
+		return;
+	}
+	const head = resolveCommit("HEAD");
+
+	let changes;
+	try {
+		changes = diffPosts(base);
+	} catch (e) {
+		fail(`git diff from ${base} failed`, e);
+		return;
+	}
+	const { changed, deleted, renamed } = changes;
+	log(
+		`Previewing ${changed.length} changed and ${deleted.length} removed post(s) since ${base.slice(0, 7)}`,
+	);
+
+	const report = new RunReport({ dryRun: true, base: baseSha, commit: head });
+	if (changed.length > 0 || deleted.length > 0) {
+		const index = new ItemIndex(process.env.WEBFLOW_COLLECTION_ID);
+		await syncFiles(
+			changed.map((f) => path.join(REPO_ROOT, f)),
+			{
+				dryRun: true,
+				renames: renamed,
+				baseRev: base,
+				index,
+				authors: createAuthorSync({ dryRun: true }),
+				tags: createTagSync({ dryRun: true }),
+				report,
+			},
+		);
+		await removeFiles(deleted, {
+			baseRev: base,
+			dryRun: true,
+			index,
+			report,
+		});
+	}
+
+	// Problems of the changed posts, and those not about a post (e.g. an
+	// author profile or the schema snapshot)
+	const touched = new Set([...changed, ...deleted]);
+	let problems = [];
+	try {
+		problems = validate().filter(
+			(p) => !p.file?.startsWith("posts/") || touched.has(p.file),
+		);
+	} catch (e) {
+		warn("Could not run validate-frontmatter.js:", e.message);
+	}
+
+	const body = previewToMarkdown(report, {
+		problems,
+		htmlFields: HTML_FIELDS,
+		base: baseSha,
+		head,
+	});
+	if (args.out) {
+		fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+		fs.writeFileSync(args.out, body);
+		log(`Preview: ${args.out}`);
+	}
+	if (process.env.GITHUB_STEP_SUMMARY) {
+		fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, body);
+	}
+
+	const failed = report.totals().failed;
+	if (failed > 0) {
+		log(`❌ ${failed} post(s) would fail to sync`);
+		process.exitCode = 1;
+	}
+
+	if (!args.comment || !process.env.GITHUB_TOKEN || !REPO || !pr) {
+		if (args.comment) {
+			log("No GITHUB_TOKEN, GITHUB_REPOSITORY or PR number; not commenting");
+		}
+		console.log(`\n${body}`);
+		return;
+	}
+	try {
+		// Nothing to preview: only clear a comment of an earlier push
+		const { comment, created } = await upsertPreviewComment(REPO, pr, body, {
+			updateOnly: report.entries.size === 0 && problems.length === 0,
+		});
+		if (comment) {
+			log(
+				`${created ? "Commented on" : "Updated the comment on"} PR #${pr}: ${comment.html_url}`,
+			);
+		} else {
+			log("Nothing to preview; no comment");
+		}
+	} catch (e) {
+		fail(`Could not comment on PR #${pr}`, e);
+	}
+}
+
+main().catch((e) => fail("Unhandled error", e));
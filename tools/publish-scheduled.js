@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Publish scheduled posts whose time has come, and list the ones still queued
+ * A post with `published: true` and a future `date` is synced as a draft (see
+ * isScheduled in lib/posts.js). Run this from cron: once the date has passed,
+ * the post is synced again, now as live, and its item is published.
+ *
+ * ENV:
+ *  - WEBFLOW_TOKEN
+ *  - WEBFLOW_COLLECTION_ID
+ *  - GH_REPOSITORY, GITHUB_SHA, WEBFLOW_SITE_ID, WEBFLOW_UPLOAD_ASSETS (as
+ *    for sync-webflow.js)
+ *
+ * CLI:
+ *  - --dry-run       Print the due posts and the queue, don't call Webflow
+ *                    (other than listing the collection)
+ *  - --publish-site  Also publish the site when a post went live
+ */
+
+import { ItemIndex } from "./lib/item-index.js";
+import { localeKey, translationLocale } from "./lib/locales.js";
+import {
+	getAllMarkdown,
+	getUniqueId,
+	isScheduled,
+	readPost,
+	repoRelative,
+} from "./lib/posts.js";
+import { publishSiteLive, syncFiles } from "./lib/sync.js";
+import { getSyncedItem } from "./lib/sync-state.js";
+
+const COLLECTION_ID = process.env.WEBFLOW_COLLECTION_ID;
+
+function log(...a) {
+	console.log("[publish-scheduled]", ...a);
+}
+function fail(msg, e) {
+	console.error("[publish-scheduled:error]", msg);
+	if (e) console.error(e?.stack || e);
+	process.exitCode = 1;
+}
+
+/**
+ * Posts with `published: true` and a date, split by whether the date passed
+ * @param {Date} now
+ * @returns {{queued: Array<Object>, past: Array<Object>}}
+ *   Entries are {filePath, fm, date}; queued is sorted by date
+ */
+function getDatedPosts(now) {
+	const queued = [];
+	const past = [];
+	for (const filePath of getAllMarkdown()) {
+		const fm = readPost(filePath).data;
+		if (!fm.published || !fm.date || fm.push_to_webflow === false) continue;
+		const date = new Date(fm.date);
+		if (Number.isNaN(date.getTime())) continue;
+		const post = { filePath, fm, date };
+		if (isScheduled(fm, now)) queued.push(post);
+		else past.push(post);
+	}
+	queued.sort((a, b) => a.date - b.date);
+	return { queued, past };
+}
+
+/**
+ * Posts whose date passed but whose item isn't live yet
+ * Posts without an item are left to the regular sync. The index holds the
+ * primary locale, so a translation is due until the sync state records its
+ * locale variant as published.
+ */
+async function findDuePosts(past, index) {
+	const due = [];
+	for (const post of past) {
+		const githubId = getUniqueId(post.fm, post.filePath);
+		const item = post.fm.post_id
+			? await index.get(post.fm.post_id)
+			: await index.findByGithubId(githubId);
+		if (!item) continue;
+		const locale = translationLocale(post.fm, post.filePath);
+		const live = locale
+			? getSyncedItem(localeKey(githubId, locale))?.publishedAt
+			: !item.isDraft && item.lastPublished;
+		if (!live) due.push(post);
+	}
+	return due;
+}
+
+function reportQueue(queued) {
+	log(`\n=== Publication queue (${queued.length}) ===`);
+	if (queued.length === 0) {
+		log("No scheduled posts.");
+		return;
+	}
+	for (const { filePath, fm, date } of queued) {
+		log(`  ${date.toISOString()}  ${repoRelative(filePath)}  "${fm.title}"`);
+	}
+}
+
+async function main() {
+	for (const name of ["WEBFLOW_TOKEN", "WEBFLOW_COLLECTION_ID"]) {
+		if (!process.env[name]) {
+			fail(`Missing required env: ${name}`);
+			return;
+		}
+	}
+	const argv = process.argv.slice(2);
+	const dryRun = argv.includes("--dry-run");
+	const publishSite = argv.includes("--publish-site");
+
+	const now = new Date();
+	const { queued, past } = getDatedPosts(now);
+	const index = new ItemIndex(COLLECTION_ID);
+	const due = await findDuePosts(past, index);
+
+	log(`${due.length} scheduled post(s) due at ${now.toISOString()}`);
+	for (const { filePath, date } of due) {
+		log(`  - ${repoRelative(filePath)} (${date.toISOString()})`);
+	}
+
+	if (due.length > 0) {
+		const { successCount, unchangedCount, errorCount } = await syncFiles(
+			due.map((post) => post.filePath),
+			{ dryRun, index },
+		);
+		const published = successCount + unchangedCount;
+		log(
+			`${dryRun ? "Would publish" : "Published"} ${published}, failed ${errorCount}`,
+		);
+		if (errorCount > 0) process.exitCode = 1;
+		if (publishSite && published > 0) await publishSiteLive({ dryRun });
+	}
+
+	reportQueue(queued);
+}
+
+main().catch((e) => fail("Unhandled error", e));
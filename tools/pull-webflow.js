@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Pull Webflow CMS (v2) items back into Markdown files in /posts
+ * Inverse of sync-webflow.js: maps fieldData back through FIELD_IDS and
+ * converts the RichText body to GitHub Flavored Markdown.
+ *
+ * ENV:
+ *  - WEBFLOW_TOKEN
+ *  - WEBFLOW_COLLECTION_ID
+ *  - GH_REPOSITORY (optional; raw.githubusercontent.com URLs for this repo
+ *    are turned back into repo-relative paths)
+ *
+ * CLI:
+ *  - --item <id>   Pull only this item (repeatable)
+ *  - --dry-run     Print actions, don't write files
+ */
+
+import { pullItems } from "./lib/pull.js";
+import { getCollectionItem, listCollectionItems } from "./lib/webflow-api.js";
+
+const COLLECTION_ID = process.env.WEBFLOW_COLLECTION_ID;
+
+function parseArgs() {
+	const argv = process.argv.slice(2);
+	const itemIds = [];
+	argv.forEach((arg, i) => {
+		if (arg === "--item" && argv[i + 1]) itemIds.push(argv[i + 1]);
+	});
+	return {
+		itemIds,
+		dryRun: argv.includes("--dry-run"),
+	};
+}
+
+function log(...a) {
+	console.log("[pull-webflow]", ...a);
+}
+function fail(msg, e) {
+	console.error("[pull-webflow:error]", msg);
+	if (e) console.error(e?.stack || e);
+	process.exitCode = 1;
+}
+
+function requireEnv(name) {
+	const v = process.env[name];
+	if (!v) {
+		throw new Error(`Missing required env: ${name}`);
+	}
+	return v;
+}
+
+async function main() {
+	log("=== Webflow Pull Script ===");
+	try {
+		requireEnv("WEBFLOW_TOKEN");
+		requireEnv("WEBFLOW_COLLECTION_ID");
+	} catch (e) {
+		fail(e.message);
+		return;
+	}
+	const { itemIds, dryRun } = parseArgs();
+
+	if (dryRun) {
+		log("🔍 DRY RUN MODE - No files will be written\n");
+	}
+
+	const items =
+		itemIds.length > 0
+			? await Promise.all(
+					itemIds.map((id) => getCollectionItem(COLLECTION_ID, id)),
+				)
+			: await listCollectionItems(COLLECTION_ID);
+	const live = items.filter((item) => !item.isArchived);
+	log(`Fetched ${items.length} item(s), ${live.length} not archived.`);
+
+	const counts = await pullItems(live, { dryRun });
+
+	log("\n=== Summary ===");
+	log(`Created: ${counts.created}`);
+	log(`Updated: ${counts.updated}`);
+	log(`Unchanged: ${counts.unchanged}`);
+	if (counts.failed > 0) {
+		log(`❌ Failed: ${counts.failed}`);
+		process.exitCode = 1;
+	}
+}
+
+main().catch((e) => fail("Unhandled error", e));
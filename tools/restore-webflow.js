@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Restore the Webflow collections from an archive of backup-webflow.js:
+ * items are patched back to their snapshot values and states, deleted items
+ * are recreated (references to them rewritten to the new ids) and items that
+ * were live in the snapshot are published again. Restores the whole archive,
+ * or only the items given with --item.
+ *
+ * ENV:
+ *  - WEBFLOW_TOKEN
+ *  - WEBFLOW_SITE_ID (required when the archive has secondary locales)
+ *
+ * CLI:
+ *  - <archive>             Backup to restore
+ *  - --item <id>           Restore only this item (repeatable)
+ *  - --collection <name>   Restore only this collection: posts, authors or
+ *                          tags (repeatable)
+ *  - --dry-run             Print the changes per field, write nothing
+ *  - --prune               Delete items created since the backup (whole
+ *                          restores only; without it they are listed)
+ *  - --no-publish          Leave restored items staged
+ */
+
+import {
+	applyRestore,
+	fetchLive,
+	loadBackup,
+	matchItems,
+	planRestore,
+} from "./lib/backup.js";
+import { describeChanges } from "./lib/field-diff.js";
+
+const VALUE_FLAGS = ["--item", "--collection"];
+
+function parseArgs() {
+	const argv = process.argv.slice(2);
+	const itemIds = [];
+	const collections = [];
+	let archive = null;
+	argv.forEach((arg, i) => {
+		if (arg === "--item" && argv[i + 1]) itemIds.push(argv[i + 1]);
+		else if (arg === "--collection" && argv[i + 1]) {
+			collections.push(argv[i + 1]);
+		} else if (!arg.startsWith("--") && !VALUE_FLAGS.includes(argv[i - 1])) {
+			archive ??= arg;
+		}
+	});
+	return {
+		archive,
+		itemIds,
+		collections,
+		dryRun: argv.includes("--dry-run"),
+		prune: argv.includes("--prune"),
+		publish: !argv.includes("--no-publish"),
+	};
+}
+
+function log(...a) {
+	console.log("[restore-webflow]", ...a);
+}
+function warn(...a) {
+	console.warn("[restore-webflow:warn]", ...a);
+}
+function fail(msg, e) {
+	console.error("[restore-webflow:error]", msg);
+	if (e) console.error(e?.stack || e);
+	process.exitCode = 1;
+}
+
+const SIGNS = { create: "+", update: "~", delete: "-" };
+
+function printOp(name, op) {
+	const locale = op.locale ? ` [${op.locale}]` : "";
+	const count = op.action === "delete" ? "" : `: ${op.changes.length} field(s)`;
+	log(
+		`${SIGNS[op.action]} ${op.action} ${name}/${op.slug} (${op.itemId})${locale}${count}`,
+	);
+	for (const line of describeChanges(op.changes)) log(`    ${line}`);
+}
+
+async function main() {
+	log("=== Webflow Restore ===");
+	const opts = parseArgs();
+	if (!process.env.WEBFLOW_TOKEN || !opts.archive) {
+		fail(
+			!opts.archive
+				? "Usage: restore-webflow.js <archive> [--item <id>] [--collection <name>] [--dry-run] [--prune] [--no-publish]"
+				: "Missing required env: WEBFLOW_TOKEN",
+		);
+		return;
+	}
+
+	let backup;
+	try {
+		backup = loadBackup(opts.archive);
+	} catch (e) {
+		fail(`Cannot read ${opts.archive}: ${e.message}`);
+		return;
+	}
+	log(`Backup of ${backup.createdAt}`);
+	if (opts.dryRun) {
+		log("🔍 DRY RUN MODE - No changes will be made\n");
+	}
+
+	const selected = (c) =>
+		opts.collections.length === 0 || opts.collections.includes(c.name);
+	const collections = backup.collections.filter(selected);
+	for (const name of opts.collections) {
+		if (!collections.some((c) => c.name === name)) {
+			warn(`Collection '${name}' is not in the backup`);
+		}
+	}
+	const itemIds = opts.itemIds.length > 0 ? new Set(opts.itemIds) : undefined;
+	for (const id of opts.itemIds) {
+		if (!collections.some((c) => c.items.some((i) => i.id === id))) {
+			warn(`Item ${id} is not in the backup`);
+		}
+	}
+
+	const totals = { planned: 0, written: 0, failed: 0, published: 0 };
+	// Snapshot id -> id of the item recreated for it, across collections
+	const idMap = new Map();
+	for (const collection of backup.collections.filter((c) => !selected(c))) {
+		matchItems(collection, (await fetchLive(collection)).items, idMap);
+	}
+	for (const collection of collections) {
+		log(`\n--- ${collection.name} (${collection.id}) ---`);
+		const live = await fetchLive(collection);
+		const { ops, extra, droppedFields } = planRestore(collection, live, {
+			itemIds,
+			prune: opts.prune,
+			idMap,
+		});
+		if (droppedFields.length > 0) {
+			warn(
+				`Fields no longer in ${collection.name}, not restored: ${droppedFields.join(", ")}`,
+			);
+		}
+		for (const op of ops) printOp(collection.name, op);
+		if (extra.length > 0 && !opts.prune) {
+			log(
+				`${extra.length} item(s) not in the backup, kept (--prune deletes them): ${extra.map((i) => i.fieldData?.slug || i.id).join(", ")}`,
+			);
+		}
+		if (ops.length === 0) log("Matches the backup");
+		totals.planned += ops.length;
+		if (opts.dryRun || ops.length === 0) continue;
+
+		const counts = await applyRestore(collection, ops, {
+			idMap,
+			publish: opts.publish,
+		});
+		totals.written += counts.written;
+		totals.failed += counts.failed;
+		totals.published += counts.published;
+	}
+
+	log("\n=== Summary ===");
+	if (opts.dryRun) {
+		log(`Planned: ${totals.planned}`);
+		return;
+	}
+	log(`Written: ${totals.written}`);
+	log(`Published: ${totals.published}`);
+	if (totals.failed > 0) {
+		log(`❌ Failed: ${totals.failed}`);
+		process.exitCode = 1;
+	}
+}
+
+main().catch((e) => fail("Unhandled error", e));
@@ -6,140 +6,122 @@
  * ENV (secrets in Actions):
  *  - WEBFLOW_TOKEN
  *  - WEBFLOW_COLLECTION_ID
- *  - WEBFLOW_SITE_ID (optional, not used here but handy)
+ *  - WEBFLOW_SITE_ID (optional; image uploads and --publish-site)
+ *  - WEBFLOW_UPLOAD_ASSETS (optional; "true" as --upload-assets)
+ *  - WEBFLOW_AUTHORS_COLLECTION_ID (when posts name an author, see
+ *    lib/authors.js)
+ *  - WEBFLOW_TAGS_COLLECTION_ID (when tags are a reference, see lib/tags.js)
  *  - GH_REPOSITORY (auto in Actions: owner/repo)
  *  - GITHUB_SHA (auto)
  *  - GITHUB_REF_NAME (auto; branch)
+ *  - GITHUB_EVENT_PATH (auto; push `before` is the fallback diff base)
+ *  - SYNC_STATE_FILE (optional; last-synced state, see lib/sync-state.js)
+ *  - SYNC_CONCURRENCY (optional; default for --concurrency)
+ *  - SYNC_REPORT_FILE (optional; run report, see lib/report.js)
+ *  - WEBFLOW_API_BASE_URL (optional; e.g. the local emulator in
+ *    testing/webflow-emulator.js)
+ *  - GITHUB_STEP_SUMMARY (auto; the run report is added to the job summary)
+ *
+ * Changed posts are found by diffing HEAD against the last commit that
+ * synced completely (the webflow-synced tag, see lib/sync-state.js). The
+ * watermark only advances when every post succeeded, so failed or cancelled
+ * runs are retried.
+ * Changed author profiles (/authors) are written before the posts; with
+ * tags as a reference, tag items no post uses any more are deleted after.
+ * Every run saves a JSON report of what it did per post (default
+ * .webflow-sync/report.json); in Actions it is also shown as a table in the
+ * job summary.
  *
  * CLI:
- *  - --all       Sync all markdown files in posts directory
- *  - --dry-run   Print actions, don't call Webflow
+ *  - --all       Sync all markdown files in posts directory (and every
+ *                author profile)
+ *  - --dry-run   Print what would change, per field; write nothing to Webflow
+ *  - --batch     Send creates and updates in bulk requests of up to 100
+ *                items (much faster for --all on a large archive)
+ *  - --force     Update items even when their payload is unchanged since the
+ *                last sync (they are skipped otherwise)
+ *  - --concurrency <n>
+ *                Posts converted and written at once (default:
+ *                SYNC_CONCURRENCY or 1); requests still follow Webflow's
+ *                rate limit
+ *  - --no-publish    Leave written items staged; by default items of posts
+ *                    with `published: true` are published live
+ *  - --publish-site  Publish the whole site (WEBFLOW_SITE_ID) to its custom
+ *                    domains and webflow.io subdomain after the sync
+ *  - --upload-assets Upload local images to the Webflow Assets of
+ *                    WEBFLOW_SITE_ID instead of linking raw GitHub URLs
+ *  - --on-conflict <fail|github-wins|webflow-wins>
+ *                What to do when an item was edited in Webflow since the
+ *                last sync (default: SYNC_CONFLICT_POLICY or "fail")
+ *  - --on-delete <archive|delete|keep>
+ *                What to do with the items of removed posts
+ *                (default: SYNC_DELETE_POLICY or "archive")
  */
 
 import fs from "node:fs";
 import path from "node:path";
-import { fileURLToPath } from "node:url";
-import { execSync } from "node:child_process";
-import matter from "gray-matter";
-import { unified } from "unified";
-import remarkParse from "remark-parse";
-import remarkGfm from "remark-gfm";
-import remarkRehype from "remark-rehype";
-import rehypeStringify from "rehype-stringify";
-import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
-
-// ---------- Retry & Rate Limiting Utilities ----------
-/**
- * Retry a function with exponential backoff
- * @param {Function} fn - Async function to retry
- * @param {number} maxAttempts - Maximum retry attempts (default: 3)
- * @param {number} baseDelay - Base delay in ms (default: 1000)
- * @returns {Promise} Result of the function
- */
-async function retryWithBackoff(fn, maxAttempts = 3, baseDelay = 1000) {
-	for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-		try {
-			return await fn();
-		} catch (error) {
-			// Don't retry on client errors (4xx), only server errors (5xx) and rate limits (429)
-			const isRetryable =
-				error.status >= 500 ||
-				error.status === 429 ||
-				(error.message && error.message.includes("fetch failed"));
-			
-			if (!isRetryable || attempt === maxAttempts) {
-				throw error;
-			}
-			
-			const delay = Math.min(
-				baseDelay * Math.pow(2, attempt - 1),
-				8000, // Max 8 seconds
-			);
-			warn(
-				`Retry attempt ${attempt}/${maxAttempts} after ${delay}ms:`,
-				error.message,
-			);
-			await new Promise((resolve) => setTimeout(resolve, delay));
-		}
-	}
-}
-
-/**
- * Rate limiter for Webflow API (120 requests/minute)
- */
-class RateLimiter {
-	constructor(maxRequests = 120, windowMs = 60000) {
-		this.maxRequests = maxRequests;
-		this.windowMs = windowMs;
-		this.requests = [];
-	}
-
-	async waitIfNeeded() {
-		const now = Date.now();
-		// Remove requests outside the current window
-		this.requests = this.requests.filter(
-			(time) => now - time < this.windowMs,
-		);
-
-		if (this.requests.length >= this.maxRequests) {
-			const oldestRequest = this.requests[0];
-			const waitTime = this.windowMs - (now - oldestRequest) + 100; // Add 100ms buffer
-			if (waitTime > 0) {
-				log(`Rate limit: waiting ${Math.ceil(waitTime)}ms...`);
-				await new Promise((resolve) => setTimeout(resolve, waitTime));
-				// Recursively check again after waiting
-				return this.waitIfNeeded();
-			}
-		}
-
-		this.requests.push(now);
-	}
-}
-
-// Global rate limiter instance
-const rateLimiter = new RateLimiter(120, 60000); // 120 requests per minute
+import { AUTHOR_REFERENCE, AUTHORS_DIR, readAuthors } from "./lib/authors.js";
+import { ItemIndex } from "./lib/item-index.js";
+import { parseConcurrency } from "./lib/pool.js";
+import {
+	diffMarkdown,
+	diffPosts,
+	EMPTY_TREE,
+	getAllMarkdown,
+	REPO_ROOT,
+	repoRelative,
+	resolveCommit,
+} from "./lib/posts.js";
+import { RunReport } from "./lib/report.js";
+import {
+	CONFLICT_POLICIES,
+	createAuthorSync,
+	createTagSync,
+	DELETE_POLICIES,
+	getBaseRev,
+	markSynced,
+	pruneTags,
+	publishSiteLive,
+	removeFiles,
+	reportOrphans,
+	syncAuthors,
+	syncFiles,
+} from "./lib/sync.js";
 
 // ---------- Config you may tweak ----------
-// Resolve repo root relative to this script's location
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const REPO_ROOT = path.resolve(__dirname, "..");
-const POSTS_DIR = path.join(REPO_ROOT, "posts");
-const IMAGE_DIR = path.join(REPO_ROOT, "images");
 const COLLECTION_ID = process.env.WEBFLOW_COLLECTION_ID;
 const WEBFLOW_TOKEN = process.env.WEBFLOW_TOKEN;
 const REPO = process.env.GITHUB_REPOSITORY || process.env.GH_REPOSITORY; // owner/repo
 const COMMIT_SHA = process.env.GITHUB_SHA || "main";
 const BRANCH = process.env.GITHUB_REF_NAME || "main";
-// Field slugs for Webflow v2 API (match your collection setup)
-// Run `node tools/fetch-schema.js` to get the correct field slugs for your collection
-// Note: Webflow v2 API uses field slugs in fieldData, not field IDs!
-// Update these to match your actual Webflow collection field slugs
-const FIELD_IDS = {
-	name: "name", // Name field slug
-	slug: "slug", // Slug field slug
-	body: "post-body", // Body/RichText field slug
-	mainImage: "main-image", // Main Image field slug
-	publishDate: "publish-date", // Publish Date field slug (for scheduled publishing)
-	authorText: "author", // Author field slug
-	externalLink: "link", // External Link field slug
-	isPublished: "is-published", // Published status field slug
-	pushToWebflow: "push-to-webflow", // Push to Webflow flag field slug
-	postId: "post-id", // Post ID field slug
-	githubId: "github-id", // GitHub ID field slug (stable unique identifier)
-	// Note: lastUpdated is a Webflow system field (read-only), automatically managed
-	excerpt: "post-summary", // Excerpt/Summary field slug
-	seoTitle: "seo-title", // SEO Title field slug
-	seoDescription: "seo-description", // SEO Description field slug
-	tags: "tags", // Tags field slug
-};
+// Field slugs live in ./lib/fields.js; the upsert logic in ./lib/sync.js
 // ------------------------------------------
 
 function parseArgs() {
-	const args = new Set(process.argv.slice(2));
+	const argv = process.argv.slice(2);
+	const args = new Set(argv);
+	const optionValue = (flag) => {
+		const i = argv.indexOf(flag);
+		return i >= 0 ? argv[i + 1] : undefined;
+	};
 	return {
 		all: args.has("--all"),
 		dryRun: args.has("--dry-run"),
+		batch: args.has("--batch"),
+		force: args.has("--force"),
+		publish: !args.has("--no-publish"),
+		publishSite: args.has("--publish-site"),
+		uploadAssets:
+			args.has("--upload-assets") ||
+			process.env.WEBFLOW_UPLOAD_ASSETS === "true",
+		conflictPolicy:
+			optionValue("--on-conflict") ||
+			process.env.SYNC_CONFLICT_POLICY ||
+			"fail",
+		deletePolicy:
+			optionValue("--on-delete") || process.env.SYNC_DELETE_POLICY || "archive",
+		concurrency:
+			optionValue("--concurrency") || process.env.SYNC_CONCURRENCY || undefined,
 	};
 }
 
@@ -163,529 +145,84 @@ function requireEnv(name) {
 	return v;
 }
 
-function kebab(str) {
-	return String(str || "")
-		.trim()
-		.toLowerCase()
-		.replace(/['".,!?()[\]]+/g, "")
-		.replace(/[^a-z0-9]+/g, "-")
-		.replace(/^-+|-+$/g, "");
-}
-
-function getAllMarkdown() {
-	function walk(dir) {
-		const out = [];
-		for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
-			const p = path.join(dir, ent.name);
-			if (ent.isDirectory()) out.push(...walk(p));
-			else if (ent.isFile() && p.endsWith(".md")) out.push(p);
-		}
-		return out;
-	}
-	return fs.existsSync(POSTS_DIR) ? walk(POSTS_DIR) : [];
-}
-
-function getChangedMarkdown() {
-	log("Detecting changed markdown files...");
-	
-	// Strategy 1 (Highest Priority): Use files provided by GitHub Actions workflow
-	// This is the most reliable method as the workflow handles git operations
-	if (process.env.CHANGED_FILES !== undefined) {
-		// CHANGED_FILES is set (may be empty string)
-		const changedFilesValue = String(process.env.CHANGED_FILES || "").trim();
-		if (changedFilesValue === "") {
-			log("No changed files detected by GitHub Actions workflow");
-			// For manual triggers, if --all flag is used, we'll process all files
-			if (process.env.MANUAL_TRIGGER === "true") {
-				log("Manual trigger detected - use --all flag to sync all files");
-			}
-			return [];
-		}
-		
-		const files = changedFilesValue
-			.split("\n")
-			.map((s) => s.trim())
-			.filter(Boolean)
-			.filter((f) => f.endsWith(".md") && f.startsWith(POSTS_DIR));
-		
-		if (files.length > 0) {
-			log(`Found ${files.length} changed file(s) via GitHub Actions context:`);
-			files.forEach((f) => log(`  - ${f}`));
-			return files;
-		} else {
-			log("No markdown files found in CHANGED_FILES environment variable");
-			return [];
-		}
-	}
-	
-	// Strategy 2: Try to use git diff with parent commit
+/**
+ * Save the run report and add it to the job summary; not being able to
+ * write it doesn't fail the run
+ * @param {RunReport} report
+ */
+function saveReport(report) {
 	try {
-		// Ensure we have history (Actions checkout may be shallow)
-		log("Fetching git history...");
-		execSync("git fetch --depth=2 origin " + (BRANCH || "HEAD"), {
-			stdio: "ignore",
-		});
-		
-		// Try to get parent commit
-		let parentCommit;
-		try {
-			parentCommit = execSync("git rev-parse HEAD~1", {
-				encoding: "utf8",
-				stdio: "pipe",
-			}).trim();
-			log(`Found parent commit: ${parentCommit.substring(0, 7)}...`);
-		} catch (e) {
-			log("No parent commit found, checking if this is the first commit...");
-			// Check if we're at the root commit
-			const currentCommit = execSync("git rev-parse HEAD", {
-				encoding: "utf8",
-				stdio: "pipe",
-			}).trim();
-			const commitCount = execSync("git rev-list --count HEAD", {
-				encoding: "utf8",
-				stdio: "pipe",
-			}).trim();
-			
-			if (commitCount === "1") {
-				log("This appears to be the first commit, processing all markdown files");
-				return getAllMarkdown();
-			}
-			throw new Error("Could not find parent commit");
-		}
-		
-		const diff = execSync(
-			`git diff --name-only HEAD~1 HEAD -- '${POSTS_DIR}/**/*.md'`,
-			{ encoding: "utf8", stdio: "pipe" },
-		);
-		const files = diff
-			.split("\n")
-			.map((s) => s.trim())
-			.filter(Boolean);
-		
-		if (files.length > 0) {
-			log(`Found ${files.length} changed file(s) via git diff:`);
-			files.forEach((f) => log(`  - ${f}`));
-			return files;
-		} else {
-			log("No changed markdown files detected via git diff");
-			return [];
-		}
+		log(`Run report: ${repoRelative(report.save())}`);
+		if (report.writeStepSummary()) log("Run report added to the job summary");
 	} catch (e) {
-		warn("git diff failed; trying alternative detection methods", e.message);
-		
-		// Strategy 3: Check if we're in GitHub Actions and use event context
-		// GitHub Actions provides GITHUB_EVENT_PATH with commit info
-		if (process.env.GITHUB_EVENT_PATH) {
-			try {
-				const eventData = JSON.parse(
-					fs.readFileSync(process.env.GITHUB_EVENT_PATH, "utf8"),
-				);
-				const modifiedFiles =
-					eventData?.head_commit?.modified ||
-					eventData?.commits?.flatMap((c) => c.modified || []) ||
-					[];
-				const markdownFiles = modifiedFiles.filter((f) =>
-					f.startsWith(`${POSTS_DIR}/`) && f.endsWith(".md"),
-				);
-				if (markdownFiles.length > 0) {
-					log(`Found ${markdownFiles.length} changed file(s) via GitHub event:`);
-					markdownFiles.forEach((f) => log(`  - ${f}`));
-					return markdownFiles;
-				}
-			} catch (eventErr) {
-				warn("Could not parse GitHub event data", eventErr.message);
-			}
-		}
-		
-		// Strategy 4: Fallback to all files (safer than failing silently)
-		warn("Falling back to processing all markdown files");
-		const allFiles = getAllMarkdown();
-		if (allFiles.length > 0) {
-			log(`Processing all ${allFiles.length} markdown file(s) as fallback`);
-		}
-		return allFiles;
+		warn("Could not write the run report:", e.message);
 	}
 }
 
-async function mdToHtml(markdown) {
-	// Allow code/pre/table/figure/figcaption in sanitation
-	const schema = structuredClone(defaultSchema);
-	schema.tagNames = Array.from(
-		new Set([
-			...(schema.tagNames || []),
-			"pre",
-			"code",
-			"table",
-			"thead",
-			"tbody",
-			"tr",
-			"th",
-			"td",
-			"figure",
-			"figcaption",
-		]),
-	);
-	schema.attributes = {
-		...(schema.attributes || {}),
-		code: ["className"],
-		img: ["src", "alt", "title", "width", "height", "loading"],
-		a: ["href", "title", "target", "rel"],
-	};
-	const file = await unified()
-		.use(remarkParse)
-		.use(remarkGfm)
-		.use(remarkRehype, { allowDangerousHtml: false })
-		.use(rehypeSanitize, schema)
-		.use(rehypeStringify)
-		.process(markdown);
-	return String(file);
-}
-
-function resolveToRawUrl(filePathOrUrl) {
-	if (!filePathOrUrl) return filePathOrUrl;
-	// Already absolute URL?
-	if (/^https?:\/\//i.test(filePathOrUrl)) return filePathOrUrl;
-	// Make repository raw URL pinned to the commit for immutability
-	if (!REPO) return filePathOrUrl;
-	const rel = filePathOrUrl.replace(/^\.?\//, "");
-	return `https://raw.githubusercontent.com/${REPO}/${COMMIT_SHA}/${rel}`;
-}
-
-function rewriteImageLinksInMarkdown(md, fileDir) {
-	// Very light-touch: replace ![alt](relative) with commit-pinned raw URL
-	// Handles () with spaces; doesn't touch full URLs.
-	return md.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (m, alt, url) => {
-		const clean = url.split(/\s+/)[0].replace(/^<|>$/g, "");
-		if (/^https?:\/\//i.test(clean)) return m;
-		const absPath = path.normalize(path.join(fileDir, clean));
-		// Make repo-root relative (strip leading ../)
-		let repoRel = absPath.replace(/^[.][/\\]*/, "");
-		// If the image is under the shared images dir and markdown references "../images/..", normalize
-		if (!fs.existsSync(absPath)) {
-			// Try a common fallback into /images
-			const baseName = path.basename(clean);
-			const candidate = path.join(IMAGE_DIR, baseName);
-			if (fs.existsSync(candidate)) repoRel = candidate;
-		}
-		const raw = resolveToRawUrl(repoRel);
-		const rest = url.slice(clean.length); // preserve title if present
-		return `![${alt}](${raw}${rest})`;
-	});
-}
-
-function trimToExcerpt(html, max = 160) {
-	const text = html
-		.replace(/<style[\s\S]*?<\/style>/g, "")
-		.replace(/<script[\s\S]*?<\/script>/g, "")
-		.replace(/<[^>]+>/g, " ")
-		.replace(/\s+/g, " ")
-		.trim();
-	return text.slice(0, max);
-}
-
 /**
- * Determine unique identifier for a post
- * Uses frontmatter `id` if present, otherwise generates from file path
- * @param {Object} fm - Frontmatter data
- * @param {string} filePath - Full path to the markdown file
- * @returns {string} Unique identifier
+ * Commit to fall back to when there is no usable watermark: the push's
+ * `before` (covers pushes of several commits), else HEAD~1, else the empty
+ * tree (first commit: every post is new)
  */
-function getUniqueId(fm, filePath) {
-	// Use frontmatter id if present
-	if (fm.id) {
-		return String(fm.id);
+function getFallbackRev() {
+	if (process.env.GITHUB_EVENT_PATH) {
+		try {
+			const event = JSON.parse(
+				fs.readFileSync(process.env.GITHUB_EVENT_PATH, "utf8"),
+			);
+			if (event.before && resolveCommit(event.before)) return event.before;
+		} catch (e) {
+			warn("Could not parse GitHub event data", e.message);
+		}
 	}
-	
-	// Generate stable ID from file path: filename without extension
-	const relativePath = path.relative(POSTS_DIR, filePath);
-	const baseName = path.basename(relativePath, path.extname(relativePath));
-	return baseName;
+	return resolveCommit("HEAD~1") ? "HEAD~1" : EMPTY_TREE;
 }
 
 /**
- * Find Webflow item by github-id field
- * @param {string} githubId - The unique GitHub identifier to search for
- * @returns {Promise<string|null>} Webflow item ID if found, null otherwise
+ * Posts changed, removed and renamed between baseRev and HEAD
+ * @param {string} baseRev - Commit to diff from
+ * @returns {{files: string[], deleted: string[], renames: Map<string, string>}}
+ *   files are absolute; deleted and renames (new -> old) are repo-relative
  */
-async function findItemByGithubId(githubId) {
-	if (!FIELD_IDS.githubId) {
-		warn("github-id field not configured, skipping lookup");
-		return null;
-	}
+function getPostChanges(baseRev) {
+	log(`Detecting changed markdown files since ${baseRev.slice(0, 7)}...`);
+	const { changed, deleted, renamed } = diffPosts(baseRev);
 
-	const headers = {
-		Authorization: `Bearer ${WEBFLOW_TOKEN}`,
-		accept: "application/json",
-	};
-
-	let offset = 0;
-	const limit = 100; // Webflow API limit
-
-	while (true) {
-		const url = `https://api.webflow.com/v2/collections/${COLLECTION_ID}/items?limit=${limit}&offset=${offset}`;
-		
-		const data = await retryWithBackoff(async () => {
-			await rateLimiter.waitIfNeeded();
-			const res = await fetch(url, { headers });
-			
-			if (!res.ok) {
-				const text = await res.text();
-				const error = new Error(`Webflow list items failed (${res.status}): ${text}`);
-				error.status = res.status;
-				throw error;
-			}
-			
-			return await res.json();
-		});
-
-		const items = data.items || [];
-		
-		// Search for item with matching github-id
-		for (const item of items) {
-			const itemGithubId = item.fieldData?.[FIELD_IDS.githubId];
-			if (itemGithubId === githubId) {
-				log(`Found existing item by github-id: ${item.id}`);
-				return item.id;
-			}
-		}
-
-		// Check if there are more items to fetch
-		const pagination = data.pagination;
-		if (!pagination || offset + limit >= pagination.total) {
-			break;
-		}
-		
-		offset += limit;
+	if (changed.length > 0) {
+		log(`Found ${changed.length} changed file(s):`);
+		for (const f of changed) log(`  - ${f}`);
 	}
-
-	return null;
-}
-
-async function upsertWebflowItem({ fm, html, filePath, dryRun }) {
-	const published = Boolean(fm.published);
-	const pushFlag = fm.push_to_webflow !== false; // default true if omitted
-
-	if (!pushFlag) {
-		log(`Skipping (push_to_webflow: false): ${filePath}`);
-		return;
+	// Their Webflow items are archived or deleted according to --on-delete
+	if (deleted.length > 0) {
+		log(`Found ${deleted.length} removed file(s):`);
+		for (const f of deleted) log(`  - ${f}`);
 	}
-	if (!fm.title) throw new Error(`Missing required 'title' in ${filePath}`);
-
-	log(`Processing: ${filePath}`);
-	log(`  Title: ${fm.title}`);
-	log(`  Published: ${published}`);
-	log(`  Has post_id: ${Boolean(fm.post_id)}`);
-
-	// Determine unique identifier for this post
-	const githubId = getUniqueId(fm, filePath);
-	log(`  GitHub ID: ${githubId}`);
-
-	const bodyHtml = html;
-	const name = String(fm.title);
-	const slug = fm.slug ? String(fm.slug) : kebab(fm.title);
-	const mainImage = fm.image ? resolveToRawUrl(String(fm.image)) : undefined;
-	const publishDate = fm.date
-		? new Date(fm.date).toISOString()
-		: new Date().toISOString();
-	const author = fm.author ? String(fm.author) : undefined;
-	const externalLink = fm.link ? String(fm.link) : undefined;
-	// Note: lastUpdated is a Webflow system field, automatically managed
-	// We don't sync it - Webflow updates it automatically on every change
-	const tags = Array.isArray(fm.tags)
-		? fm.tags.join(", ")
-		: fm.tags
-			? String(fm.tags)
-			: undefined;
-	const excerpt = fm.excerpt
-		? String(fm.excerpt)
-		: trimToExcerpt(bodyHtml, 160);
-	const seoTitle = fm?.seo?.title;
-	const seoDescription = fm?.seo?.description;
-
-	log(`  Slug: ${slug}`);
-	if (mainImage) log(`  Main Image: ${mainImage}`);
-	if (author) log(`  Author: ${author}`);
-	if (tags) log(`  Tags: ${tags}`);
-
-	// Build fieldData object, only including fields that exist in the collection
-	const fieldData = {};
-
-	if (FIELD_IDS.name) fieldData[FIELD_IDS.name] = name;
-	if (FIELD_IDS.slug) fieldData[FIELD_IDS.slug] = slug;
-	if (FIELD_IDS.body) fieldData[FIELD_IDS.body] = bodyHtml;
-	if (FIELD_IDS.mainImage && mainImage)
-		fieldData[FIELD_IDS.mainImage] = mainImage;
-	if (FIELD_IDS.publishDate) fieldData[FIELD_IDS.publishDate] = publishDate;
-	if (FIELD_IDS.authorText && author) fieldData[FIELD_IDS.authorText] = author;
-	if (FIELD_IDS.externalLink && externalLink)
-		fieldData[FIELD_IDS.externalLink] = externalLink;
-	if (FIELD_IDS.isPublished) fieldData[FIELD_IDS.isPublished] = published;
-	if (FIELD_IDS.pushToWebflow) fieldData[FIELD_IDS.pushToWebflow] = true;
-	if (FIELD_IDS.postId && fm.post_id)
-		fieldData[FIELD_IDS.postId] = String(fm.post_id);
-	if (FIELD_IDS.githubId) fieldData[FIELD_IDS.githubId] = githubId;
-	// Note: lastUpdated is a Webflow system field - automatically managed, don't sync
-	if (FIELD_IDS.tags && tags) fieldData[FIELD_IDS.tags] = tags;
-	if (FIELD_IDS.excerpt && excerpt) fieldData[FIELD_IDS.excerpt] = excerpt;
-	if (FIELD_IDS.seoTitle && seoTitle) fieldData[FIELD_IDS.seoTitle] = seoTitle;
-	if (FIELD_IDS.seoDescription && seoDescription)
-		fieldData[FIELD_IDS.seoDescription] = seoDescription;
-
-	// Webflow API v2 structure
-	// Note: isDraft controls whether item is draft or published
-	// When isPublished field exists, we can use it, but isDraft still controls the item state
-	const payload = {
-		isArchived: false,
-		isDraft: !published,
-		fieldData,
-	};
-
-	const headers = {
-		Authorization: `Bearer ${WEBFLOW_TOKEN}`,
-		"Content-Type": "application/json",
-		accept: "application/json",
-	};
-
-	if (dryRun) {
-		log("(dry-run) UPSERT", { slug, hasPostId: Boolean(fm.post_id), githubId });
-		log("(dry-run) Payload:", JSON.stringify(payload, null, 2));
-		return;
+	// Their Webflow items are kept and get the new github-id and slug
+	if (renamed.size > 0) {
+		log(`Found ${renamed.size} renamed file(s):`);
+		for (const [to, from] of renamed) log(`  - ${from} -> ${to}`);
 	}
 
-	// Determine which Webflow item ID to use
-	let webflowItemId = fm.post_id;
-	
-	// If no post_id, try to find existing item by github-id
-	if (!webflowItemId) {
-		log(`No post_id found, searching for existing item by github-id: ${githubId}`);
-		webflowItemId = await findItemByGithubId(githubId);
-		if (webflowItemId) {
-			log(`Found existing item by github-id, will update: ${webflowItemId}`);
-		}
-	}
-
-	if (webflowItemId) {
-		// Update existing
-		log(`Updating existing Webflow item: ${webflowItemId}`);
-		const url = `https://api.webflow.com/v2/collections/${COLLECTION_ID}/items/${encodeURIComponent(webflowItemId)}`;
-		
-		const data = await retryWithBackoff(async () => {
-			await rateLimiter.waitIfNeeded();
-			const res = await fetch(url, {
-				method: "PATCH",
-				headers,
-				body: JSON.stringify(payload),
-			});
-			
-			if (!res.ok) {
-				const text = await res.text();
-				const error = new Error(`Webflow update failed (${res.status}): ${text}`);
-				error.status = res.status;
-				throw error;
-			}
-			
-			return await res.json();
-		});
-		
-		log(`✅ Updated Webflow item ${webflowItemId} for ${filePath}`);
-		log(`   Last Updated: ${data.lastUpdated || "N/A"} (system field)`);
-		return data;
-	} else {
-		// Create new
-		log(`Creating new Webflow item for ${filePath}`);
-		const url = `https://api.webflow.com/v2/collections/${COLLECTION_ID}/items`;
-		
-		const data = await retryWithBackoff(async () => {
-			await rateLimiter.waitIfNeeded();
-			const res = await fetch(url, {
-				method: "POST",
-				headers,
-				body: JSON.stringify(payload),
-			});
-			
-			if (!res.ok) {
-				const text = await res.text();
-				const error = new Error(`Webflow create failed (${res.status}): ${text}`);
-				error.status = res.status;
-				throw error;
-			}
-			
-			return await res.json();
-		});
-		
-		const itemId = data?.id || data?.item?.id; // depending on response shape
-		log(`✅ Created Webflow item ${itemId || "(unknown)"} for ${filePath}`);
-		log(`   Created: ${data.createdOn || "N/A"} (system field)`);
-		log(`   Last Updated: ${data.lastUpdated || "N/A"} (system field)`);
-
-		// Optionally: emit repository_dispatch so a separate workflow can write back post_id
-		// Requires a token with repo:dispatch scope; usually GITHUB_TOKEN works in the same repo.
-		try {
-			await dispatchWriteback({
-				path: filePath,
-				itemId,
-			});
-		} catch (e) {
-			warn("repository_dispatch for writeback failed (non-fatal):", e.message);
-		}
-		return data;
-	}
-}
-
-async function dispatchWriteback({ path: filePath, itemId }) {
-	const token = process.env.GITHUB_TOKEN || process.env.GH_TOKEN_WITH_WRITE;
-	if (!token || !REPO || !itemId) return;
-
-	const url = `https://api.github.com/repos/${REPO}/dispatches`;
-	const body = {
-		event_type: "webflow_item_created",
-		client_payload: { path: filePath, itemId },
+	return {
+		files: changed.map((f) => path.join(REPO_ROOT, f)),
+		deleted,
+		renames: renamed,
 	};
-	const res = await fetch(url, {
-		method: "POST",
-		headers: {
-			authorization: `Bearer ${token}`,
-			accept: "application/vnd.github+json",
-		},
-		body: JSON.stringify(body),
-	});
-	if (!res.ok) {
-		const text = await res.text();
-		throw new Error(`repository_dispatch failed (${res.status}): ${text}`);
-	}
-	log(`repository_dispatch sent for ${filePath} -> itemId=${itemId}`);
 }
 
-async function processFile(filePath, opts) {
-	log(`\n--- Processing file: ${filePath} ---`);
-	const src = fs.readFileSync(filePath, "utf8");
-	const fm = matter(src);
-	const fileDir = path.dirname(filePath);
-
-	log(`Parsed frontmatter: ${Object.keys(fm.data).length} field(s)`);
-
-	// Normalize booleans if authors used True/False
-	["published", "push_to_webflow"].forEach((k) => {
-		if (k in fm.data) {
-			const v = fm.data[k];
-			if (typeof v === "string") {
-				fm.data[k] = /^(true|yes|1)$/i.test(v);
-			}
-		}
-	});
-
-	// Rewrite relative images in markdown to commit-pinned raw URLs
-	const mdWithRaw = rewriteImageLinksInMarkdown(fm.content, fileDir);
-	const html = await mdToHtml(mdWithRaw);
-	log(`Converted markdown to HTML (${html.length} chars)`);
-
-	await upsertWebflowItem({
-		fm: fm.data,
-		html,
-		filePath,
-		dryRun: opts.dryRun,
-	});
-	log(`✅ Completed processing: ${filePath}\n`);
+/**
+ * Author profiles changed between baseRev and HEAD; removed profiles keep
+ * their items, posts may still reference them
+ * @param {string} baseRev - Commit to diff from
+ * @returns {string[]} Absolute paths
+ */
+function getAuthorChanges(baseRev) {
+	const { changed } = diffMarkdown(repoRelative(AUTHORS_DIR), baseRev);
+	if (changed.length > 0) {
+		log(`Found ${changed.length} changed author profile(s):`);
+		for (const f of changed) log(`  - ${f}`);
+	}
+	return changed.map((f) => path.join(REPO_ROOT, f));
 }
 
 async function main() {
@@ -704,40 +241,160 @@ async function main() {
 		fail(e.message);
 		return;
 	}
-	const { all, dryRun } = parseArgs();
+	const {
+		all,
+		dryRun,
+		batch,
+		force,
+		publish,
+		publishSite,
+		uploadAssets,
+		conflictPolicy,
+		deletePolicy,
+		concurrency: concurrencyArg,
+	} = parseArgs();
+	if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+		fail(
+			`Unknown conflict policy '${conflictPolicy}' (expected ${CONFLICT_POLICIES.join(", ")})`,
+		);
+		return;
+	}
+	if (!DELETE_POLICIES.includes(deletePolicy)) {
+		fail(
+			`Unknown delete policy '${deletePolicy}' (expected ${DELETE_POLICIES.join(", ")})`,
+		);
+		return;
+	}
+
+	let concurrency;
+	try {
+		concurrency = parseConcurrency(concurrencyArg);
+	} catch (e) {
+		fail(e.message);
+		return;
+	}
+
+	if (publishSite && !process.env.WEBFLOW_SITE_ID) {
+		fail("--publish-site requires WEBFLOW_SITE_ID");
+		return;
+	}
+	if (uploadAssets && !process.env.WEBFLOW_SITE_ID) {
+		fail("--upload-assets requires WEBFLOW_SITE_ID");
+		return;
+	}
 
 	if (dryRun) {
 		log("🔍 DRY RUN MODE - No changes will be made to Webflow\n");
 	}
+	const report = new RunReport({
+		dryRun,
+		all,
+		commit: resolveCommit("HEAD") || COMMIT_SHA,
+		branch: BRANCH,
+	});
 
-	const files = all ? getAllMarkdown() : getChangedMarkdown();
-	if (files.length === 0) {
+	// --all has no diff to find removed or renamed posts in
+	let baseRev;
+	let changes = { files: getAllMarkdown(), deleted: [], renames: new Map() };
+	// Profiles are only read (and parsed) when posts reference them
+	let profiles = AUTHOR_REFERENCE
+		? [...readAuthors().values()].map((a) => a.filePath)
+		: [];
+	if (!all) {
+		baseRev = getBaseRev(getFallbackRev());
+		try {
+			changes = getPostChanges(baseRev);
+			profiles = getAuthorChanges(baseRev);
+		} catch (e) {
+			fail(`git diff from ${baseRev} failed`, e);
+			return;
+		}
+	}
+	const { files, deleted, renames } = changes;
+	if (files.length === 0 && deleted.length === 0 && profiles.length === 0) {
 		log(all ? "No markdown files found." : "No changed markdown files.");
+		if (!all && !dryRun) markSynced();
+		saveReport(report);
 		return;
 	}
 	log(`\n📝 Found ${files.length} file(s) to process.\n`);
 
-	let successCount = 0;
-	let errorCount = 0;
-
-	for (const f of files) {
+	// Listed once, on the first lookup, and shared by syncing and removal
+	const index = new ItemIndex(COLLECTION_ID);
+	// Each author profile is written once, whether changed or named by a post
+	const authors = createAuthorSync({ dryRun, uploadAssets });
+	const authored = await syncAuthors(profiles, { dryRun, authors });
+	const tags = createTagSync({ dryRun });
+	const synced = await syncFiles(files, {
+		dryRun,
+		batch,
+		force,
+		publish,
+		uploadAssets,
+		concurrency,
+		conflictPolicy,
+		renames,
+		baseRev,
+		index,
+		authors,
+		tags,
+		report,
+	});
+	const removed = await removeFiles(deleted, {
+		baseRev,
+		dryRun,
+		deletePolicy,
+		index,
+		report,
+	});
+	const pruned = await pruneTags({ dryRun, index, tags });
+	reportOrphans(index);
+	let errorCount =
+		authored.errorCount +
+		synced.errorCount +
+		removed.errorCount +
+		pruned.errorCount;
+
+	// Also takes removed (archived/deleted) items off the live site
+	if (publishSite) {
 		try {
-			await processFile(f, { dryRun });
-			successCount++;
+			await publishSiteLive({ dryRun });
 		} catch (e) {
 			errorCount++;
-			fail(`Failed processing ${f}`, e);
+			warn("Site publish failed:", e.message);
 		}
 	}
+	const successCount = synced.successCount;
 
 	log("\n=== Summary ===");
 	log(`✅ Successfully processed: ${successCount}`);
+	if (synced.unchangedCount > 0) {
+		log(`⏭️  Unchanged (skipped): ${synced.unchangedCount}`);
+	}
+	if (authored.successCount > 0) {
+		log(`👤 Author profiles up to date: ${authored.successCount}`);
+	}
+	if (pruned.removedCount > 0) {
+		log(
+			`🏷️  Removed unused tags${dryRun ? " (dry-run)" : ""}: ${pruned.removedCount}`,
+		);
+	}
+	if (deleted.length > 0) {
+		log(
+			`🗑️  Removed items (${deletePolicy}${dryRun ? ", dry-run" : ""}): ${removed.removedCount}`,
+		);
+	}
 	if (errorCount > 0) {
 		log(`❌ Failed: ${errorCount}`);
 		process.exitCode = 1;
 	} else {
 		log("✅ All files processed successfully!");
+		// --all skips removed posts, so it can't stand in for a diff
+		if (!all && !dryRun) {
+			log(`Last synced commit: ${markSynced()?.slice(0, 7)}`);
+		}
 	}
+	saveReport(report);
 }
 
 main().catch((e) => fail("Unhandled error", e));
@@ -0,0 +1,113 @@
+/**
+ * Conflict detection of sync-webflow.js against the emulator: items edited
+ * in Webflow since the last sync, per --on-conflict policy
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { createSandbox } from "./sandbox.js";
+
+let sandbox;
+let itemId;
+
+const post = { id: "post", title: "A post", date: "2024-01-01" };
+
+function sync(...args) {
+	const { status, output } = sandbox.run("sync-webflow.js", ["--all", ...args]);
+	const [entry] = sandbox.report().files;
+	return { status, output, entry };
+}
+
+async function item() {
+	return (await sandbox.items()).find((i) => i.id === itemId);
+}
+
+function editInWebflow(name) {
+	return sandbox.request("PATCH", `/v2/collections/posts/items/${itemId}`, {
+		fieldData: { name },
+	});
+}
+
+before(async () => {
+	sandbox = await createSandbox();
+	assert.equal(sandbox.run("create-fields.js").status, 0);
+	sandbox.commitPost("post.md", post, "First version.");
+	const { status, output, entry } = sync();
+	assert.equal(status, 0, output);
+	assert.equal(entry.action, "created");
+	itemId = entry.itemId;
+});
+
+after(async () => {
+	await sandbox?.close();
+});
+
+test("an unchanged post is skipped before the conflict check", async () => {
+	await editInWebflow("Renamed in Webflow");
+	const { status, output, entry } = sync();
+	assert.equal(status, 0, output);
+	assert.equal(entry.action, "skipped");
+	assert.match(entry.reason, /unchanged since the last sync/);
+	assert.equal((await item()).fieldData.name, "Renamed in Webflow");
+});
+
+test("fail: the post fails and the item keeps the Webflow edit", async () => {
+	sandbox.commitPost("post.md", post, "Second version.");
+	const { status, output, entry } = sync();
+	assert.equal(status, 1, output);
+	assert.equal(entry.action, "failed");
+	assert.match(entry.error, /was edited after the last sync/);
+	assert.match(entry.error, /Changed in Webflow: {2}name/);
+	assert.equal((await item()).fieldData.name, "Renamed in Webflow");
+});
+
+test("webflow-wins: the post is skipped and the item left alone", async () => {
+	const { status, output, entry } = sync("--on-conflict", "webflow-wins");
+	assert.equal(status, 0, output);
+	assert.equal(entry.action, "skipped");
+	assert.match(entry.reason, /webflow-wins/);
+	const { fieldData } = await item();
+	assert.equal(fieldData.name, "Renamed in Webflow");
+	assert.doesNotMatch(fieldData["post-body"], /Second version/);
+});
+
+test("github-wins: the item is overwritten with the post", async () => {
+	const { status, output, entry } = sync("--on-conflict", "github-wins");
+	assert.equal(status, 0, output);
+	assert.equal(entry.action, "updated");
+	const { fieldData } = await item();
+	assert.equal(fieldData.name, "A post");
+	assert.match(fieldData["post-body"], /Second version/);
+});
+
+test("without sync state, an item is updated unless last_update is older", async () => {
+	const stateFile = path.join(sandbox.root, ".webflow-sync", "state.json");
+	fs.rmSync(stateFile);
+	await editInWebflow("Renamed again");
+
+	// No fieldHashes and no last_update: nothing to compare with
+	sandbox.commitPost("post.md", post, "Third version.");
+	let { status, output, entry } = sync();
+	assert.equal(status, 0, output);
+	assert.equal(entry.action, "updated");
+	assert.equal((await item()).fieldData.name, "A post");
+	assert.ok(sandbox.syncState().items.post.fieldHashes);
+
+	// A last_update before the item's lastUpdated is the baseline instead
+	fs.rmSync(stateFile);
+	await editInWebflow("Renamed once more");
+	sandbox.commitPost(
+		"post.md",
+		{ ...post, last_update: "2024-01-01T00:00:00.000Z" },
+		"Fourth version.",
+	);
+	({ status, output, entry } = sync());
+	assert.equal(status, 1, output);
+	assert.equal(entry.action, "failed");
+	assert.match(entry.error, /unknown - no sync state, compared last_update/);
+	assert.equal((await item()).fieldData.name, "Renamed once more");
+});
@@ -0,0 +1,112 @@
+/**
+ * diffPosts rename handling, against a throwaway git repository holding a
+ * copy of lib/posts.js (it diffs the repository it lives in)
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const TOOLS_DIR = path.resolve(
+	path.dirname(fileURLToPath(import.meta.url)),
+	"..",
+);
+
+// Long enough for git to see a moved file as a rename
+const BODY = Array.from(
+	{ length: 40 },
+	(_, i) => `Paragraph ${i} of a post that is long enough to compare.`,
+).join("\n\n");
+
+let root;
+let diffPosts;
+
+function git(...args) {
+	return execFileSync("git", args, { cwd: root, encoding: "utf8" });
+}
+
+function writePost(name, frontmatter) {
+	fs.writeFileSync(
+		path.join(root, "posts", name),
+		`---\n${frontmatter}\n---\n\n${BODY}\n`,
+	);
+}
+
+function commit(message) {
+	git("add", "-A");
+	git("commit", "--quiet", "-m", message);
+}
+
+before(async () => {
+	root = fs.mkdtempSync(path.join(os.tmpdir(), "diff-posts-"));
+	fs.mkdirSync(path.join(root, "tools", "lib"), { recursive: true });
+	fs.mkdirSync(path.join(root, "posts"));
+	fs.copyFileSync(
+		path.join(TOOLS_DIR, "lib", "posts.js"),
+		path.join(root, "tools", "lib", "posts.js"),
+	);
+	fs.symlinkSync(
+		path.join(TOOLS_DIR, "node_modules"),
+		path.join(root, "tools", "node_modules"),
+	);
+	git("init", "--quiet");
+	git("config", "user.email", "test@example.com");
+	git("config", "user.name", "test");
+	writePost("noid.md", "title: No id");
+	writePost("with-id.md", "title: With id\nid: kept-id");
+	commit("base");
+	({ diffPosts } = await import(path.join(root, "tools", "lib", "posts.js")));
+});
+
+after(() => {
+	fs.rmSync(root, { recursive: true, force: true });
+});
+
+test("a moved post without an id of its own keeps the old post", () => {
+	git("mv", "posts/noid.md", "posts/moved.md");
+	commit("move");
+	const { changed, deleted, renamed } = diffPosts("HEAD~1");
+	assert.deepEqual(changed, ["posts/moved.md"]);
+	assert.deepEqual(deleted, []);
+	assert.equal(renamed.get("posts/moved.md"), "posts/noid.md");
+	git("reset", "--quiet", "--hard", "HEAD~1");
+});
+
+test("a moved post with the old post's id keeps the old post", () => {
+	git("mv", "posts/with-id.md", "posts/renamed.md");
+	commit("move");
+	const { deleted, renamed } = diffPosts("HEAD~1");
+	assert.deepEqual(deleted, []);
+	assert.equal(renamed.get("posts/renamed.md"), "posts/with-id.md");
+	git("reset", "--quiet", "--hard", "HEAD~1");
+});
+
+test("a similar post with a different id is a delete and an add", () => {
+	git("rm", "--quiet", "posts/noid.md");
+	writePost("sched.md", "title: No id\nid: sched");
+	commit("replace");
+	const { changed, deleted, renamed } = diffPosts("HEAD~1");
+	assert.deepEqual(changed, ["posts/sched.md"]);
+	assert.deepEqual(deleted, ["posts/noid.md"]);
+	assert.equal(renamed.size, 0);
+	git("reset", "--quiet", "--hard", "HEAD~1");
+});
+
+test("a rewritten file is not a rename", () => {
+	git("rm", "--quiet", "posts/noid.md");
+	fs.writeFileSync(
+		path.join(root, "posts", "other.md"),
+		`---\ntitle: Other\n---\n\n${BODY.split("\n\n").slice(0, 30).join("\n\n")}\n\nSomething else entirely.\n`,
+	);
+	commit("rewrite");
+	const { deleted, renamed } = diffPosts("HEAD~1");
+	assert.deepEqual(deleted, ["posts/noid.md"]);
+	assert.equal(renamed.size, 0);
+	git("reset", "--quiet", "--hard", "HEAD~1");
+});
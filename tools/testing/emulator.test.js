@@ -0,0 +1,88 @@
+/**
+ * webflow-emulator.js smoke test: create, bulk update and publish items over
+ * its API, as the sync tools call it
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { createSandbox } from "./sandbox.js";
+
+let sandbox;
+
+before(async () => {
+	sandbox = await createSandbox();
+});
+
+after(async () => {
+	await sandbox?.close();
+});
+
+const ITEMS = "/v2/collections/posts/items";
+
+test("items are created, bulk updated and published", async () => {
+	const single = await sandbox.request("POST", ITEMS, {
+		fieldData: { name: "First post" },
+	});
+	assert.equal(single.fieldData.slug, "first-post");
+	assert.equal(single.isDraft, false);
+	assert.equal(single.lastPublished, null);
+
+	const { items: created } = await sandbox.request("POST", ITEMS, {
+		items: [
+			{ fieldData: { name: "Second post" } },
+			{ fieldData: { name: "Third post" }, isDraft: true },
+		],
+	});
+	assert.deepEqual(
+		created.map((item) => item.fieldData.slug),
+		["second-post", "third-post"],
+	);
+	const ids = [single.id, ...created.map((item) => item.id)];
+
+	const { items: updated } = await sandbox.request("PATCH", ITEMS, {
+		items: [
+			{ id: ids[0], fieldData: { name: "First post, edited" } },
+			{ id: ids[2], isDraft: false },
+		],
+	});
+	assert.equal(updated[0].fieldData.name, "First post, edited");
+	assert.equal(updated[0].fieldData.slug, "first-post");
+	assert.equal(updated[1].isDraft, false);
+
+	const published = await sandbox.request("POST", `${ITEMS}/publish`, {
+		itemIds: [ids[0], ids[2], "missing"],
+	});
+	assert.deepEqual(published.publishedItemIds, [ids[0], ids[2]]);
+	assert.deepEqual(published.errors, [
+		{ itemId: "missing", message: "Item not found" },
+	]);
+
+	const stored = new Map(
+		(await sandbox.items()).map((item) => [item.id, item]),
+	);
+	assert.equal(stored.size, 3);
+	assert.ok(stored.get(ids[0]).lastPublished);
+	assert.equal(stored.get(ids[1]).lastPublished, null);
+	assert.ok(stored.get(ids[2]).lastPublished);
+});
+
+test("a bulk update with an invalid item writes none of them", async () => {
+	const [first, second] = await sandbox.items();
+	const response = await sandbox.request("PATCH", ITEMS, {
+		items: [
+			{ id: first.id, fieldData: { name: "Renamed" } },
+			{ id: second.id, fieldData: { slug: first.fieldData.slug } },
+		],
+	});
+	assert.equal(response.code, "validation_error");
+	assert.deepEqual(
+		response.details.map((detail) => detail.param),
+		["items[1].fieldData.slug"],
+	);
+
+	const stored = await sandbox.items();
+	assert.equal(stored[0].fieldData.name, first.fieldData.name);
+	assert.equal(stored[1].fieldData.slug, second.fieldData.slug);
+});
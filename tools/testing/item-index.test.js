@@ -0,0 +1,48 @@
+/**
+ * ItemIndex.load against a stand-in API whose first listing fails
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+import { ItemIndex } from "../lib/item-index.js";
+
+let server;
+let listings = 0;
+
+before(async () => {
+	server = http.createServer((_req, res) => {
+		listings++;
+		res.setHeader("Content-Type", "application/json");
+		if (listings === 1) {
+			res.statusCode = 403;
+			res.end(JSON.stringify({ message: "Forbidden" }));
+			return;
+		}
+		const item = { id: "item-1", fieldData: { slug: "a-post" } };
+		res.end(JSON.stringify({ items: [item], pagination: { total: 1 } }));
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	process.env.WEBFLOW_API_BASE_URL = `http://localhost:${server.address().port}/v2`;
+});
+
+after(() => {
+	server.close();
+	delete process.env.WEBFLOW_API_BASE_URL;
+});
+
+test("a failed listing is not cached", async () => {
+	const index = new ItemIndex("posts");
+	await assert.rejects(index.load(), /failed \(403\)/);
+	assert.equal(index.loaded, false);
+
+	await index.load();
+	assert.equal(index.loaded, true);
+	assert.equal(index.byId.get("item-1")?.fieldData.slug, "a-post");
+	assert.equal(listings, 2);
+
+	await index.load();
+	assert.equal(listings, 2);
+});
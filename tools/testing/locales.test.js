@@ -0,0 +1,54 @@
+/**
+ * getCmsLocaleIds against a stand-in API whose first lookups fail
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+import { getCmsLocaleIds, PRIMARY_LOCALE } from "../lib/locales.js";
+
+let server;
+let lookups = 0;
+
+before(async () => {
+	server = http.createServer((_req, res) => {
+		lookups++;
+		res.setHeader("Content-Type", "application/json");
+		if (lookups === 1) {
+			res.statusCode = 403;
+			res.end(JSON.stringify({ message: "Forbidden" }));
+			return;
+		}
+		// The second time without the configured locale
+		const tag = lookups === 2 ? "xx" : PRIMARY_LOCALE;
+		res.end(
+			JSON.stringify({
+				id: "site",
+				locales: { primary: { tag, cmsLocaleId: "loc-1" } },
+			}),
+		);
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	process.env.WEBFLOW_API_BASE_URL = `http://localhost:${server.address().port}/v2`;
+	process.env.WEBFLOW_SITE_ID = "site";
+});
+
+after(() => {
+	server.close();
+	delete process.env.WEBFLOW_API_BASE_URL;
+	delete process.env.WEBFLOW_SITE_ID;
+});
+
+test("a failed lookup is not cached", async () => {
+	await assert.rejects(getCmsLocaleIds(), /failed \(403\)/);
+	await assert.rejects(getCmsLocaleIds(), /is not a locale of site site/);
+
+	const ids = await getCmsLocaleIds();
+	assert.equal(ids.get(PRIMARY_LOCALE), "loc-1");
+	assert.equal(lookups, 3);
+
+	await getCmsLocaleIds();
+	assert.equal(lookups, 3);
+});
@@ -0,0 +1,92 @@
+/**
+ * Webflow RichText HTML -> Markdown (htmlToMd) and back
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { htmlToMd, mdToHtml } from "../lib/markdown.js";
+
+test("RichText HTML becomes GitHub Flavored Markdown", async () => {
+	assert.equal(
+		await htmlToMd(
+			'<h2>Title</h2><p>Some <strong>bold</strong> and <em>emphasis</em> with <a href="https://example.com">a link</a>.</p>',
+		),
+		"## Title\n\nSome **bold** and *emphasis* with [a link](https://example.com).\n",
+	);
+	assert.equal(
+		await htmlToMd("<ul><li>one</li><li>two</li></ul><ol><li>first</li></ol>"),
+		"- one\n- two\n\n1. first\n",
+	);
+	assert.equal(
+		await htmlToMd(
+			'<pre><code class="language-js">const a = 1;\n</code></pre>',
+		),
+		"```js\nconst a = 1;\n```\n",
+	);
+	assert.equal(
+		await htmlToMd(
+			"<table><thead><tr><th>a</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table>",
+		),
+		"| a |\n| - |\n| 1 |\n",
+	);
+	assert.equal(await htmlToMd(""), "");
+});
+
+test("a figure image keeps its caption as the title", async () => {
+	assert.equal(
+		await htmlToMd(
+			'<figure><div><img src="https://cdn.example.com/x.png" alt="Alt"></div><figcaption>Caption</figcaption></figure>',
+		),
+		'![Alt](https://cdn.example.com/x.png "Caption")\n',
+	);
+});
+
+test("a figure embed becomes a link to its source", async () => {
+	const embed =
+		'<div><iframe src="https://www.youtube.com/embed/1"></iframe></div>';
+	assert.equal(
+		await htmlToMd(`<figure>${embed}<figcaption>A video</figcaption></figure>`),
+		"[A video](https://www.youtube.com/embed/1)\n",
+	);
+	assert.equal(
+		await htmlToMd(`<figure>${embed}</figure>`),
+		"[Embedded media](https://www.youtube.com/embed/1)\n",
+	);
+});
+
+test("rewriteUrl maps image and link URLs", async () => {
+	assert.equal(
+		await htmlToMd(
+			'<p><img src="https://cdn.example.com/a.png" alt="x"> <a href="https://cdn.example.com/b">b</a></p>',
+			{
+				rewriteUrl: (url) => url.replace("https://cdn.example.com", "/images"),
+			},
+		),
+		"![x](/images/a.png) [b](/images/b)\n",
+	);
+});
+
+test("Markdown survives a round trip through RichText HTML", async () => {
+	const markdown = [
+		"## Heading",
+		"",
+		"Text with **bold**, *emphasis* and `code`.",
+		"",
+		"- one",
+		"- two",
+		"",
+		"```js",
+		"const a = 1;",
+		"```",
+		"",
+		"| a | b |",
+		"| - | - |",
+		"| 1 | 2 |",
+		"",
+		"![Alt](https://cdn.example.com/x.png)",
+		"",
+	].join("\n");
+	assert.equal(await htmlToMd(await mdToHtml(markdown)), markdown);
+});
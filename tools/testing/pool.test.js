@@ -0,0 +1,55 @@
+/**
+ * forEachConcurrent: every item runs, even after one fails
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { forEachConcurrent, parseConcurrency } from "../lib/pool.js";
+
+test("an item after a failing one still runs", async () => {
+	const ran = [];
+	await assert.rejects(
+		forEachConcurrent([1, 2, 3], 1, async (n) => {
+			if (n === 2) throw new Error("item 2 failed");
+			ran.push(n);
+		}),
+		/item 2 failed/,
+	);
+	assert.deepEqual(ran, [1, 3]);
+});
+
+test("every worker keeps going and all failures are reported", async () => {
+	const ran = [];
+	const error = await forEachConcurrent([1, 2, 3, 4, 5], 2, async (n) => {
+		await new Promise((resolve) => setTimeout(resolve, 5));
+		if (n % 2 === 0) throw new Error(`item ${n} failed`);
+		ran.push(n);
+	}).catch((e) => e);
+	assert.ok(error instanceof AggregateError);
+	assert.deepEqual(
+		error.errors.map((e) => e.message),
+		["item 2 failed", "item 4 failed"],
+	);
+	assert.deepEqual(ran.sort(), [1, 3, 5]);
+});
+
+test("no more calls are in flight than the concurrency", async () => {
+	let inFlight = 0;
+	let most = 0;
+	await forEachConcurrent(Array.from({ length: 8 }), 3, async () => {
+		inFlight++;
+		most = Math.max(most, inFlight);
+		await new Promise((resolve) => setTimeout(resolve, 5));
+		inFlight--;
+	});
+	assert.equal(most, 3);
+});
+
+test("parseConcurrency takes positive integers only", () => {
+	assert.equal(parseConcurrency(undefined), 1);
+	assert.equal(parseConcurrency("4"), 4);
+	assert.throws(() => parseConcurrency("0"), /positive integer/);
+	assert.throws(() => parseConcurrency("1.5"), /positive integer/);
+});
@@ -0,0 +1,95 @@
+/**
+ * pull-webflow.js against the emulator: frontmatter keys Webflow didn't
+ * change keep their text as written
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { createSandbox } from "./sandbox.js";
+
+let sandbox;
+
+before(async () => {
+	sandbox = await createSandbox();
+	assert.equal(sandbox.run("create-fields.js").status, 0);
+});
+
+after(async () => {
+	await sandbox?.close();
+});
+
+/**
+ * Write a post as is, commit and sync it
+ * @returns {Promise<{file: string, itemId: string}>}
+ */
+async function syncPost(name, source) {
+	const file = path.join(sandbox.root, "posts", name);
+	fs.writeFileSync(file, source);
+	sandbox.git("add", "-A");
+	sandbox.git("commit", "--quiet", "-m", `post ${name}`);
+	const { status, output } = sandbox.run("sync-webflow.js", ["--all"]);
+	assert.equal(status, 0, output);
+	const githubId = path.basename(name, ".md");
+	const item = (await sandbox.items()).find(
+		(i) => i.fieldData["github-id"] === githubId,
+	);
+	return { file, itemId: item.id };
+}
+
+test("a pull right after a sync keeps the frontmatter as written", async () => {
+	const frontmatter = [
+		"# Shown on the blog index",
+		"title: 'A round trip'",
+		"date: 2024-03-01",
+		"tags: [one, two]",
+		"published: true",
+	];
+	const { file, itemId } = await syncPost(
+		"trip.md",
+		`---\n${frontmatter.join("\n")}\n---\n\n## Heading\n\nSome *text* and a [link](https://example.com).\n\n- a\n- b\n`,
+	);
+
+	const first = sandbox.run("pull-webflow.js", ["--item", itemId]);
+	assert.equal(first.status, 0, first.output);
+	const pulled = fs.readFileSync(file, "utf8");
+	// The keys the pull adds come after the ones the post had
+	assert.ok(
+		pulled.startsWith(
+			`---\n${frontmatter.join("\n")}\npush_to_webflow: true\npost_id: ${itemId}\n`,
+		),
+		pulled,
+	);
+	assert.match(
+		pulled,
+		/\nSome \*text\* and a \[link\]\(https:\/\/example\.com\)\.\n\n- a\n- b\n$/,
+	);
+
+	const second = sandbox.run("pull-webflow.js", ["--item", itemId]);
+	assert.equal(second.status, 0, second.output);
+	assert.match(second.output, /Unchanged: 1/);
+	assert.equal(fs.readFileSync(file, "utf8"), pulled);
+});
+
+test("frontmatter that doesn't parse once kept is written anew", async () => {
+	const { file, itemId } = await syncPost(
+		"alias.md",
+		"---\ntitle: Alias\ndate: 2024-03-02\ntags: &shared [one, two]\nkeywords: *shared\n---\n\nSome text.\n",
+	);
+	await sandbox.request("PATCH", `/v2/collections/posts/items/${itemId}`, {
+		fieldData: { tags: "three" },
+	});
+
+	const { status, output } = sandbox.run("pull-webflow.js", ["--item", itemId]);
+	assert.equal(status, 0, output);
+	assert.match(output, /Frontmatter kept as written doesn't parse/);
+	const pulled = fs.readFileSync(file, "utf8");
+	assert.doesNotMatch(pulled, /[&*]shared/);
+	assert.match(
+		pulled,
+		/\ntags:\n {2}- three\nkeywords:\n {2}- one\n {2}- two\n/,
+	);
+});
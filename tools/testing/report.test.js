@@ -0,0 +1,122 @@
+/**
+ * RunReport: outcomes per file, totals and the Markdown summary
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import path from "node:path";
+import { test } from "node:test";
+import { REPO_ROOT } from "../lib/posts.js";
+import { RunReport, tableCell } from "../lib/report.js";
+
+const post = (name) => path.join(REPO_ROOT, "posts", name);
+
+test("record keeps one entry per file, without an earlier reason or error", () => {
+	const report = new RunReport();
+	report.failed(post("a.md"), new Error("Publish failed"));
+	report.record(post("a.md"), { action: "updated", itemId: "item1" });
+	report.skipped(post("b.md"), "unchanged since the last sync", "item2");
+	report.written({
+		action: "create",
+		filePath: post("b.md"),
+		itemId: "item2",
+		fields: ["name"],
+	});
+
+	assert.deepEqual(report.entries.get("posts/a.md"), {
+		file: "posts/a.md",
+		action: "updated",
+		itemId: "item1",
+	});
+	assert.deepEqual(report.entries.get("posts/b.md"), {
+		file: "posts/b.md",
+		action: "created",
+		itemId: "item2",
+		fields: ["name"],
+	});
+});
+
+test("record times a started file and doesn't keep the outcome object", () => {
+	const report = new RunReport();
+	const outcome = { action: "skipped", reason: "draft" };
+	report.start(post("a.md"));
+	report.record(post("a.md"), outcome);
+	outcome.reason = "changed";
+
+	const entry = report.entries.get("posts/a.md");
+	assert.equal(entry.reason, "draft");
+	assert.equal(typeof entry.durationMs, "number");
+});
+
+test("totals count the files per action", () => {
+	const report = new RunReport();
+	report.written({ action: "create", filePath: post("a.md"), itemId: "1" });
+	report.written({ action: "update", filePath: post("b.md"), itemId: "2" });
+	report.written({ action: "unchanged", filePath: post("c.md"), itemId: "3" });
+	report.failed(post("d.md"), "Rejected");
+	assert.deepEqual(report.totals(), {
+		created: 1,
+		updated: 1,
+		archived: 0,
+		deleted: 0,
+		skipped: 1,
+		failed: 1,
+	});
+});
+
+test("toMarkdown lists failures first, then by action and path", () => {
+	const report = new RunReport({ commit: "0123456789abcdef" });
+	report.skipped(post("c.md"), "draft");
+	report.written({
+		action: "update",
+		filePath: post("b.md"),
+		itemId: "2",
+		fields: ["name", "slug"],
+	});
+	report.written({
+		action: "create",
+		filePath: post("a.md"),
+		itemId: "1",
+		fields: ["name", "slug"],
+	});
+	report.failed(post("z.md"), "Rejected");
+
+	const lines = report.toMarkdown().split("\n");
+	assert.equal(lines[0], "### Webflow sync");
+	assert.match(
+		lines[2],
+		/^\*\*1 created · 1 updated · 1 skipped · 1 failed\*\* in \d+\.\ds at `0123456`$/,
+	);
+	assert.equal(lines[4], "| File | Action | Item | Fields | Time | Details |");
+	assert.deepEqual(lines.slice(6), [
+		"| `posts/z.md` | ❌ failed |  |  |  | Rejected |",
+		"| `posts/a.md` | ✅ created | `1` | 2 field(s) |  |  |",
+		"| `posts/b.md` | ✅ updated | `2` | name, slug |  |  |",
+		"| `posts/c.md` | ⏭️ skipped |  |  |  | draft |",
+		"",
+		"",
+	]);
+});
+
+test("toMarkdown escapes the cells and marks a dry run", () => {
+	const report = new RunReport({ dryRun: true });
+	report.failed(post("a.md"), "Webflow rejected it:\n  name | slug invalid");
+	const markdown = report.toMarkdown("Preview");
+	assert.match(markdown, /^### Preview \(dry run\)\n/);
+	assert.match(markdown, /\| Webflow rejected it: name \\\| slug invalid \|\n/);
+});
+
+test("toMarkdown of an empty run has no table", () => {
+	assert.match(
+		new RunReport().toMarkdown(),
+		/^### Webflow sync\n\n\*\*No files\*\* in \d+\.\ds\n\n$/,
+	);
+});
+
+test("tableCell escapes pipes and joins lines", () => {
+	assert.equal(tableCell("a | b"), "a \\| b");
+	assert.equal(tableCell("first\nsecond  \n\n  third"), "first second third");
+	assert.equal(tableCell("line\r\nnext"), "line next");
+	assert.equal(tableCell(42), "42");
+});
@@ -0,0 +1,216 @@
+/**
+ * Sandbox for tests that run the tools end to end: a throwaway git repository
+ * holding a copy of tools/ (node_modules linked) and the sync config, with
+ * posts written by the test, and a webflow-emulator.js of its own on a free
+ * port. The tools find the repository they live in, so the real /posts is
+ * never touched.
+ */
+
+import { execFileSync, spawn, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const TOOLS_DIR = path.resolve(
+	path.dirname(fileURLToPath(import.meta.url)),
+	"..",
+);
+
+function freePort() {
+	return new Promise((resolve, reject) => {
+		const server = net.createServer();
+		server.on("error", reject);
+		server.listen(0, () => {
+			const { port } = server.address();
+			server.close(() => resolve(port));
+		});
+	});
+}
+
+/**
+ * Wait until the emulator answers
+ * @param {string} origin - e.g. http://localhost:8787
+ * @param {import("node:child_process").ChildProcess} child
+ */
+async function waitForEmulator(origin, child) {
+	for (let attempt = 0; attempt < 100; attempt++) {
+		if (child.exitCode !== null) {
+			throw new Error(`Emulator exited with code ${child.exitCode}`);
+		}
+		try {
+			const res = await fetch(`${origin}/__emulator/store`);
+			if (res.ok) return;
+		} catch {
+			// Not listening yet
+		}
+		await new Promise((resolve) => setTimeout(resolve, 100));
+	}
+	throw new Error(`Emulator at ${origin} did not start`);
+}
+
+/**
+ * Create the repository and start its emulator
+ * @returns {Promise<Sandbox>}
+ */
+export async function createSandbox() {
+	const root = fs.mkdtempSync(path.join(os.tmpdir(), "webflow-sync-"));
+	fs.cpSync(TOOLS_DIR, path.join(root, "tools"), {
+		recursive: true,
+		filter: (src) => path.basename(src) !== "node_modules",
+	});
+	fs.symlinkSync(
+		path.join(TOOLS_DIR, "node_modules"),
+		path.join(root, "tools", "node_modules"),
+	);
+	fs.copyFileSync(
+		path.join(TOOLS_DIR, "..", "webflow-sync.config.json"),
+		path.join(root, "webflow-sync.config.json"),
+	);
+	fs.mkdirSync(path.join(root, "posts"));
+	fs.writeFileSync(path.join(root, ".gitignore"), ".webflow-sync/\ntmp/\n");
+
+	const git = (...args) =>
+		execFileSync("git", args, { cwd: root, encoding: "utf8" });
+	git("init", "--quiet");
+	git("config", "user.email", "test@example.com");
+	git("config", "user.name", "test");
+
+	const port = await freePort();
+	const origin = `http://localhost:${port}`;
+	const emulator = spawn(
+		process.execPath,
+		[
+			path.join(root, "tools", "testing", "webflow-emulator.js"),
+			"--port",
+			String(port),
+			"--rate-limit",
+			"100000",
+		],
+		{ cwd: root, stdio: "ignore" },
+	);
+	try {
+		await waitForEmulator(origin, emulator);
+	} catch (e) {
+		emulator.kill();
+		fs.rmSync(root, { recursive: true, force: true });
+		throw e;
+	}
+
+	// Without the Actions variables of the run the tests may be in
+	const env = Object.fromEntries(
+		Object.entries(process.env).filter(
+			([name]) => !/^(GITHUB_|GH_|WEBFLOW_|SYNC_)/.test(name),
+		),
+	);
+	Object.assign(env, {
+		WEBFLOW_API_BASE_URL: `${origin}/v2`,
+		WEBFLOW_TOKEN: "test",
+		WEBFLOW_SITE_ID: "site",
+		WEBFLOW_COLLECTION_ID: "posts",
+		WEBFLOW_AUTHORS_COLLECTION_ID: "authors",
+		WEBFLOW_TAGS_COLLECTION_ID: "tags",
+	});
+
+	return {
+		root,
+		env,
+		git,
+
+		/**
+		 * Write a post and commit it
+		 * @param {string} name - File name in posts/
+		 * @param {Object} frontmatter - Written as YAML (values JSON-quoted)
+		 * @param {string} [body]
+		 */
+		commitPost(name, frontmatter, body = "Some text.") {
+			const yaml = Object.entries(frontmatter)
+				.map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+				.join("\n");
+			fs.writeFileSync(
+				path.join(root, "posts", name),
+				`---\n${yaml}\n---\n\n${body}\n`,
+			);
+			git("add", "-A");
+			git("commit", "--quiet", "-m", `post ${name}`);
+		},
+
+		/**
+		 * Run a tool of the sandbox to completion
+		 * @param {string} script - e.g. sync-webflow.js
+		 * @param {string[]} [args]
+		 * @returns {{status: number, output: string}} stdout and stderr
+		 */
+		run(script, args = []) {
+			const { status, stdout, stderr } = spawnSync(
+				process.execPath,
+				[path.join(root, "tools", script), ...args],
+				{ cwd: root, env, encoding: "utf8", timeout: 60000 },
+			);
+			return { status, output: `${stdout}\n${stderr}` };
+		},
+
+		/**
+		 * Call the emulator directly, e.g. to edit an item "in Webflow"
+		 * @param {string} method
+		 * @param {string} apiPath - e.g. /v2/collections/posts/items
+		 * @param {Object} [body]
+		 * @returns {Promise<*>} The parsed response
+		 */
+		async request(method, apiPath, body) {
+			const res = await fetch(`${origin}${apiPath}`, {
+				method,
+				headers: {
+					authorization: `Bearer ${env.WEBFLOW_TOKEN}`,
+					"content-type": "application/json",
+				},
+				body: body && JSON.stringify(body),
+			});
+			return res.json();
+		},
+
+		/**
+		 * The items of a collection, as the emulator stores them
+		 * @param {string} [collectionId]
+		 * @returns {Promise<Object[]>}
+		 */
+		async items(collectionId = "posts") {
+			const store = await this.request("GET", "/__emulator/store");
+			return store.items[collectionId] || [];
+		},
+
+		/**
+		 * @returns {Object} .webflow-sync/state.json
+		 */
+		syncState() {
+			return JSON.parse(
+				fs.readFileSync(path.join(root, ".webflow-sync", "state.json"), "utf8"),
+			);
+		},
+
+		/**
+		 * @returns {Object} .webflow-sync/report.json of the last run
+		 */
+		report() {
+			return JSON.parse(
+				fs.readFileSync(
+					path.join(root, ".webflow-sync", "report.json"),
+					"utf8",
+				),
+			);
+		},
+
+		/**
+		 * Stop the emulator and remove the repository
+		 */
+		async close() {
+			if (emulator.exitCode === null) {
+				const exited = new Promise((resolve) => emulator.once("exit", resolve));
+				emulator.kill();
+				await exited;
+			}
+			fs.rmSync(root, { recursive: true, force: true });
+		},
+	};
+}
@@ -0,0 +1,55 @@
+/**
+ * checkFieldValue: the value rules of the schema snapshot
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkFieldValue } from "../lib/schema.js";
+
+const entry = { key: "value", field: "value" };
+const check = (type, value, validations) =>
+	checkFieldValue({ type, validations }, entry, value);
+
+test("an Option value is the option's id", () => {
+	const validations = {
+		options: [
+			{ id: "a1", name: "News" },
+			{ id: "b2", name: "Guide" },
+		],
+	};
+	assert.equal(check("Option", "b2", validations), null);
+	assert.match(
+		check("Option", "Guide", validations),
+		/must be an option id: use b2 for 'Guide'/,
+	);
+	assert.match(
+		check("Option", "Other", validations),
+		/a1 \(News\), b2 \(Guide\), got: Other/,
+	);
+});
+
+test("a Switch value is a boolean", () => {
+	assert.equal(check("Switch", true), null);
+	assert.equal(check("Switch", false), null);
+	assert.match(check("Switch", "true"), /must be boolean/);
+	assert.match(check("Switch", 1), /must be boolean/);
+});
+
+test("a DateTime value is a date or a date string", () => {
+	assert.equal(check("DateTime", new Date("2024-05-01")), null);
+	assert.equal(check("DateTime", "2024-05-01T10:00:00Z"), null);
+	assert.match(check("DateTime", "next week"), /must be a date/);
+	assert.match(check("DateTime", 20240501), /must be a date/);
+});
+
+test("a Link value is an absolute URL Webflow accepts", () => {
+	assert.equal(check("Link", "https://example.com/post"), null);
+	assert.equal(check("Link", "mailto:team@example.com"), null);
+	assert.match(check("Link", "/posts/relative"), /must be an absolute URL/);
+	assert.match(
+		check("Link", "ftp://example.com/file"),
+		/must be an http:, https:, mailto:, tel: URL/,
+	);
+});
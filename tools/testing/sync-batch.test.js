@@ -0,0 +1,66 @@
+/**
+ * sync-webflow.js --batch against the emulator: an item Webflow rejects in a
+ * bulk request fails its own post only
+ *
+ * Usage: npm test
+ */
+
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { createSandbox } from "./sandbox.js";
+
+let sandbox;
+
+before(async () => {
+	sandbox = await createSandbox();
+	assert.equal(sandbox.run("create-fields.js").status, 0);
+});
+
+after(async () => {
+	await sandbox?.close();
+});
+
+test("a rejected item fails its post and the accepted ones are recorded", async () => {
+	sandbox.commitPost("first.md", { title: "First", date: "2024-01-01" });
+	// Not a file in the repo and no GH_REPOSITORY: sent as is, not a URL
+	sandbox.commitPost("broken.md", {
+		title: "Broken",
+		date: "2024-01-02",
+		image: "missing.png",
+	});
+	sandbox.commitPost("second.md", { title: "Second", date: "2024-01-03" });
+
+	const { status, output } = sandbox.run("sync-webflow.js", [
+		"--all",
+		"--batch",
+	]);
+	assert.equal(status, 1, output);
+	// One bulk request, then the rest resent without the rejected item
+	assert.match(output, /Creating 3 Webflow item\(s\) in one bulk request/);
+	assert.match(output, /Creating 2 Webflow item\(s\) in one bulk request/);
+
+	const files = Object.fromEntries(
+		sandbox.report().files.map((entry) => [entry.file, entry]),
+	);
+	assert.equal(files["posts/broken.md"].action, "failed");
+	assert.match(
+		files["posts/broken.md"].error,
+		/Webflow rejected .*broken\.md: fieldData\.main-image/,
+	);
+	assert.equal(files["posts/first.md"].action, "created");
+	assert.equal(files["posts/second.md"].action, "created");
+
+	const items = await sandbox.items();
+	const itemIdOf = (githubId) =>
+		items.find((item) => item.fieldData["github-id"] === githubId)?.id;
+	assert.equal(items.length, 2);
+	assert.ok(itemIdOf("first"));
+	assert.ok(itemIdOf("second"));
+	assert.equal(files["posts/first.md"].itemId, itemIdOf("first"));
+	assert.equal(files["posts/second.md"].itemId, itemIdOf("second"));
+
+	const state = sandbox.syncState();
+	assert.equal(state.items.first?.itemId, itemIdOf("first"));
+	assert.equal(state.items.second?.itemId, itemIdOf("second"));
+	assert.equal(state.items.broken, undefined);
+});
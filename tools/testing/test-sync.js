@@ -16,6 +16,9 @@ import remarkGfm from "remark-gfm";
 import remarkRehype from "remark-rehype";
 import rehypeStringify from "rehype-stringify";
 import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
+// Field slugs for Webflow v2 API, from webflow-sync.config.json
+import { FIELD_IDS } from "../lib/fields.js";
+import { getUniqueId } from "../lib/posts.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -54,27 +57,6 @@ if (!WEBFLOW_COLLECTION_ID) {
 	throw new Error("Missing WEBFLOW_COLLECTION_ID in .env.local");
 }
 
-// Field slugs for Webflow v2 API (match your collection setup)
-// Run `node tools/fetch-schema.js` to get the correct field slugs for your collection
-// Note: Webflow v2 API uses field slugs in fieldData, not field IDs!
-const FIELD_IDS = {
-	name: "name", // Name (PlainText) [REQUIRED]
-	slug: "slug", // Slug (PlainText) [REQUIRED]
-	body: "post-body", // Post Body (RichText)
-	mainImage: "main-image", // Main Image (Image)
-	publishDate: "publish-date", // Publish Date (DateTime) - for scheduled publishing
-	authorText: "author", // Author (PlainText)
-	externalLink: "link", // Link (Link)
-	isPublished: "is-published", // Is Published (Switch)
-	pushToWebflow: "push-to-webflow", // Push to Webflow (Switch)
-	postId: "post-id", // Post ID (PlainText)
-	// Note: lastUpdated is a Webflow system field (read-only), not synced
-	tags: "tags", // Tags (PlainText)
-	excerpt: "post-summary", // Post Summary (PlainText)
-	seoTitle: "seo-title", // SEO Title (PlainText)
-	seoDescription: "seo-description", // SEO Description (PlainText)
-};
-
 function log(...a) {
 	console.log("[test-sync]", ...a);
 }
@@ -219,13 +201,15 @@ async function upsertWebflowItem({ fm, html, filePath }) {
 		);
 	}
 	if (FIELD_IDS.publishDate) fieldData[FIELD_IDS.publishDate] = publishDate;
-	if (FIELD_IDS.authorText && author) fieldData[FIELD_IDS.authorText] = author;
+	if (FIELD_IDS.author && author) fieldData[FIELD_IDS.author] = author;
 	if (FIELD_IDS.externalLink && externalLink)
 		fieldData[FIELD_IDS.externalLink] = externalLink;
 	if (FIELD_IDS.isPublished) fieldData[FIELD_IDS.isPublished] = published;
 	if (FIELD_IDS.pushToWebflow) fieldData[FIELD_IDS.pushToWebflow] = true;
 	if (FIELD_IDS.postId && fm.post_id)
 		fieldData[FIELD_IDS.postId] = String(fm.post_id);
+	if (FIELD_IDS.githubId)
+		fieldData[FIELD_IDS.githubId] = getUniqueId(fm, filePath);
 	// Note: lastUpdated is a Webflow system field - automatically managed, don't sync
 	if (FIELD_IDS.tags && tags) fieldData[FIELD_IDS.tags] = tags;
 	if (FIELD_IDS.excerpt && excerpt) fieldData[FIELD_IDS.excerpt] = excerpt;
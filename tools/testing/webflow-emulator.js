@@ -0,0 +1,923 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Webflow CMS API (v2), so the sync tools can run end
+ * to end without a token or a real site. An HTTP server that keeps a site,
+ * its collections, fields, items and assets in a JSON file; point a tool at
+ * it with WEBFLOW_API_BASE_URL:
+ *
+ *   node testing/webflow-emulator.js
+ *   export WEBFLOW_API_BASE_URL=http://localhost:8787/v2 WEBFLOW_TOKEN=local
+ *   export WEBFLOW_SITE_ID=site WEBFLOW_COLLECTION_ID=posts
+ *   node create-fields.js && node sync-webflow.js --all
+ *
+ * The first start creates a site with the locales of webflow-sync.config.json
+ * and empty "posts", "authors" and "tags" collections (name and slug fields
+ * only, like a new Webflow collection); create-fields.js adds the rest.
+ *
+ * Implemented: sites (get, custom domains, publish), collections (list,
+ * get), fields (create, update), items (list, get, create, update, delete,
+ * bulk create/update, publish, cmsLocaleId variants), assets (list, create;
+ * the presigned upload target and the hosted files are served here too).
+ * Field values are checked against the field types, slugs must be unique,
+ * and references must point at existing items. Every API response carries
+ * X-RateLimit-Limit/X-RateLimit-Remaining; a request over the limit gets a
+ * 429 with Retry-After, like Webflow.
+ *
+ * Faults make the next API requests fail, to exercise retries:
+ *  - --fault <status>[:count]  e.g. --fault 429:2 --fault 503 (repeatable)
+ *  - POST /__emulator/faults {"status": 500, "count": 3, "path": "/items"}
+ *    (path: only requests whose path contains it)
+ *
+ * Other control endpoints: GET /__emulator/store (the whole store),
+ * POST /__emulator/reset (back to the seeded site).
+ *
+ * CLI:
+ *  - --port <n>        Port (default: EMULATOR_PORT or 8787)
+ *  - --store <file>    JSON store (default: EMULATOR_STORE or
+ *                      <repo>/tmp/webflow-emulator.json)
+ *  - --rate-limit <n>  Requests per minute (default: 120)
+ *  - --fault <status>[:count]
+ *  - --reset           Start from the seeded site, discarding the store
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { SYNC_CONFIG } from "../lib/fields.js";
+import { kebab, REPO_ROOT } from "../lib/posts.js";
+
+const argv = process.argv.slice(2);
+const optionValue = (flag) => {
+	const i = argv.indexOf(flag);
+	return i >= 0 ? argv[i + 1] : undefined;
+};
+
+const PORT = Number(optionValue("--port") || process.env.EMULATOR_PORT || 8787);
+const STORE_FILE = path.resolve(
+	optionValue("--store") ||
+		process.env.EMULATOR_STORE ||
+		path.join(REPO_ROOT, "tmp", "webflow-emulator.json"),
+);
+// Uploaded asset files, next to the store
+const ASSET_DIR = `${STORE_FILE.replace(/\.json$/, "")}-assets`;
+const RATE_LIMIT = Number(optionValue("--rate-limit") || 120);
+const WINDOW_MS = 60000;
+
+// Field types the emulator checks values of; other types take any value
+const STRING_TYPES = ["PlainText", "RichText", "Link", "Email", "Phone"];
+
+function log(...a) {
+	console.log("[webflow-emulator]", ...a);
+}
+function fail(msg, e) {
+	console.error("[webflow-emulator:error]", msg);
+	if (e) console.error(e?.stack || e);
+	process.exitCode = 1;
+}
+
+const newId = () => crypto.randomBytes(12).toString("hex");
+const now = () => new Date().toISOString();
+
+// ---------- Store ----------
+
+function field(slug, displayName) {
+	return {
+		id: newId(),
+		isEditable: true,
+		isRequired: true,
+		type: "PlainText",
+		slug,
+		displayName,
+		helpText: "",
+		validations: null,
+	};
+}
+
+function collection(id, displayName, singularName) {
+	return {
+		id,
+		displayName,
+		singularName,
+		slug: id,
+		createdOn: now(),
+		lastUpdated: now(),
+		fields: [field("name", "Name"), field("slug", "Slug")],
+	};
+}
+
+/**
+ * A new site: the locales of webflow-sync.config.json and empty collections
+ */
+function seedStore() {
+	const locale = (tag, primary) => ({
+		id: newId(),
+		cmsLocaleId: `locale-${tag}`,
+		tag,
+		displayName: tag,
+		enabled: true,
+		primary,
+	});
+	const locales = SYNC_CONFIG.locales || {};
+	return {
+		site: {
+			id: "site",
+			displayName: "Emulated site",
+			shortName: "emulated-site",
+			lastPublished: null,
+			locales: {
+				primary: locale(String(locales.primary || "en"), true),
+				secondary: (locales.secondary || []).map((t) =>
+					locale(String(t), false),
+				),
+			},
+		},
+		collections: {
+			posts: collection("posts", "Posts", "Post"),
+			authors: collection("authors", "Authors", "Author"),
+			tags: collection("tags", "Tags", "Tag"),
+		},
+		items: { posts: [], authors: [], tags: [] },
+		assets: [],
+	};
+}
+
+let store;
+
+function loadStore(reset) {
+	if (!reset && fs.existsSync(STORE_FILE)) {
+		store = JSON.parse(fs.readFileSync(STORE_FILE, "utf8"));
+		return;
+	}
+	store = seedStore();
+	fs.rmSync(ASSET_DIR, { recursive: true, force: true });
+	saveStore();
+}
+
+function saveStore() {
+	fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+	fs.writeFileSync(STORE_FILE, `${JSON.stringify(store, null, "\t")}\n`);
+}
+
+// ---------- Errors ----------
+
+class ApiError extends Error {
+	constructor(status, message, { code, details, headers } = {}) {
+		super(message);
+		this.status = status;
+		this.code = code;
+		this.details = details;
+		this.headers = headers;
+	}
+}
+
+const notFound = (what) =>
+	new ApiError(404, `Requested resource not found: ${what}`, {
+		code: "resource_not_found",
+	});
+
+// Validation errors name the offending params, like Webflow's
+function invalid(details) {
+	return new ApiError(400, "Validation Error", {
+		code: "validation_error",
+		details,
+	});
+}
+
+// ---------- Rate limit and faults ----------
+
+let requestTimes = [];
+const faults = [];
+
+function parseFault(spec) {
+	const [status, count] = String(spec).split(":");
+	const fault = { status: Number(status), count: Number(count || 1) };
+	if (!(fault.status >= 400 && fault.status < 600) || !(fault.count > 0)) {
+		throw new Error(`Invalid fault '${spec}' (expected <status>[:count])`);
+	}
+	return fault;
+}
+
+/**
+ * Count a request against the rate limit
+ * @returns {Object} X-RateLimit headers for the response
+ * @throws {ApiError} 429 when over the limit
+ */
+function takeRateLimit() {
+	const t = Date.now();
+	requestTimes = requestTimes.filter((time) => t - time < WINDOW_MS);
+	if (requestTimes.length >= RATE_LIMIT) {
+		const retryAfter = Math.ceil((requestTimes[0] + WINDOW_MS - t) / 1000);
+		throw new ApiError(429, "Too Many Requests", {
+			code: "too_many_requests",
+			headers: {
+				"X-RateLimit-Limit": RATE_LIMIT,
+				"X-RateLimit-Remaining": 0,
+				"Retry-After": retryAfter,
+			},
+		});
+	}
+	requestTimes.push(t);
+	return {
+		"X-RateLimit-Limit": RATE_LIMIT,
+		"X-RateLimit-Remaining": RATE_LIMIT - requestTimes.length,
+	};
+}
+
+// Fail the request with the first fault that matches it
+function takeFault(pathname) {
+	const fault = faults.find(
+		(f) => f.count > 0 && (!f.path || pathname.includes(f.path)),
+	);
+	if (!fault) return;
+	fault.count--;
+	throw new ApiError(fault.status, `Injected fault (${fault.status})`, {
+		code: fault.status === 429 ? "too_many_requests" : "internal_error",
+		headers: fault.status === 429 ? { "Retry-After": 1 } : undefined,
+	});
+}
+
+// ---------- Collections, fields and items ----------
+
+function getCollection(collectionId) {
+	const found = store.collections[collectionId];
+	if (!found) throw notFound(`collection ${collectionId}`);
+	return found;
+}
+
+function findItem(collectionId, itemId) {
+	const item = (store.items[collectionId] || []).find((i) => i.id === itemId);
+	if (!item) throw notFound(`item ${itemId}`);
+	return item;
+}
+
+function cmsLocaleIds() {
+	const { primary, secondary } = store.site.locales;
+	return [primary, ...secondary].map((l) => l.cmsLocaleId);
+}
+
+function checkLocale(cmsLocaleId) {
+	if (cmsLocaleId && !cmsLocaleIds().includes(cmsLocaleId)) {
+		throw invalid([
+			{ param: "cmsLocaleId", description: `Unknown locale ${cmsLocaleId}` },
+		]);
+	}
+}
+
+const isPrimary = (cmsLocaleId) =>
+	!cmsLocaleId || cmsLocaleId === store.site.locales.primary.cmsLocaleId;
+
+/**
+ * An item as the API returns it: the primary locale, or a locale variant
+ * (the primary content until the variant is written)
+ */
+function itemView(item, cmsLocaleId) {
+	const { variants, ...primary } = item;
+	if (isPrimary(cmsLocaleId)) return primary;
+	return { ...primary, ...variants?.[cmsLocaleId], cmsLocaleId };
+}
+
+/**
+ * Check fieldData against the collection's fields and normalize it the way
+ * Webflow stores it (Image fields become {fileId, url, alt})
+ * @param {Object} coll - Collection
+ * @param {Object} fieldData
+ * @param {string} prefix - Param prefix of validation details (e.g. "items[2].")
+ * @returns {Object} Stored fieldData
+ */
+function checkFieldData(coll, fieldData, prefix) {
+	const details = [];
+	const bySlug = new Map(coll.fields.map((f) => [f.slug, f]));
+	const out = {};
+	for (const [slug, value] of Object.entries(fieldData || {})) {
+		const param = `${prefix}fieldData.${slug}`;
+		const def = bySlug.get(slug);
+		if (!def) {
+			details.push({ param, description: "Field not described in schema" });
+			continue;
+		}
+		if (value === null || value === undefined) {
+			out[slug] = null;
+			continue;
+		}
+		const problem = checkValue(def, value);
+		if (problem) details.push({ param, description: problem });
+		else out[slug] = normalizeValue(def, value);
+	}
+	if (details.length > 0) throw invalid(details);
+	return out;
+}
+
+// Why a value doesn't fit its field, or undefined
+function checkValue(def, value) {
+	const refs = store.items[def.validations?.collectionId] || [];
+	switch (def.type) {
+		case "Switch":
+			return typeof value === "boolean" ? undefined : "Expected a boolean";
+		case "Number":
+			return typeof value === "number" ? undefined : "Expected a number";
+		case "DateTime":
+			return Number.isNaN(Date.parse(value)) ? "Expected a date" : undefined;
+		case "Image": {
+			const url = typeof value === "string" ? value : value?.url;
+			return /^https?:\/\//.test(url || "") ? undefined : "Expected a URL";
+		}
+		case "Reference":
+			return refs.some((i) => i.id === value)
+				? undefined
+				: `Referenced item ${value} not found`;
+		case "MultiReference":
+			if (!Array.isArray(value)) return "Expected a list of item ids";
+			return value
+				.filter((id) => !refs.some((i) => i.id === id))
+				.map((id) => `Referenced item ${id} not found`)[0];
+		default:
+			if (STRING_TYPES.includes(def.type) && typeof value !== "string") {
+				return "Expected a string";
+			}
+	}
+}
+
+function normalizeValue(def, value) {
+	if (def.type !== "Image") return value;
+	return typeof value === "string"
+		? { fileId: null, url: value, alt: null }
+		: { fileId: value.fileId ?? null, url: value.url, alt: value.alt ?? null };
+}
+
+// Required fields, and slugs unique among the collection's items
+function checkItem(coll, collectionId, fieldData, itemId, prefix) {
+	const details = [];
+	for (const def of coll.fields) {
+		const value = fieldData[def.slug];
+		if (
+			def.isRequired &&
+			(value === undefined || value === null || value === "")
+		) {
+			details.push({
+				param: `${prefix}fieldData.${def.slug}`,
+				description: "Field is required",
+			});
+		}
+	}
+	const taken = store.items[collectionId].find(
+		(i) => i.id !== itemId && i.fieldData.slug === fieldData.slug,
+	);
+	if (fieldData.slug && taken) {
+		details.push({
+			param: `${prefix}fieldData.slug`,
+			description: `Unique value is already in database: '${fieldData.slug}'`,
+		});
+	}
+	if (details.length > 0) throw invalid(details);
+}
+
+function createItem(collectionId, payload, prefix = "") {
+	const coll = getCollection(collectionId);
+	const fieldData = checkFieldData(coll, payload.fieldData, prefix);
+	if (!fieldData.slug && fieldData.name) fieldData.slug = kebab(fieldData.name);
+	checkItem(coll, collectionId, fieldData, null, prefix);
+	const item = {
+		id: newId(),
+		cmsLocaleId: store.site.locales.primary.cmsLocaleId,
+		lastPublished: null,
+		lastUpdated: now(),
+		createdOn: now(),
+		isArchived: Boolean(payload.isArchived),
+		isDraft: Boolean(payload.isDraft),
+		fieldData,
+	};
+	store.items[collectionId].push(item);
+	return itemView(item);
+}
+
+// The stored locale variant of an item, created from the primary content
+function variantOf(item, cmsLocaleId) {
+	item.variants ??= {};
+	item.variants[cmsLocaleId] ??= { fieldData: { ...item.fieldData } };
+	return item.variants[cmsLocaleId];
+}
+
+function updateItem(collectionId, itemId, payload, prefix = "") {
+	const coll = getCollection(collectionId);
+	const item = findItem(collectionId, itemId);
+	const { cmsLocaleId } = payload;
+	checkLocale(cmsLocaleId);
+	const target = isPrimary(cmsLocaleId) ? item : variantOf(item, cmsLocaleId);
+	const fieldData = {
+		...target.fieldData,
+		...checkFieldData(coll, payload.fieldData, prefix),
+	};
+	checkItem(coll, collectionId, fieldData, itemId, prefix);
+	target.fieldData = fieldData;
+	for (const key of ["isArchived", "isDraft"]) {
+		if (key in payload) target[key] = Boolean(payload[key]);
+	}
+	target.lastUpdated = now();
+	return itemView(item, cmsLocaleId);
+}
+
+/**
+ * Apply a bulk request; Webflow writes none of the items when one is
+ * invalid, and names every invalid one
+ */
+function bulk(items, write) {
+	if (!Array.isArray(items) || items.length === 0 || items.length > 100) {
+		throw invalid([{ param: "items", description: "Expected 1-100 items" }]);
+	}
+	const before = structuredClone(store.items);
+	const details = [];
+	const written = [];
+	items.forEach((payload, i) => {
+		try {
+			written.push(write(payload, `items[${i}].`));
+		} catch (e) {
+			if (e.status !== 400) {
+				store.items = before;
+				throw e;
+			}
+			details.push(...(e.details || []));
+		}
+	});
+	if (details.length > 0) {
+		store.items = before;
+		throw invalid(details);
+	}
+	return written;
+}
+
+function publishItems(collectionId, body) {
+	getCollection(collectionId);
+	const requests = body.items
+		? body.items.map((i) => ({ id: i.id, locales: i.cmsLocaleIds }))
+		: (body.itemIds || []).map((id) => ({ id }));
+	const publishedItemIds = [];
+	const errors = [];
+	for (const { id, locales } of requests) {
+		const item = (store.items[collectionId] || []).find((i) => i.id === id);
+		if (!item) {
+			errors.push({ itemId: id, message: "Item not found" });
+			continue;
+		}
+		for (const cmsLocaleId of locales || [null]) {
+			const target = isPrimary(cmsLocaleId)
+				? item
+				: variantOf(item, cmsLocaleId);
+			target.lastPublished = now();
+		}
+		publishedItemIds.push(id);
+	}
+	return { publishedItemIds, errors };
+}
+
+function createField(collectionId, body) {
+	const coll = getCollection(collectionId);
+	const slug = body.slug || kebab(body.displayName);
+	const details = [];
+	if (!body.type) details.push({ param: "type", description: "Required" });
+	if (!slug) details.push({ param: "displayName", description: "Required" });
+	if (coll.fields.some((f) => f.slug === slug)) {
+		details.push({ param: "slug", description: `Slug '${slug}' is taken` });
+	}
+	const referenced = body.metadata?.collectionId;
+	if (/Reference$/.test(body.type || "") && !store.collections[referenced]) {
+		details.push({
+			param: "metadata.collectionId",
+			description: `Collection ${referenced} not found`,
+		});
+	}
+	if (details.length > 0) throw invalid(details);
+
+	const created = {
+		id: newId(),
+		isEditable: true,
+		isRequired: Boolean(body.isRequired),
+		type: body.type,
+		slug,
+		displayName: body.displayName || slug,
+		helpText: body.helpText || "",
+		validations: referenced ? { collectionId: referenced } : null,
+	};
+	coll.fields.push(created);
+	coll.lastUpdated = now();
+	return created;
+}
+
+function updateField(collectionId, fieldId, body) {
+	const coll = getCollection(collectionId);
+	const def = coll.fields.find((f) => f.id === fieldId);
+	if (!def) throw notFound(`field ${fieldId}`);
+	const details = Object.keys(body)
+		.filter((key) => !["displayName", "helpText", "isRequired"].includes(key))
+		.map((key) => ({ param: key, description: "Can't be changed" }));
+	if (details.length > 0) throw invalid(details);
+	Object.assign(def, body);
+	coll.lastUpdated = now();
+	return def;
+}
+
+// ---------- Assets ----------
+
+function createAsset(origin, body) {
+	if (!body.fileName || !/^[0-9a-f]{32}$/.test(body.fileHash || "")) {
+		throw invalid([
+			{ param: "fileHash", description: "fileName and an MD5 fileHash" },
+		]);
+	}
+	const id = newId();
+	const asset = {
+		id,
+		contentType: null,
+		size: 0,
+		siteId: store.site.id,
+		hostedUrl: `${origin}/assets/${id}/${encodeURIComponent(body.fileName)}`,
+		originalFileName: body.fileName,
+		displayName: body.fileName,
+		fileHash: body.fileHash,
+		uploaded: false,
+		createdOn: now(),
+		lastUpdated: now(),
+	};
+	store.assets.push(asset);
+	return {
+		...asset,
+		uploadUrl: `${origin}/__uploads/${id}`,
+		uploadDetails: {
+			key: `${store.site.id}/${id}-${body.fileName}`,
+			"x-amz-meta-filehash": body.fileHash,
+		},
+	};
+}
+
+// The presigned S3 POST: a form with the upload details and the file
+async function receiveUpload(req, body, assetId) {
+	const asset = store.assets.find((a) => a.id === assetId);
+	if (!asset) throw notFound(`asset ${assetId}`);
+	const form = await new Request("http://emulator/", {
+		method: "POST",
+		headers: { "content-type": req.headers["content-type"] || "" },
+		body,
+	}).formData();
+	const file = form.get("file");
+	if (!file || typeof file === "string") {
+		throw new ApiError(400, "The form has no file");
+	}
+	const content = Buffer.from(await file.arrayBuffer());
+	const hash = crypto.createHash("md5").update(content).digest("hex");
+	if (hash !== asset.fileHash) {
+		throw new ApiError(400, `File hash ${hash} doesn't match the asset`);
+	}
+	fs.mkdirSync(ASSET_DIR, { recursive: true });
+	fs.writeFileSync(path.join(ASSET_DIR, assetId), content);
+	Object.assign(asset, {
+		uploaded: true,
+		size: content.length,
+		contentType: file.type,
+		lastUpdated: now(),
+	});
+}
+
+// ---------- Routing ----------
+
+function paginate(key, list, query) {
+	const limit = Math.min(Number(query.get("limit") || 100), 100);
+	const offset = Number(query.get("offset") || 0);
+	return {
+		[key]: list.slice(offset, offset + limit),
+		pagination: { limit, offset, total: list.length },
+	};
+}
+
+function getSite(siteId) {
+	if (siteId !== store.site.id) throw notFound(`site ${siteId}`);
+	return store.site;
+}
+
+// [method, path pattern below /v2, handler(params, ctx) -> [status, body]]
+const ROUTES = [
+	["GET", /^\/sites\/([^/]+)$/, ([siteId]) => [200, getSite(siteId)]],
+	[
+		"GET",
+		/^\/sites\/([^/]+)\/custom_domains$/,
+		([siteId]) => {
+			getSite(siteId);
+			return [200, { customDomains: [] }];
+		},
+	],
+	[
+		"POST",
+		/^\/sites\/([^/]+)\/publish$/,
+		([siteId], { body }) => {
+			getSite(siteId).lastPublished = now();
+			return [
+				202,
+				{
+					customDomains: [],
+					publishToWebflowSubdomain: Boolean(body.publishToWebflowSubdomain),
+				},
+			];
+		},
+	],
+	[
+		"GET",
+		/^\/sites\/([^/]+)\/collections$/,
+		([siteId]) => {
+			getSite(siteId);
+			const collections = Object.values(store.collections).map(
+				({ fields, ...c }) => c,
+			);
+			return [200, { collections }];
+		},
+	],
+	[
+		"GET",
+		/^\/sites\/([^/]+)\/assets$/,
+		([siteId], { query }) => {
+			getSite(siteId);
+			const uploaded = store.assets.filter((a) => a.uploaded);
+			return [200, paginate("assets", uploaded, query)];
+		},
+	],
+	[
+		"POST",
+		/^\/sites\/([^/]+)\/assets$/,
+		([siteId], { body, origin }) => {
+			getSite(siteId);
+			return [200, createAsset(origin, body)];
+		},
+	],
+	[
+		"GET",
+		/^\/collections\/([^/]+)$/,
+		([collectionId]) => [200, getCollection(collectionId)],
+	],
+	[
+		"POST",
+		/^\/collections\/([^/]+)\/fields$/,
+		([collectionId], { body }) => [200, createField(collectionId, body)],
+	],
+	[
+		"PATCH",
+		/^\/collections\/([^/]+)\/fields\/([^/]+)$/,
+		([collectionId, fieldId], { body }) => [
+			200,
+			updateField(collectionId, fieldId, body),
+		],
+	],
+	[
+		"GET",
+		/^\/collections\/([^/]+)\/items$/,
+		([collectionId], { query }) => {
+			getCollection(collectionId);
+			const cmsLocaleId = query.get("cmsLocaleId");
+			checkLocale(cmsLocaleId);
+			const items = store.items[collectionId].map((i) =>
+				itemView(i, cmsLocaleId),
+			);
+			return [200, paginate("items", items, query)];
+		},
+	],
+	[
+		"POST",
+		/^\/collections\/([^/]+)\/items$/,
+		([collectionId], { body }) =>
+			body.items
+				? [
+						202,
+						{
+							items: bulk(body.items, (payload, prefix) =>
+								createItem(collectionId, payload, prefix),
+							),
+						},
+					]
+				: [200, createItem(collectionId, body)],
+	],
+	[
+		"PATCH",
+		/^\/collections\/([^/]+)\/items$/,
+		([collectionId], { body }) => [
+			200,
+			{
+				items: bulk(body.items, (payload, prefix) =>
+					updateItem(collectionId, payload.id, payload, prefix),
+				),
+			},
+		],
+	],
+	[
+		"POST",
+		/^\/collections\/([^/]+)\/items\/publish$/,
+		([collectionId], { body }) => [202, publishItems(collectionId, body)],
+	],
+	[
+		"GET",
+		/^\/collections\/([^/]+)\/items\/([^/]+)$/,
+		([collectionId, itemId], { query }) => {
+			const cmsLocaleId = query.get("cmsLocaleId");
+			checkLocale(cmsLocaleId);
+			return [200, itemView(findItem(collectionId, itemId), cmsLocaleId)];
+		},
+	],
+	[
+		"PATCH",
+		/^\/collections\/([^/]+)\/items\/([^/]+)$/,
+		([collectionId, itemId], { body, query }) => [
+			200,
+			updateItem(collectionId, itemId, {
+				cmsLocaleId: query.get("cmsLocaleId") || undefined,
+				...body,
+			}),
+		],
+	],
+	[
+		"DELETE",
+		/^\/collections\/([^/]+)\/items\/([^/]+)$/,
+		([collectionId, itemId]) => {
+			const item = findItem(collectionId, itemId);
+			store.items[collectionId] = store.items[collectionId].filter(
+				(i) => i !== item,
+			);
+			return [204];
+		},
+	],
+];
+
+/**
+ * Handle a request below /v2
+ * @returns {{status: number, body?: Object, headers: Object}}
+ */
+function handleApi(req, url, raw, origin) {
+	const apiPath = url.pathname.slice("/v2".length);
+	if (!/^Bearer \S+/.test(req.headers.authorization || "")) {
+		throw new ApiError(401, "Missing or malformed Authorization header", {
+			code: "not_authorized",
+		});
+	}
+	const headers = takeRateLimit();
+	try {
+		takeFault(url.pathname);
+		const route = ROUTES.find(
+			([method, pattern]) => method === req.method && pattern.test(apiPath),
+		);
+		if (!route) throw notFound(`${req.method} ${url.pathname}`);
+
+		let body = {};
+		if (raw.length > 0) {
+			try {
+				body = JSON.parse(raw);
+			} catch {
+				throw new ApiError(400, "Request body is not valid JSON", {
+					code: "bad_request",
+				});
+			}
+		}
+		const params = route[1].exec(apiPath).slice(1).map(decodeURIComponent);
+		const [status, result] = route[2](params, {
+			body,
+			query: url.searchParams,
+			origin,
+		});
+		if (req.method !== "GET") saveStore();
+		return { status, body: result, headers };
+	} catch (e) {
+		e.headers = { ...headers, ...e.headers };
+		throw e;
+	}
+}
+
+/**
+ * Handle the emulator's own endpoints (control, uploads, hosted assets)
+ * @returns {Promise<{status: number, body?: Object, file?: Buffer}|null>}
+ *   null when the path isn't one
+ */
+async function handleLocal(req, url, raw) {
+	const { pathname } = url;
+	if (pathname === "/__emulator/store" && req.method === "GET") {
+		return { status: 200, body: store };
+	}
+	if (pathname === "/__emulator/reset" && req.method === "POST") {
+		loadStore(true);
+		faults.length = 0;
+		requestTimes = [];
+		log("Store reset");
+		return { status: 200, body: { reset: true } };
+	}
+	if (pathname === "/__emulator/faults" && req.method === "POST") {
+		let fault;
+		try {
+			const body = raw.length > 0 ? JSON.parse(raw) : {};
+			fault = parseFault(`${body.status}:${body.count ?? 1}`);
+			if (body.path) fault.path = String(body.path);
+		} catch (e) {
+			throw new ApiError(400, e.message, { code: "bad_request" });
+		}
+		faults.push(fault);
+		log(`Fault added: ${JSON.stringify(fault)}`);
+		return { status: 200, body: { faults } };
+	}
+	const upload = /^\/__uploads\/([^/]+)$/.exec(pathname);
+	if (upload && req.method === "POST") {
+		await receiveUpload(req, raw, upload[1]);
+		saveStore();
+		return { status: 204 };
+	}
+	const hosted = /^\/assets\/([^/]+)\//.exec(pathname);
+	if (hosted && req.method === "GET") {
+		const file = path.join(ASSET_DIR, path.basename(hosted[1]));
+		if (!fs.existsSync(file)) throw notFound(pathname);
+		const asset = store.assets.find((a) => a.id === hosted[1]);
+		return {
+			status: 200,
+			file: fs.readFileSync(file),
+			type: asset?.contentType,
+		};
+	}
+	return null;
+}
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		req.on("data", (c) => chunks.push(c));
+		req.on("end", () => resolve(Buffer.concat(chunks)));
+		req.on("error", reject);
+	});
+}
+
+function send(res, { status, body, headers = {}, file, type }) {
+	if (file) {
+		res.writeHead(status, {
+			"Content-Type": type || "application/octet-stream",
+		});
+		res.end(file);
+		return;
+	}
+	const text = body === undefined ? "" : JSON.stringify(body);
+	res.writeHead(status, {
+		...headers,
+		...(text && { "Content-Type": "application/json" }),
+	});
+	res.end(text);
+}
+
+async function handle(req, res) {
+	const origin = `http://${req.headers.host || `localhost:${PORT}`}`;
+	const url = new URL(req.url, origin);
+	let result;
+	try {
+		const raw = await readBody(req);
+		result = url.pathname.startsWith("/v2/")
+			? handleApi(req, url, raw, origin)
+			: await handleLocal(req, url, raw);
+		if (!result) throw notFound(url.pathname);
+	} catch (e) {
+		if (!(e instanceof ApiError)) fail(`${req.method} ${url.pathname}`, e);
+		const status = e instanceof ApiError ? e.status : 500;
+		result = {
+			status,
+			headers: e.headers,
+			body: {
+				message: e.message,
+				code: e.code || "internal_error",
+				externalReference: null,
+				details: e.details || [],
+			},
+		};
+	}
+	log(`${req.method} ${url.pathname}${url.search} -> ${result.status}`);
+	send(res, result);
+}
+
+function main() {
+	try {
+		for (const [i, flag] of argv.entries()) {
+			if (flag === "--fault") faults.push(parseFault(argv[i + 1]));
+		}
+	} catch (e) {
+		fail(e.message);
+		return;
+	}
+	loadStore(argv.includes("--reset"));
+
+	const server = http.createServer((req, res) => {
+		handle(req, res);
+	});
+	server.on("error", (e) => fail("Server error", e));
+	server.listen(PORT, () => {
+		const base = `http://localhost:${PORT}/v2`;
+		log(`Webflow API emulator on ${base} (store: ${STORE_FILE})`);
+		log(`Rate limit: ${RATE_LIMIT} requests/minute`);
+		for (const f of faults)
+			log(`Fault: next ${f.count} request(s) -> ${f.status}`);
+		log("\nPoint the tools at it with:");
+		log(`  export WEBFLOW_API_BASE_URL=${base} WEBFLOW_TOKEN=local`);
+		log(
+			`  export WEBFLOW_SITE_ID=${store.site.id} WEBFLOW_COLLECTION_ID=posts WEBFLOW_AUTHORS_COLLECTION_ID=authors WEBFLOW_TAGS_COLLECTION_ID=tags`,
+		);
+	});
+	// Stop cleanly on Ctrl-C
+	process.on("SIGINT", () => server.close(() => process.exit(0)));
+	process.on("SIGTERM", () => server.close(() => process.exit(0)));
+}
+
+main();
@@ -2,12 +2,41 @@
 /**
  * Validate frontmatter schema in posts/*.md files
  * Intended for GitHub Actions PR linting.
+ *
+ * CLI:
+ *  - --schema [file]  Also check mapped values against the cached collection
+ *                     schema (default: WEBFLOW_SCHEMA_FILE or
+ *                     <repo>/webflow-schema.json, see lib/schema.js): Webflow's
+ *                     required fields, max lengths, URL, date, switch and
+ *                     option values
+ *  - --require-translations  Fail, instead of warn, when a post lacks a
+ *                     translation for a secondary locale (see lib/locales.js)
  */
 
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import matter from "gray-matter";
+import {
+	AUTHOR_REFERENCE,
+	AUTHORS_DIR,
+	findAuthor,
+	readAuthors,
+} from "./lib/authors.js";
+import { AUTHOR_FIELDS, FIELDS, syncsToWebflow } from "./lib/fields.js";
+import {
+	getPostLocale,
+	LOCALES,
+	PRIMARY_LOCALE,
+	SECONDARY_LOCALES,
+} from "./lib/locales.js";
+import { getUniqueId, kebab } from "./lib/posts.js";
+import {
+	checkFieldValue,
+	loadSchemaSnapshot,
+	SCHEMA_FILE,
+} from "./lib/schema.js";
+import { readTags, TAG_REFERENCE } from "./lib/tags.js";
 
 // Resolve repo root relative to this script's location
 const __filename = fileURLToPath(import.meta.url);
@@ -16,24 +45,37 @@ const REPO_ROOT = path.resolve(__dirname, "..");
 const POSTS_DIR = path.join(REPO_ROOT, "posts");
 
 // ---------- CONFIG: allowed & required fields ----------
-const REQUIRED_FIELDS = ["title", "date", "push_to_webflow"];
-const OPTIONAL_FIELDS = [
-	"id",
+// Mapped keys come from webflow-sync.config.json (see lib/fields.js)
+const MAPPED_KEYS = FIELDS.map((f) => f.frontmatter).filter(Boolean);
+const REQUIRED_FIELDS = FIELDS.filter((f) => f.required && f.frontmatter).map(
+	(f) => f.frontmatter,
+);
+// Not mapped to a field: written by the sync itself, or read by it (locale)
+const SYNC_FIELDS = ["last_update", "locale"];
+const ALLOWED_FIELDS = new Set([
+	...MAPPED_KEYS.map((k) => k.split(".")[0]),
+	...SYNC_FIELDS,
+]);
+
+// Allowed subfields of nested keys, e.g. seo -> {title, description}
+const ALLOWED_SUBFIELDS = {};
+for (const key of MAPPED_KEYS.filter((k) => k.includes("."))) {
+	const [parent, child] = key.split(".");
+	ALLOWED_SUBFIELDS[parent] ??= new Set();
+	ALLOWED_SUBFIELDS[parent].add(child);
+}
+
+// Keys the sync fills in when a post doesn't set them (see lib/sync.js), so
+// Webflow's required flag doesn't make them required in frontmatter
+const FILLED_BY_SYNC = new Set([
 	"slug",
-	"image",
-	"author",
-	"link",
-	"published",
-	"post_id",
-	"last_update",
-	"tags",
+	"body",
+	"publishDate",
+	"isPublished",
+	"pushToWebflow",
+	"githubId",
 	"excerpt",
-	"seo",
-];
-const ALLOWED_FIELDS = new Set([...REQUIRED_FIELDS, ...OPTIONAL_FIELDS]);
-
-// SEO subfields allowed
-const ALLOWED_SEO_FIELDS = new Set(["title", "description"]);
+]);
 
 // -------------------------------------------------------
 
@@ -55,7 +97,55 @@ function isIsoDate(str) {
 	);
 }
 
-function validateFile(filePath) {
+function getValue(data, key) {
+	return key
+		.split(".")
+		.reduce((obj, k) => (obj == null ? undefined : obj[k]), data);
+}
+
+/**
+ * Mapped entries paired with their field in the schema snapshot
+ * @param {string} file - Snapshot path
+ * @returns {Array<{entry: Object, field: Object}>}
+ */
+function loadSchemaRules(file) {
+	const collection = loadSchemaSnapshot(file);
+	console.log(
+		`Using schema snapshot of '${collection.displayName || collection.slug}' (${path.relative(REPO_ROOT, file)}, fetched ${collection.fetchedAt || "unknown"})`,
+	);
+	const bySlug = new Map(collection.fields.map((f) => [f.slug, f]));
+
+	const rules = [];
+	for (const entry of FIELDS) {
+		if (!entry.frontmatter || !syncsToWebflow(entry)) continue;
+		const field = bySlug.get(entry.field);
+		if (field) rules.push({ entry, field });
+		else {
+			warn(
+				path.basename(file),
+				`field '${entry.field}' is not in the snapshot — stale snapshot or mapping?`,
+			);
+		}
+	}
+	return rules;
+}
+
+function validateSchemaRules(filePath, data, rules) {
+	for (const { entry, field } of rules) {
+		const value = getValue(data, entry.frontmatter);
+		const label = `${entry.frontmatter} (Webflow field '${field.slug}')`;
+		if (value === undefined || value === null || value === "") {
+			if (field.isRequired && !FILLED_BY_SYNC.has(entry.key)) {
+				fail(filePath, `Missing ${label}, which is required in Webflow`);
+			}
+			continue;
+		}
+		const problem = checkFieldValue(field, entry, value);
+		if (problem) fail(filePath, `${label} ${problem}`);
+	}
+}
+
+function validateFile(filePath, schemaRules) {
 	const raw = fs.readFileSync(filePath, "utf8");
 
 	let fm;
@@ -70,7 +160,8 @@ function validateFile(filePath) {
 
 	// Missing required fields
 	REQUIRED_FIELDS.forEach((f) => {
-		if (!(f in data)) {
+		const [parent, child] = f.split(".");
+		if (!(parent in data) || (child && !(child in Object(data[parent])))) {
 			fail(filePath, `Missing required field '${f}'`);
 		}
 	});
@@ -79,6 +170,12 @@ function validateFile(filePath) {
 	Object.keys(data).forEach((k) => {
 		if (!ALLOWED_FIELDS.has(k)) {
 			fail(filePath, `Unknown field '${k}' — typo?`);
+		} else if (ALLOWED_SUBFIELDS[k] && data[k] && typeof data[k] === "object") {
+			Object.keys(data[k]).forEach((sub) => {
+				if (!ALLOWED_SUBFIELDS[k].has(sub)) {
+					fail(filePath, `${k}.${sub} is not allowed`);
+				}
+			});
 		}
 	});
 
@@ -151,6 +248,11 @@ function validateFile(filePath) {
 			data.tags.forEach((t, i) => {
 				if (typeof t !== "string") {
 					fail(filePath, `tags[${i}] must be a string`);
+				} else if (TAG_REFERENCE && !kebab(t)) {
+					fail(
+						filePath,
+						`tags[${i}] '${t}' has no letters or digits for a slug`,
+					);
 				}
 			});
 		}
@@ -161,11 +263,6 @@ function validateFile(filePath) {
 		if (typeof data.seo !== "object" || Array.isArray(data.seo)) {
 			fail(filePath, `seo must be an object`);
 		} else {
-			Object.keys(data.seo).forEach((k) => {
-				if (!ALLOWED_SEO_FIELDS.has(k)) {
-					fail(filePath, `seo.${k} is not allowed`);
-				}
-			});
 			if (data.seo.title && typeof data.seo.title !== "string") {
 				fail(filePath, `seo.title must be a string`);
 			}
@@ -192,6 +289,127 @@ function validateFile(filePath) {
 	) {
 		fail(filePath, `last_update must be ISO date string`);
 	}
+
+	// Validate: author names a profile in /authors
+	const author =
+		AUTHOR_REFERENCE && getValue(data, AUTHOR_REFERENCE.frontmatter);
+	if (author && authors && !findAuthor(authors, author)) {
+		fail(
+			filePath,
+			`Unknown author '${author}' — use the id or name of a profile in ${path.relative(REPO_ROOT, AUTHORS_DIR)}/, or add one`,
+		);
+	}
+
+	// Validate: locale (one of webflow-sync.config.json locales)
+	if ("locale" in data && !LOCALES.includes(String(data.locale))) {
+		fail(
+			filePath,
+			LOCALES.length > 0
+				? `locale must be one of ${LOCALES.join(", ")}, got: ${data.locale}`
+				: `locale is set but webflow-sync.config.json configures no locales`,
+		);
+	}
+
+	if (schemaRules) validateSchemaRules(filePath, data, schemaRules);
+	return data;
+}
+
+/**
+ * Author profiles need the required fields of their mapping and distinct
+ * names, since posts may name them by name
+ * @returns {Map<string, Object>|null} Profiles, null if they can't be read
+ */
+function validateAuthors() {
+	let profiles;
+	try {
+		profiles = readAuthors();
+	} catch (e) {
+		fail(
+			path.relative(REPO_ROOT, AUTHORS_DIR),
+			`Invalid profile: ${e.message}`,
+		);
+		return null;
+	}
+	const names = new Map();
+	for (const { filePath, data } of profiles.values()) {
+		for (const entry of AUTHOR_FIELDS) {
+			if (entry.required && entry.frontmatter) {
+				const value = getValue(data, entry.frontmatter);
+				if (value === undefined || value === null || value === "") {
+					fail(filePath, `Missing required field '${entry.frontmatter}'`);
+				}
+			}
+		}
+		if (!data.name) continue;
+		const other = names.get(String(data.name));
+		if (other) {
+			fail(
+				filePath,
+				`name '${data.name}' is also used by ${path.relative(REPO_ROOT, other)}`,
+			);
+		}
+		names.set(String(data.name), filePath);
+	}
+	return profiles;
+}
+
+/**
+ * Translations are linked to their post in the primary locale by id (or
+ * file name): each translation needs that post, whose Webflow item it is
+ * written to, and each post should have every secondary locale
+ * @param {Array<{filePath: string, data: Object}>} posts
+ * @param {boolean} requireAll - Fail on missing translations instead of warn
+ */
+function validateTranslations(posts, requireAll) {
+	const byId = new Map(); // id -> Map(locale -> file)
+	for (const { filePath, data } of posts) {
+		const locale = getPostLocale(data, filePath);
+		if (!LOCALES.includes(locale)) continue; // reported by validateFile
+		const id = getUniqueId(data, filePath);
+		if (!byId.has(id)) byId.set(id, new Map());
+		const files = byId.get(id);
+		if (files.has(locale)) {
+			fail(
+				filePath,
+				`id '${id}' is already used by the ${locale} post ${path.relative(REPO_ROOT, files.get(locale))}`,
+			);
+			continue;
+		}
+		files.set(locale, filePath);
+	}
+
+	for (const [id, files] of byId) {
+		const primary = files.get(PRIMARY_LOCALE);
+		if (!primary) {
+			for (const [locale, filePath] of files) {
+				fail(
+					filePath,
+					`${locale} translation of '${id}' has no post in the primary locale (${PRIMARY_LOCALE})`,
+				);
+			}
+			continue;
+		}
+		const missing = SECONDARY_LOCALES.filter((l) => !files.has(l));
+		if (missing.length === 0) continue;
+		const msg = `Missing translation(s) of '${id}': ${missing.join(", ")}`;
+		if (requireAll) fail(primary, msg);
+		else warn(primary, msg);
+	}
+}
+
+/**
+ * Tags are Tags collection items by slug: spellings that share a slug are
+ * one item, named by the first post that uses it
+ */
+function validateTags() {
+	for (const [slug, { name, spellings, files }] of readTags()) {
+		if (spellings.size < 2) continue;
+		const others = [...spellings].filter((s) => s !== name);
+		warn(
+			files[0],
+			`tag '${name}' is also spelled ${others.map((s) => `'${s}'`).join(", ")}; all are the tag item '${slug}', named '${name}'`,
+		);
+	}
 }
 
 function walk(dir) {
@@ -216,11 +434,36 @@ if (files.length === 0) {
 	process.exit(0);
 }
 
+let schemaRules = null;
+const schemaArg = process.argv.indexOf("--schema");
+if (schemaArg >= 0) {
+	const next = process.argv[schemaArg + 1];
+	const schemaFile =
+		next && !next.startsWith("--") ? path.resolve(next) : SCHEMA_FILE;
+	try {
+		schemaRules = loadSchemaRules(schemaFile);
+	} catch (e) {
+		console.error(`❌  ${e.message}`);
+		process.exit(1);
+	}
+}
+
+// Posts name their author by a profile in /authors (see lib/authors.js)
+const authors = AUTHOR_REFERENCE ? validateAuthors() : null;
+
 console.log(`Validating ${files.length} Markdown file(s)...`);
+const posts = [];
 files.forEach((f) => {
-	validateFile(f);
+	const data = validateFile(f, schemaRules);
+	if (data) posts.push({ filePath: f, data });
 });
 
+if (TAG_REFERENCE) validateTags();
+
+if (SECONDARY_LOCALES.length > 0) {
+	validateTranslations(posts, process.argv.includes("--require-translations"));
+}
+
 if (hasErrors) {
 	console.error("\n❌ Frontmatter validation failed.");
 	process.exit(1);
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+/**
+ * Self-hosted sync middleware (see docs/middleware_spec.md)
+ * Receives GitHub push and Webflow item webhooks, verifies their signatures,
+ * drops duplicate deliveries and runs sync jobs one at a time against the
+ * local checkout this server runs from.
+ *
+ * ENV:
+ *  - PORT (default 3000)
+ *  - GITHUB_WEBHOOK_SECRET (required)
+ *  - WEBFLOW_WEBHOOK_SECRET (optional; Webflow webhooks are rejected without it)
+ *  - WEBFLOW_TOKEN
+ *  - WEBFLOW_COLLECTION_ID
+ *  - WEBFLOW_AUTHORS_COLLECTION_ID (when posts name an author)
+ *  - WEBFLOW_TAGS_COLLECTION_ID (when tags are a reference)
+ *  - WEBFLOW_SITE_ID, WEBFLOW_UPLOAD_ASSETS (optional; image uploads, see
+ *    lib/sync.js)
+ *  - DEFAULT_BRANCH (default "main")
+ *  - WEBHOOK_GIT_PUSH ("true" to commit and push posts pulled from Webflow)
+ *  - SYNC_DELETE_POLICY (default "archive"; items of removed posts)
+ *
+ * Routes:
+ *  - POST /webhooks/github    push events on DEFAULT_BRANCH → GH→WF sync
+ *  - POST /webhooks/webflow   collection_item_created/changed → WF→GH pull
+ *  - GET  /healthz
+ */
+
+import { execFileSync } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { AUTHORS_DIR } from "./lib/authors.js";
+import { ItemIndex } from "./lib/item-index.js";
+import {
+	diffMarkdown,
+	diffPosts,
+	REPO_ROOT,
+	repoRelative,
+} from "./lib/posts.js";
+import { pullItems } from "./lib/pull.js";
+import {
+	createAuthorSync,
+	createTagSync,
+	getBaseRev,
+	markSynced,
+	pruneTags,
+	removeFiles,
+	syncAuthors,
+	syncFiles,
+} from "./lib/sync.js";
+import { getCollectionItem } from "./lib/webflow-api.js";
+
+const PORT = Number(process.env.PORT || 3000);
+const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
+const WEBFLOW_WEBHOOK_SECRET = process.env.WEBFLOW_WEBHOOK_SECRET;
+const COLLECTION_ID = process.env.WEBFLOW_COLLECTION_ID;
+const DEFAULT_BRANCH = process.env.DEFAULT_BRANCH || "main";
+const GIT_PUSH = process.env.WEBHOOK_GIT_PUSH === "true";
+const AUTHORS_REL = repoRelative(AUTHORS_DIR);
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const DEDUPE_TTL_MS = 24 * 60 * 60 * 1000; // remember deliveries for a day
+const WEBFLOW_MAX_SKEW_MS = 5 * 60 * 1000; // reject signatures older than 5 minutes
+const WEBFLOW_ITEM_EVENTS = new Set([
+	"collection_item_created",
+	"collection_item_changed",
+]);
+
+function log(...a) {
+	console.log("[webhook-server]", ...a);
+}
+function warn(...a) {
+	console.warn("[webhook-server:warn]", ...a);
+}
+function fail(msg, e) {
+	console.error("[webhook-server:error]", msg);
+	if (e) console.error(e?.stack || e);
+}
+
+function requireEnv(name) {
+	const v = process.env[name];
+	if (!v) {
+		throw new Error(`Missing required env: ${name}`);
+	}
+	return v;
+}
+
+// ---------- Signatures ----------
+function hmacHex(secret, data) {
+	return crypto.createHmac("sha256", secret).update(data).digest("hex");
+}
+
+function safeEqual(a, b) {
+	const bufA = Buffer.from(String(a));
+	const bufB = Buffer.from(String(b));
+	return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verify GitHub's `X-Hub-Signature-256: sha256=<hex>` header
+ */
+function verifyGithubSignature(rawBody, header) {
+	if (!header) return false;
+	return safeEqual(header, `sha256=${hmacHex(GITHUB_WEBHOOK_SECRET, rawBody)}`);
+}
+
+/**
+ * Verify Webflow's `x-webflow-signature` header: HMAC-SHA256 of
+ * `${x-webflow-timestamp}:${rawBody}`, with the timestamp in ms
+ */
+function verifyWebflowSignature(rawBody, timestamp, signature) {
+	if (!WEBFLOW_WEBHOOK_SECRET || !timestamp || !signature) return false;
+	if (Math.abs(Date.now() - Number(timestamp)) > WEBFLOW_MAX_SKEW_MS) {
+		return false;
+	}
+	return safeEqual(
+		signature,
+		hmacHex(WEBFLOW_WEBHOOK_SECRET, `${timestamp}:${rawBody}`),
+	);
+}
+
+// ---------- Delivery dedupe ----------
+const seenDeliveries = new Map(); // delivery id -> first seen (ms)
+
+/**
+ * Record a delivery id
+ * @returns {boolean} true if the id was already seen within DEDUPE_TTL_MS
+ */
+function isDuplicate(deliveryId) {
+	const now = Date.now();
+	for (const [id, seenAt] of seenDeliveries) {
+		if (now - seenAt > DEDUPE_TTL_MS) seenDeliveries.delete(id);
+	}
+	if (seenDeliveries.has(deliveryId)) return true;
+	seenDeliveries.set(deliveryId, now);
+	return false;
+}
+
+// ---------- Job queue ----------
+// Jobs touch the git checkout, so they run strictly one after another.
+let queueTail = Promise.resolve();
+let pendingJobs = 0;
+
+function enqueue(name, job) {
+	pendingJobs++;
+	log(`Queued job: ${name} (${pendingJobs} pending)`);
+	queueTail = queueTail
+		.then(async () => {
+			const started = Date.now();
+			log(`▶️  Running job: ${name}`);
+			await job();
+			log(`✅ Finished job: ${name} (${Date.now() - started}ms)`);
+		})
+		.catch((e) => fail(`Job failed: ${name}`, e))
+		.finally(() => {
+			pendingJobs--;
+		});
+}
+
+function git(...args) {
+	return execFileSync("git", args, {
+		cwd: REPO_ROOT,
+		encoding: "utf8",
+		stdio: "pipe",
+	}).trim();
+}
+
+/**
+ * GH→WF: bring the checkout up to the pushed commit and sync its posts
+ * Diffs from the last fully synced commit (or the push's `before`), so posts
+ * of failed or missed deliveries are retried; the payload's file lists are
+ * the fallback when neither is known (new branch, force push).
+ */
+async function runGithubPush({ before, after, files, removed, profiles }) {
+	git("pull", "--ff-only", "origin", DEFAULT_BRANCH);
+	const baseRev = getBaseRev(before, after);
+	let diff;
+	let profileDiff;
+	try {
+		diff = diffPosts(baseRev, after);
+		profileDiff = diffMarkdown(AUTHORS_REL, baseRev, after).changed;
+	} catch (e) {
+		warn(
+			`git diff ${baseRev.slice(0, 7)}..${after.slice(0, 7)} failed`,
+			e.message,
+		);
+		diff = { changed: files, deleted: removed, renamed: new Map() };
+		profileDiff = profiles;
+	}
+	// Posts added and removed again within the same push are gone by now
+	const existing = (list) =>
+		list.map((f) => path.join(REPO_ROOT, f)).filter((f) => fs.existsSync(f));
+	const paths = existing(diff.changed);
+	const index = new ItemIndex(COLLECTION_ID);
+	const authors = createAuthorSync({ dryRun: false, commitSha: after });
+	const authored = await syncAuthors(existing(profileDiff), {
+		dryRun: false,
+		commitSha: after,
+		authors,
+	});
+	const tags = createTagSync({ dryRun: false });
+	const { successCount, unchangedCount, errorCount } = await syncFiles(paths, {
+		dryRun: false,
+		commitSha: after,
+		renames: diff.renamed,
+		baseRev,
+		index,
+		authors,
+		tags,
+	});
+	// ...and posts removed and re-added are still there
+	const gone = diff.deleted.filter(
+		(f) => !fs.existsSync(path.join(REPO_ROOT, f)),
+	);
+	const { removedCount, errorCount: removeErrors } = await removeFiles(gone, {
+		baseRev,
+		dryRun: false,
+		index,
+	});
+	const pruned = await pruneTags({ dryRun: false, index, tags });
+	const failed =
+		authored.errorCount + errorCount + removeErrors + pruned.errorCount;
+	if (failed === 0) markSynced(after);
+	log(
+		`Push ${after.slice(0, 7)}: ${successCount} synced, ${unchangedCount} unchanged, ${removedCount} removed, ${authored.successCount} author(s), ${pruned.removedCount} unused tag(s) removed, ${failed} failed`,
+	);
+}
+
+/**
+ * WF→GH: pull the changed item into /posts and optionally commit it
+ */
+async function runWebflowItem({ itemId }) {
+	git("pull", "--ff-only", "origin", DEFAULT_BRANCH);
+	const item = await getCollectionItem(COLLECTION_ID, itemId);
+	if (item.isArchived) {
+		log(`Item ${itemId} is archived; nothing to pull`);
+		return;
+	}
+	const counts = await pullItems([item], { dryRun: false });
+	if (counts.failed > 0 || (counts.created === 0 && counts.updated === 0)) {
+		return;
+	}
+	if (!GIT_PUSH) {
+		log("WEBHOOK_GIT_PUSH is not enabled; leaving changes uncommitted");
+		return;
+	}
+	git("add", "posts");
+	git(
+		"commit",
+		"-m",
+		`chore(wf->gh): sync post ${item.fieldData?.slug || itemId}`,
+	);
+	git("push", "origin", `HEAD:${DEFAULT_BRANCH}`);
+}
+
+// ---------- HTTP ----------
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let size = 0;
+		req.on("data", (chunk) => {
+			size += chunk.length;
+			if (size > MAX_BODY_BYTES) {
+				reject(Object.assign(new Error("Payload too large"), { status: 413 }));
+				req.destroy();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+		req.on("error", reject);
+	});
+}
+
+function send(res, status, body) {
+	res.writeHead(status, { "Content-Type": "application/json" });
+	res.end(JSON.stringify(body));
+}
+
+function handleGithub(req, res, rawBody) {
+	if (!verifyGithubSignature(rawBody, req.headers["x-hub-signature-256"])) {
+		return send(res, 401, { error: "Invalid signature" });
+	}
+	const event = req.headers["x-github-event"];
+	const deliveryId = req.headers["x-github-delivery"];
+	if (event === "ping") return send(res, 200, { ok: true });
+	if (event !== "push") return send(res, 202, { ignored: `event ${event}` });
+
+	const payload = JSON.parse(rawBody);
+	// Every push names the commit the branch moved to
+	if (typeof payload?.after !== "string") {
+		return send(res, 400, { error: "Push payload without an 'after' commit" });
+	}
+	if (payload.ref !== `refs/heads/${DEFAULT_BRANCH}`) {
+		return send(res, 202, { ignored: `ref ${payload.ref}` });
+	}
+	const changedIn = (key, dir) =>
+		[...new Set((payload.commits || []).flatMap((c) => c[key] || []))].filter(
+			(f) => f.startsWith(`${dir}/`) && f.endsWith(".md"),
+		);
+	const postsIn = (key) => changedIn(key, "posts");
+	const files = [...new Set([...postsIn("added"), ...postsIn("modified")])];
+	const removed = postsIn("removed");
+	const profiles = [
+		...new Set([
+			...changedIn("added", AUTHORS_REL),
+			...changedIn("modified", AUTHORS_REL),
+		]),
+	];
+	if (files.length === 0 && removed.length === 0 && profiles.length === 0) {
+		return send(res, 202, { ignored: "no changed posts" });
+	}
+	// Recorded once accepted: a redelivery of a rejected body is retried
+	if (deliveryId && isDuplicate(`github:${deliveryId}`)) {
+		return send(res, 200, { duplicate: true });
+	}
+
+	enqueue(`github push ${payload.after.slice(0, 7)}`, () =>
+		runGithubPush({
+			before: payload.before,
+			after: payload.after,
+			files,
+			removed,
+			profiles,
+		}),
+	);
+	return send(res, 202, { queued: files, removed });
+}
+
+function handleWebflow(req, res, rawBody) {
+	if (
+		!verifyWebflowSignature(
+			rawBody,
+			req.headers["x-webflow-timestamp"],
+			req.headers["x-webflow-signature"],
+		)
+	) {
+		return send(res, 401, { error: "Invalid signature" });
+	}
+
+	const body = JSON.parse(rawBody);
+	if (!body || typeof body !== "object") {
+		return send(res, 400, { error: "Payload is not a JSON object" });
+	}
+	const { triggerType, payload } = body;
+	if (!WEBFLOW_ITEM_EVENTS.has(triggerType)) {
+		return send(res, 202, { ignored: `trigger ${triggerType}` });
+	}
+	// Every item event names the item
+	if (typeof payload?.id !== "string" || !payload.id) {
+		return send(res, 400, { error: "Item event without a payload id" });
+	}
+	if (payload.collectionId && payload.collectionId !== COLLECTION_ID) {
+		return send(res, 202, { ignored: "other collection" });
+	}
+	// Webflow has no delivery id header; an item revision identifies a delivery
+	const deliveryId = `webflow:${payload.id}:${payload.lastUpdated}`;
+	if (isDuplicate(deliveryId)) {
+		return send(res, 200, { duplicate: true });
+	}
+
+	enqueue(`webflow ${triggerType} ${payload.id}`, () =>
+		runWebflowItem({ itemId: payload.id }),
+	);
+	return send(res, 202, { queued: payload.id });
+}
+
+const server = http.createServer(async (req, res) => {
+	try {
+		if (req.method === "GET" && req.url === "/healthz") {
+			return send(res, 200, { ok: true, pendingJobs });
+		}
+		if (req.method !== "POST") {
+			return send(res, 404, { error: "Not found" });
+		}
+		const rawBody = await readBody(req);
+		if (req.url === "/webhooks/github") return handleGithub(req, res, rawBody);
+		if (req.url === "/webhooks/webflow") {
+			return handleWebflow(req, res, rawBody);
+		}
+		return send(res, 404, { error: "Not found" });
+	} catch (e) {
+		if (e instanceof SyntaxError) return send(res, 400, { error: "Bad JSON" });
+		fail(`Error handling ${req.method} ${req.url}`, e);
+		return send(res, e.status || 500, { error: e.message });
+	}
+});
+
+function main() {
+	try {
+		requireEnv("GITHUB_WEBHOOK_SECRET");
+		requireEnv("WEBFLOW_TOKEN");
+		requireEnv("WEBFLOW_COLLECTION_ID");
+	} catch (e) {
+		fail(e.message);
+		process.exitCode = 1;
+		return;
+	}
+	if (!WEBFLOW_WEBHOOK_SECRET) {
+		warn("WEBFLOW_WEBHOOK_SECRET not set; Webflow webhooks will be rejected");
+	}
+	server.listen(PORT, () => {
+		log(`Listening on :${PORT} (branch ${DEFAULT_BRANCH}, repo ${REPO_ROOT})`);
+	});
+}
+
+main();